@@ -0,0 +1,102 @@
+/**
+ * Quote Signer
+ *
+ * Server-signed, expiring swap quotes. /api/quote signs the terms it priced
+ * (amounts, route, platform fee, fee wallet) into a quote id; /api/transactions
+ * only builds swaps from a quote id it can verify, so the client can't change
+ * amounts or drop the platform fee.
+ *
+ * - quoteId = base64url(terms) + '.' + HMAC-SHA256(terms)
+ * - Key from QUOTE_SIGNING_SECRET; without it a random per-process key is used
+ *   (quotes then don't survive a restart, which the short TTL makes harmless)
+ * - Each quote can be used once: its nonce is remembered until it expires
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 30000;
+
+class QuoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QuoteError';
+    this.status = status;
+  }
+}
+
+class QuoteSigner {
+  constructor({ secret = process.env.QUOTE_SIGNING_SECRET, ttlMs = DEFAULT_TTL_MS } = {}) {
+    if (!secret) {
+      console.warn('[Quotes] QUOTE_SIGNING_SECRET not set - using a per-process key');
+    }
+    this.key = secret || crypto.randomBytes(32).toString('hex');
+    this.ttlMs = ttlMs;
+    this.used = new Map(); // nonce → expiresAt
+  }
+
+  /**
+   * Sign quote terms
+   * @returns {object} { quoteId, expiresAt }
+   */
+  sign(terms) {
+    const expiresAt = Date.now() + this.ttlMs;
+    const body = Buffer.from(JSON.stringify({
+      ...terms,
+      nonce: crypto.randomBytes(8).toString('hex'),
+      expiresAt
+    })).toString('base64url');
+
+    return { quoteId: `${body}.${this.mac(body)}`, expiresAt };
+  }
+
+  /**
+   * Verify a quote id and return its terms
+   * @throws {QuoteError} Malformed, tampered or expired
+   */
+  verify(quoteId) {
+    const [body, signature] = String(quoteId || '').split('.');
+    if (!body || !signature) throw new QuoteError('Invalid quote id');
+
+    const expected = Buffer.from(this.mac(body));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new QuoteError('Quote signature does not match');
+    }
+
+    const terms = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (Date.now() > terms.expiresAt) {
+      throw new QuoteError('Quote expired - request a new quote', 410);
+    }
+
+    return terms;
+  }
+
+  /**
+   * Verify and mark used (a quote executes at most once)
+   */
+  consume(quoteId) {
+    const terms = this.verify(quoteId);
+
+    this.prune();
+    if (this.used.has(terms.nonce)) throw new QuoteError('Quote already used', 409);
+    this.used.set(terms.nonce, terms.expiresAt);
+
+    return terms;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of this.used) {
+      if (expiresAt < now) this.used.delete(nonce);
+    }
+  }
+
+  mac(body) {
+    return crypto.createHmac('sha256', this.key).update(body).digest('base64url');
+  }
+}
+
+module.exports = {
+  QuoteSigner,
+  QuoteError
+};
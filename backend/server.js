@@ -5,42 +5,48 @@
 
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 const path = require('path');
+const { getTransport } = require('../mm/transport');
+const { candleService, INTERVALS } = require('../mm/candles');
+const { btcPriceFeed } = require('../mm/btc-price');
+const { MM_CONFIG } = require('../mm/production-config');
+const { BTC_TOKEN_ID } = require('../mm/amm');
+const { findBestRoute, executeRoute } = require('../mm/router');
+const { QuoteSigner, QuoteError } = require('./quote-signer');
+const { SessionManager } = require('./session');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// PRODUCTION RadFi API - requires Origin/Referer headers
-const RADFI_API_BASE = 'https://api.radfi.co';
+// RadFi transport: live API by default, RADFI_TRANSPORT=mock for the in-process exchange
+const radfi = getTransport();
+const RADFI_API_BASE = radfi.baseUrl;
 
 // Platform fee configuration  
 const PLATFORM_FEE_PERCENT = 1;
 const FEE_WALLET = process.env.FEE_WALLET || 'bc1pswy3y5vkcsdrp0t34r0nq0t8u8zvtlucddlpy4cwyfh3kld7pzssglrnzw';
 
+// Swaps are only built from quotes this server signed
+const quoteSigner = new QuoteSigner();
+
+// Wallet sessions: user routes must own the address, /api/admin needs ADMIN_ADDRESSES
+const sessions = new SessionManager();
+const requireOwner = sessions.requireOwner();
+const requireAdmin = sessions.requireAdmin();
+
 app.use(cors());
 app.use(express.json());
+app.use('/api/admin', requireAdmin);
 app.use(express.static(path.join(__dirname, '../frontend')));
 app.use('/assets', express.static(path.join(__dirname, '../frontend/assets')));
 
 /**
- * Proxy to RadFi PRODUCTION API with required headers
+ * Proxy to RadFi through the configured transport (required headers added there)
  */
 async function fetchRadFi(endpoint, options = {}) {
-  const url = `${RADFI_API_BASE}${endpoint}`;
-  console.log(`[RadFi] Fetching: ${url}`);
+  console.log(`[RadFi] Fetching: ${RADFI_API_BASE}${endpoint}`);
   
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      'Accept': 'application/json, text/plain, */*',
-      'Content-Type': 'application/json',
-      'Origin': 'https://app.radfi.co',
-      'Referer': 'https://app.radfi.co/',
-      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-      ...options.headers
-    }
-  });
+  const response = await radfi.request(endpoint, options);
   
   if (!response.ok) {
     console.error(`[RadFi] Error ${response.status}: ${response.statusText}`);
@@ -102,6 +108,62 @@ app.get('/api/histories', async (req, res) => {
   }
 });
 
+// OHLCV candles from ingested swap history (see mm/candles.js)
+app.get('/api/candles', async (req, res) => {
+  try {
+    const { poolId, interval = '15m', from, to } = req.query;
+    if (!poolId) {
+      return res.status(400).json({ success: false, error: 'poolId is required' });
+    }
+    if (!INTERVALS[interval]) {
+      return res.status(400).json({ success: false, error: `interval must be one of ${Object.keys(INTERVALS).join(', ')}` });
+    }
+    
+    const data = await candleService.getCandles({
+      poolId,
+      interval,
+      from: from !== undefined ? parseInt(from) : undefined,
+      to: to !== undefined ? parseInt(to) : undefined
+    });
+    
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('[Candles] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// BTC/USD price used for every USD value, optionally with stored snapshots
+// MM_CONFIG.minDepositUSD in BTC, rounded up to whole sats
+function minDepositBTC(priceUSD) {
+  return Math.ceil(MM_CONFIG.minDepositUSD / priceUSD * 1e8) / 1e8;
+}
+
+app.get('/api/btc-price', async (req, res) => {
+  try {
+    const { history, from, to, limit } = req.query;
+    const data = { ...(await btcPriceFeed.get()) };
+    
+    // Minimum market-making deposit at this price (enforced by /api/volume-bot/deposit)
+    data.minDepositUSD = MM_CONFIG.minDepositUSD;
+    data.minDepositBTC = minDepositBTC(data.priceUSD);
+
+    if (history === 'true' || history === '1') {
+      data.history = btcPriceFeed.history({
+        from: from !== undefined ? parseInt(from) : undefined,
+        to: to !== undefined ? parseInt(to) : undefined,
+        limit: Math.min(parseInt(limit) || 288, 2000),
+        order: 'desc'
+      });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('[BtcPrice] Error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============ WALLET ENDPOINTS ============
 
 app.get('/api/wallets', async (req, res) => {
@@ -177,29 +239,72 @@ app.get('/api/etch/runes', async (req, res) => {
 
 app.post('/api/quote', async (req, res) => {
   try {
-    const { tokenIn, tokenOut, amountIn } = req.body;
+    const { tokenIn, tokenOut, amountIn, slippageBps = 100, userAddress = null } = req.body;
     
-    // Get token prices
+    if (!(amountIn > 0)) {
+      return res.status(400).json({ success: false, error: 'amountIn must be positive' });
+    }
+    
+    // Resolve symbols to token ids
     const tokensRes = await fetchRadFi('/api/tokens?pageSize=200');
     const tokens = tokensRes.data || [];
     
     const inToken = tokens.find(t => t.tokenId === tokenIn || t.symbol === tokenIn);
     const outToken = tokens.find(t => t.tokenId === tokenOut || t.symbol === tokenOut);
+    const inId = inToken?.tokenId || (tokenIn === 'BTC' ? BTC_TOKEN_ID : tokenIn);
+    const outId = outToken?.tokenId || (tokenOut === 'BTC' ? BTC_TOKEN_ID : tokenOut);
     
-    // Calculate with 1% fee
+    // Platform fee (1%) comes off the input, pool fees off each hop
     const fee = Math.floor(amountIn * (PLATFORM_FEE_PERCENT / 100));
     const netAmount = amountIn - fee;
     
-    let estimatedOut = 0;
-    if (inToken && outToken && outToken.priceInSats > 0) {
-      const inPriceSats = inToken.priceInSats || 100000000; // BTC = 100M sats
-      const outPriceSats = outToken.priceInSats;
-      estimatedOut = Math.floor((netAmount * inPriceSats) / outPriceSats);
+    // Best path across pools (direct or through BTC / intermediate runes),
+    // simulated against live pool reserves / tick liquidity
+    const poolsRes = await fetchRadFi('/api/pools');
+    let route;
+    try {
+      route = findBestRoute({ pools: poolsRes.data || [], tokenIn: inId, tokenOut: outId, amountIn: netAmount, slippageBps });
+    } catch (error) {
+      return res.status(404).json({ success: false, error: `No route for ${tokenIn} → ${tokenOut}: ${error.message}` });
+    }
+    
+    const direct = route.hops.length === 1 ? route.hops[0] : null;
+    
+    const warnings = [];
+    if (route.priceImpact > 0.05) {
+      warnings.push(`High price impact: ${(route.priceImpact * 100).toFixed(2)}%`);
     }
     
+    // The terms /api/transactions will execute, bound to the address that
+    // executes them: without userAddress the quote is a price preview only
+    const terms = {
+      userAddress,
+      tokenIn: inId,
+      tokenOut: outId,
+      amountIn,
+      platformFee: fee,
+      feeWallet: FEE_WALLET,
+      netAmountIn: netAmount,
+      minAmountOut: route.minAmountOut,
+      hops: route.hops.map(h => ({
+        poolId: h.poolId,
+        tokenIn: h.tokenIn,
+        tokenOut: h.tokenOut,
+        amountIn: h.amountIn,
+        amountOut: h.amountOut,
+        minAmountOut: h.minAmountOut,
+        slippageBps: h.slippageBps
+      }))
+    };
+    const { quoteId, expiresAt } = userAddress
+      ? quoteSigner.sign(terms)
+      : { quoteId: null, expiresAt: null };
+    
     res.json({
       success: true,
       data: {
+        quoteId,
+        expiresAt,
         tokenIn,
         tokenOut,
         amountIn,
@@ -207,7 +312,24 @@ app.post('/api/quote', async (req, res) => {
         platformFeePercent: PLATFORM_FEE_PERCENT,
         feeWallet: FEE_WALLET,
         netAmountIn: netAmount,
-        estimatedAmountOut: estimatedOut,
+        poolId: direct ? direct.poolId : null,
+        poolFee: direct ? direct.poolFee : null,
+        poolFeePercent: (direct ? direct.poolFeeRate : route.poolFeeRate) * 100,
+        amountOut: route.amountOut,
+        estimatedAmountOut: route.amountOut,
+        minAmountOut: route.minAmountOut,
+        slippageBps: route.slippageBps,
+        spotPrice: route.spotPrice,
+        effectivePrice: amountIn > 0 ? route.amountOut / amountIn : 0, // out per in, after all fees
+        priceImpact: route.priceImpact,
+        priceImpactPercent: route.priceImpact * 100,
+        model: direct ? direct.model : route.hops.map(h => h.model).join(' → '),
+        route: {
+          path: route.path,
+          hops: route.hops,
+          routesConsidered: route.routesConsidered
+        },
+        warnings,
         inToken,
         outToken
       }
@@ -225,6 +347,14 @@ app.post('/api/auth/authenticate', async (req, res) => {
       method: 'POST',
       body: JSON.stringify(req.body)
     });
+    
+    // RadFi verified the BIP322 signature: issue our session for the wallet
+    if (data.code === '1' && data.data) {
+      data.data.session = sessions.issue({
+        address: req.body.address,
+        tradingAddress: data.data.tradingAddress
+      });
+    }
     res.json(data);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -245,15 +375,79 @@ app.post('/api/auth/refresh-token', async (req, res) => {
 
 // ============ TRANSACTION ENDPOINTS ============
 
+// Non-swap transaction types passed through to RadFi as sent (no platform fee)
+const TRANSFER_TYPES = new Set(['withdraw', 'transfer']);
+
 app.post('/api/transactions', async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
-    const data = await fetchRadFi('/api/transactions', {
+    const submit = payload => fetchRadFi('/api/transactions', {
       method: 'POST',
       headers: authHeader ? { Authorization: authHeader } : {},
-      body: JSON.stringify(req.body)
+      body: JSON.stringify(payload)
+    });
+    
+    // Transfers (e.g. Send) carry no platform fee and pass through
+    const { type = 'swap' } = req.body;
+    if (type !== 'swap') {
+      if (!TRANSFER_TYPES.has(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported transaction type: ${type} (swap, ${[...TRANSFER_TYPES].join(', ')})`
+        });
+      }
+      return res.json(await submit(req.body));
+    }
+    
+    // Swaps: { quoteId, userAddress } from /api/quote. The transaction is
+    // rebuilt from the signed terms, with the platform fee output to FEE_WALLET
+    const { quoteId, userAddress } = req.body;
+    if (!quoteId) {
+      return res.status(400).json({ success: false, error: 'quoteId is required - request a quote from /api/quote' });
+    }
+    if (!userAddress) {
+      return res.status(400).json({ success: false, error: 'userAddress is required' });
+    }
+    
+    let terms;
+    try {
+      terms = quoteSigner.verify(quoteId);
+      
+      if (terms.userAddress !== userAddress) {
+        throw new QuoteError('Quote was issued for a different address', 403);
+      }
+      // Anything the client restates must match what was quoted
+      for (const field of ['tokenIn', 'tokenOut', 'amountIn', 'minAmountOut']) {
+        if (req.body[field] !== undefined && String(req.body[field]) !== String(terms[field])) {
+          throw new QuoteError(`${field} does not match the quote`);
+        }
+      }
+      
+      quoteSigner.consume(quoteId);
+    } catch (error) {
+      return res.status(error.status || 400).json({ success: false, error: error.message });
+    }
+    
+    const result = await executeRoute({
+      hops: terms.hops,
+      userAddress,
+      outputs: terms.platformFee > 0
+        ? [{ receiverAddress: terms.feeWallet, tokenId: terms.tokenIn, amount: String(terms.platformFee) }]
+        : [],
+      loadPools: async () => (await fetchRadFi('/api/pools')).data || [],
+      submit
+    });
+    
+    res.status(result.status === 'completed' ? 200 : 502).json({
+      success: result.status === 'completed',
+      data: {
+        ...result,
+        amountIn: terms.amountIn,
+        platformFee: terms.platformFee,
+        feeWallet: terms.feeWallet
+      },
+      ...(result.error && { error: result.error })
     });
-    res.json(data);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -421,7 +615,8 @@ app.get('/api/platform', (req, res) => {
       swapFee: { percent: PLATFORM_FEE_PERCENT, wallet: FEE_WALLET },
       marketMakerFee: { percent: 10, description: '10% of profitable fees', wallet: FEE_WALLET },
       api: RADFI_API_BASE,
-      production: true
+      transport: radfi.name,
+      production: radfi.name === 'http'
     }
   });
 });
@@ -579,7 +774,7 @@ app.get('/api/etch/rewards-amount', async (req, res) => {
 const { API: mmAPI } = require('../mm/orchestrator.js');
 
 // Create MM position (user deposits)
-app.post('/api/mm/deposit', async (req, res) => {
+app.post('/api/mm/deposit', requireOwner, async (req, res) => {
   try {
     const result = await mmAPI.deposit({ body: req.body });
     if (result.success) {
@@ -594,7 +789,7 @@ app.post('/api/mm/deposit', async (req, res) => {
 });
 
 // Get user's MM position
-app.get('/api/mm/position/:userAddress', async (req, res) => {
+app.get('/api/mm/position/:userAddress', requireOwner, async (req, res) => {
   try {
     const result = await mmAPI.getPosition({ params: req.params });
     if (result.success) {
@@ -609,7 +804,7 @@ app.get('/api/mm/position/:userAddress', async (req, res) => {
 });
 
 // Get all MM positions (admin)
-app.get('/api/mm/positions', async (req, res) => {
+app.get('/api/mm/positions', requireAdmin, async (req, res) => {
   try {
     const result = await mmAPI.getAllPositions({ query: req.query });
     res.json(result);
@@ -620,7 +815,7 @@ app.get('/api/mm/positions', async (req, res) => {
 });
 
 // Withdraw from MM
-app.post('/api/mm/withdraw/:userAddress', async (req, res) => {
+app.post('/api/mm/withdraw/:userAddress', requireOwner, async (req, res) => {
   try {
     const result = await mmAPI.withdraw({ params: req.params });
     if (result.success) {
@@ -634,8 +829,8 @@ app.post('/api/mm/withdraw/:userAddress', async (req, res) => {
   }
 });
 
-// Get global metrics
-app.get('/api/mm/metrics', async (req, res) => {
+// Get global metrics (admin)
+app.get('/api/mm/metrics', requireAdmin, async (req, res) => {
   try {
     const result = await mmAPI.getMetrics({ query: req.query });
     res.json(result);
@@ -651,6 +846,7 @@ const VolumeBot = require('../mm/volume-bot');
 const PerformanceMonitor = require('../mm/monitors/performance');
 const RiskMonitor = require('../mm/monitors/risk');
 const ReportingMonitor = require('../mm/monitors/reporting');
+const RiskEngine = require('../mm/monitors/risk-engine');
 
 const performanceMonitor = new PerformanceMonitor();
 const riskMonitor = new RiskMonitor();
@@ -659,27 +855,239 @@ const reportingMonitor = new ReportingMonitor();
 // Active volume bots by user
 const activeBots = new Map(); // userAddress -> Map(ticker -> VolumeBot)
 
+// Running BaseStrategy instances (jane-street, citadel, ...) by user
+const activeStrategies = new Map(); // userAddress -> Map(ticker -> BaseStrategy)
+
+/**
+ * Stop a user's strategy instance for a token, if one is running
+ */
+async function stopStrategy(userAddress, ticker) {
+  const userStrategies = activeStrategies.get(userAddress);
+  const strategy = userStrategies?.get(ticker);
+  if (!strategy) return false;
+  
+  await strategy.stop();
+  userStrategies.delete(ticker);
+  if (userStrategies.size === 0) activeStrategies.delete(userAddress);
+  return true;
+}
+
+/**
+ * Stop a user's volume bot for a token, if one is running
+ * @param {boolean} withdrawLadder - Also pull its ladder (the bot is being replaced)
+ */
+async function stopBot(userAddress, ticker, { withdrawLadder = false } = {}) {
+  const userBots = activeBots.get(userAddress);
+  const bot = userBots?.get(ticker);
+  if (!bot) return false;
+  
+  await bot.stop();
+  if (withdrawLadder) await bot.withdrawLadder();
+  userBots.delete(ticker);
+  if (userBots.size === 0) activeBots.delete(userAddress);
+  return true;
+}
+
+// Enforces risk alerts on every bot tick (pause, rebalance, trim, stop loss)
+const riskEngine = new RiskEngine({ bots: activeBots, monitor: riskMonitor });
+
 // Trade logging for audit trail
-const fs = require('fs');
-const tradeLogPath = path.join(__dirname, '../data/mm/trade-log.jsonl');
+const { logTrade } = require('../mm/trade-log');
+const { stateStore, COLLECTIONS } = require('../mm/state-store');
+const { credentialVault } = require('../mm/credential-vault');
+const { WithdrawalManager } = require('../mm/withdrawal');
+const { DEFAULT_STRATEGY, getStrategy, listStrategies, validateParams, createStrategy } = require('./strategies');
+const { priceGuard } = require('../mm/price-guard');
+
+/**
+ * Rebuild a VolumeBot (or a deposited strategy) from its stored state and start it
+ */
+async function restoreBot(state) {
+  if (state.engine === 'strategy') return restoreStrategy(state);
+  
+  const tokenConfig = state.tokenConfig || require('../mm/production-config').TOKENS[state.ticker];
+  const credentials = credentialVault.load(state.userAddress) || {};
+  
+  const bot = new VolumeBot(
+    state.userAddress,
+    tokenConfig,
+    state.allocation,
+    credentials.authToken,
+    credentials.refreshToken,
+    state.testMode
+  );
+  if (credentials.expiresAt) {
+    bot.api.setAuth(credentials.authToken, credentials.refreshToken, credentials.expiresAt);
+  }
+  bot.riskEngine = riskEngine;
+  
+  await bot.loadState();
+  await bot.start();
+  
+  if (!activeBots.has(state.userAddress)) {
+    activeBots.set(state.userAddress, new Map());
+  }
+  activeBots.get(state.userAddress).set(state.ticker, bot);
+  
+  return bot;
+}
+
+/**
+ * Rebuild a BaseStrategy from its stored state and start its loop
+ * A live strategy holds ranges on RadFi, so without stored credentials it
+ * fails to restore rather than carrying on against paper balances.
+ */
+async function restoreStrategy(state) {
+  const credentials = credentialVault.load(state.userAddress) || {};
+  const execution = state.execution === 'live' ? 'live' : 'paper';
+  if (execution === 'live' && !credentials.authToken) {
+    throw new Error(credentialVault.isPersistent()
+      ? 'No stored RadFi credentials for a live strategy'
+      : 'CREDENTIAL_VAULT_KEY not set - live strategy cannot be restored');
+  }
+  
+  const strategy = createStrategy(state.strategy, {
+    userAddress: state.userAddress,
+    tokenConfig: state.tokenConfig,
+    allocation: state.allocation,
+    params: state.strategyParams,
+    authToken: credentials.authToken,
+    refreshToken: credentials.refreshToken,
+    execution,
+    persist: true
+  });
+  if (execution === 'live' && credentials.expiresAt) {
+    strategy.execution.api.setAuth(credentials.authToken, credentials.refreshToken, credentials.expiresAt);
+  }
+  strategy.restoreState(state);
+  
+  if (!activeStrategies.has(state.userAddress)) {
+    activeStrategies.set(state.userAddress, new Map());
+  }
+  activeStrategies.get(state.userAddress).set(state.ticker, strategy);
+  
+  strategy.start().catch(error => console.error(`[Strategy] ${state.strategy} ${state.userAddress}/${state.ticker} stopped:`, error.message));
+  return strategy;
+}
+
+const withdrawalManager = new WithdrawalManager({
+  feeWallet: FEE_WALLET,
+  stopBots: async (userAddress, tickers) => {
+    for (const ticker of tickers) {
+      await stopStrategy(userAddress, ticker);
+      await stopBot(userAddress, ticker);
+    }
+  }
+});
+
+// Withdrawal routes act on the withdrawal's owner
+function requireWithdrawalOwner(req, res, next) {
+  const withdrawal = withdrawalManager.get(req.params.withdrawalId);
+  if (!withdrawal) {
+    return res.status(404).json({ success: false, error: 'Withdrawal not found' });
+  }
+  req.withdrawal = withdrawal;
+  sessions.requireOwner(() => withdrawal.userAddress)(req, res, next);
+}
 
-function logTrade(entry) {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    ...entry
+function withdrawalResponse(withdrawal) {
+  const settlement = withdrawal.settlement || {};
+  const body = {
+    success: withdrawal.status === 'completed',
+    data: {
+      withdrawalId: withdrawal.id,
+      status: withdrawal.status,
+      mode: withdrawal.mode,
+      tickers: withdrawal.tickers,
+      totalDeposited: settlement.totalDeposited,
+      currentValue: settlement.availableBTC,
+      netPnL: settlement.netPnL,
+      platformFee: settlement.platformFee,
+      netWithdrawal: settlement.netWithdrawal,
+      feeWallet: FEE_WALLET,
+      transfers: withdrawal.transfers
+    }
   };
-  console.log('[TRADE LOG]', JSON.stringify(logEntry));
+  if (withdrawal.status !== 'completed') {
+    body.error = `Withdrawal ${withdrawal.id} failed at ${withdrawal.error} - resume via /api/volume-bot/withdrawals/${withdrawal.id}/resume`;
+  }
+  return body;
+}
+
+// Result of the last boot-time recovery (GET /api/admin/volume-bot/recovery)
+const volumeBotRecovery = {
+  status: 'pending',
+  startedAt: null,
+  finishedAt: null,
+  restored: [],
+  skipped: [],
+  failed: []
+};
+
+/**
+ * Restore running volume bots on restart
+ * Every stored bot that was running and not paused is rebuilt and started;
+ * stopped and paused bots are left alone.
+ */
+async function restoreVolumeBots() {
+  console.log('[VolumeBot] Restoring bots from state store...');
+  volumeBotRecovery.status = 'running';
+  volumeBotRecovery.startedAt = Date.now();
   
-  // Append to file
-  try {
-    fs.appendFileSync(tradeLogPath, JSON.stringify(logEntry) + '\n');
-  } catch (e) {
-    console.error('[TRADE LOG] Write error:', e.message);
+  for (const state of stateStore.query(COLLECTIONS.VOLUME_BOTS)) {
+    const entry = { userAddress: state.userAddress, ticker: state.ticker };
+    
+    if (state.paused || state.pausedAt) {
+      volumeBotRecovery.skipped.push({ ...entry, reason: 'paused' });
+      continue;
+    }
+    if (!state.running) {
+      volumeBotRecovery.skipped.push({ ...entry, reason: 'stopped' });
+      continue;
+    }
+    
+    try {
+      const bot = await restoreBot(state);
+      const restored = { ...entry, mode: bot.getMode(), previousMode: state.mode || null };
+      
+      if (state.mode === 'live' && restored.mode !== 'live') {
+        restored.warning = credentialVault.isPersistent()
+          ? 'No stored RadFi credentials - running in SIMULATED mode'
+          : 'CREDENTIAL_VAULT_KEY not set - running in SIMULATED mode';
+      }
+      volumeBotRecovery.restored.push(restored);
+    } catch (error) {
+      console.error(`[VolumeBot] Restore failed for ${state.userAddress}/${state.ticker}:`, error.message);
+      volumeBotRecovery.failed.push({ ...entry, error: error.message });
+    }
+  }
+  
+  volumeBotRecovery.status = 'complete';
+  volumeBotRecovery.finishedAt = Date.now();
+  
+  logTrade({
+    action: 'BOT_RECOVERY',
+    restored: volumeBotRecovery.restored,
+    skipped: volumeBotRecovery.skipped.length,
+    failed: volumeBotRecovery.failed
+  });
+  
+  console.log(`[VolumeBot] Recovery complete: ${volumeBotRecovery.restored.length} restored, ${volumeBotRecovery.skipped.length} skipped, ${volumeBotRecovery.failed.length} failed`);
+  for (const bot of volumeBotRecovery.restored) {
+    console.log(`[VolumeBot]   ✅ ${bot.userAddress}/${bot.ticker} (${bot.mode})${bot.warning ? ' ⚠️ ' + bot.warning : ''}`);
+  }
+  for (const bot of volumeBotRecovery.failed) {
+    console.log(`[VolumeBot]   ❌ ${bot.userAddress}/${bot.ticker}: ${bot.error}`);
   }
 }
 
+// Strategies with their parameter schemas (`deposit` marks those a deposit can select)
+app.get('/api/strategies', (req, res) => {
+  res.json({ success: true, data: listStrategies() });
+});
+
 // Test Volume Bot connection (no real trades)
-app.post('/api/volume-bot/test', async (req, res) => {
+app.post('/api/volume-bot/test', requireOwner, async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     const authToken = authHeader ? authHeader.replace('Bearer ', '') : null;
@@ -730,16 +1138,14 @@ app.post('/api/volume-bot/test', async (req, res) => {
         tests.errors.push(`No pool found for ${ticker}`);
       }
       
-      // Test 2: Fetch token price (uses improved method with fallback)
+      // Test 2: Fetch token price (pool reserves, checked by the price guard)
       if (pool) {
-        const price = await api.getTokenPrice(pool._id, tokenConfig.tokenId);
-        tests.tokenPrice = {
-          price: price,
-          method: price ? 'token-api' : 'failed'
-        };
-        
-        if (!price) {
-          tests.errors.push('Failed to get token price');
+        try {
+          const price = await api.getTokenPrice(pool._id, tokenConfig.tokenId);
+          tests.tokenPrice = { price, method: 'pool-reserves' };
+        } catch (error) {
+          tests.tokenPrice = { price: null, method: 'failed' };
+          tests.errors.push(`Failed to get token price: ${error.message}`);
         }
       }
       
@@ -770,19 +1176,24 @@ app.post('/api/volume-bot/test', async (req, res) => {
 });
 
 // Deposit and start volume bot
-app.post('/api/volume-bot/deposit', async (req, res) => {
+app.post('/api/volume-bot/deposit', requireOwner, async (req, res) => {
   try {
     // CRITICAL: Extract auth token for real trading
     const authHeader = req.headers.authorization;
     const authToken = authHeader ? authHeader.replace('Bearer ', '') : null;
     
-    const { userAddress, amount, tokenAllocations, refreshToken, testMode } = req.body;
+    const {
+      userAddress, amount, tokenAllocations, refreshToken, testMode,
+      strategy = DEFAULT_STRATEGY, strategyParams = {}, execution
+    } = req.body;
     
     logTrade({
       action: 'DEPOSIT_REQUEST',
       userAddress,
       amount,
       tokenAllocations,
+      strategy,
+      strategyParams,
       hasAuth: !!authToken,
       hasRefresh: !!refreshToken,
       testMode: !!testMode
@@ -795,6 +1206,36 @@ app.post('/api/volume-bot/deposit', async (req, res) => {
       });
     }
     
+    const { priceUSD } = await btcPriceFeed.get();
+    const minDeposit = minDepositBTC(priceUSD);
+    if (!(parseFloat(amount) >= minDeposit)) {
+      return res.status(400).json({
+        success: false,
+        error: `Minimum deposit is ${minDeposit.toFixed(8)} BTC ($${MM_CONFIG.minDepositUSD})`
+      });
+    }
+    
+    const strategyCheck = validateParams(strategy, strategyParams);
+    if (!strategyCheck.valid) {
+      return res.status(400).json({ success: false, error: strategyCheck.errors.join('; ') });
+    }
+    const { id: strategyId, engine, deposit } = getStrategy(strategy);
+    if (!deposit) {
+      return res.status(400).json({
+        success: false,
+        error: `Strategy ${strategyId} is backtest-only`
+      });
+    }
+    
+    // Strategy execution: live with an auth token unless paper is asked for
+    if (execution !== undefined && execution !== 'live' && execution !== 'paper') {
+      return res.status(400).json({ success: false, error: 'execution must be "live" or "paper"' });
+    }
+    const strategyExecution = execution || (authToken && !testMode ? 'live' : 'paper');
+    if (engine === 'strategy' && strategyExecution === 'live' && !authToken) {
+      return res.status(400).json({ success: false, error: 'Live execution needs an auth token' });
+    }
+    
     // Warn if no auth token - trades will be simulated
     if (!authToken) {
       console.warn('[VolumeBot] ⚠️ No auth token provided - running in SIMULATED mode');
@@ -805,12 +1246,15 @@ app.post('/api/volume-bot/deposit', async (req, res) => {
       });
     }
     
-    // Initialize user's bot map if not exists
-    if (!activeBots.has(userAddress)) {
-      activeBots.set(userAddress, new Map());
+    // Keep the tokens (encrypted) so resumed and restored bots stay live
+    if (authToken) {
+      credentialVault.save(userAddress, {
+        authToken,
+        refreshToken,
+        expiresAt: Date.now() + 9 * 60 * 1000
+      });
     }
     
-    const userBots = activeBots.get(userAddress);
     const startedBots = [];
     
     // Start a bot for each token allocation
@@ -828,23 +1272,62 @@ app.post('/api/volume-bot/deposit', async (req, res) => {
         continue;
       }
       
-      // Create bot WITH auth tokens for real trading
-      const bot = new VolumeBot(userAddress, tokenConfig, allocation, authToken, refreshToken, testMode);
+      // One bot per token: whatever runs for it now is replaced
+      await stopStrategy(userAddress, ticker);
+      await stopBot(userAddress, ticker, { withdrawLadder: true });
+      
+      // Create the chosen strategy WITH auth tokens for real trading
+      const bot = createStrategy(strategyId, {
+        userAddress,
+        tokenConfig,
+        allocation,
+        params: strategyParams,
+        authToken,
+        refreshToken,
+        testMode,
+        execution: strategyExecution,
+        persist: true
+      });
       
       logTrade({
         action: 'BOT_STARTING',
         userAddress,
         ticker,
         allocation,
+        strategy: strategyId,
         authMode: testMode ? 'TEST' : (authToken ? 'LIVE' : 'SIMULATED')
       });
       
+      // BaseStrategy classes run their own loop (live or paper execution)
+      if (engine === 'strategy') {
+        if (!activeStrategies.has(userAddress)) activeStrategies.set(userAddress, new Map());
+        activeStrategies.get(userAddress).set(ticker, bot);
+        
+        bot.start().catch(error => console.error(`[Strategy] ${strategyId} ${userAddress}/${ticker} stopped:`, error.message));
+        bot.saveState(); // Saved as running before its first tick completes
+        
+        startedBots.push({
+          ticker,
+          allocation,
+          strategy: strategyId,
+          status: 'started',
+          mode: bot.execution.mode === 'live' ? 'live' : 'simulated',
+          execution: bot.execution.mode
+        });
+        logTrade({ action: 'BOT_STARTED', userAddress, ticker, allocation, strategy: strategyId, execution: bot.execution.mode });
+        continue;
+      }
+      
+      bot.riskEngine = riskEngine;
+      
       await bot.start();
       
-      userBots.set(ticker, bot);
+      if (!activeBots.has(userAddress)) activeBots.set(userAddress, new Map());
+      activeBots.get(userAddress).set(ticker, bot);
       startedBots.push({
         ticker,
         allocation,
+        strategy: strategyId,
         status: 'started',
         mode: authToken ? 'live' : 'simulated'
       });
@@ -854,6 +1337,7 @@ app.post('/api/volume-bot/deposit', async (req, res) => {
         userAddress,
         ticker,
         allocation,
+        strategy: strategyId,
         startPrice: bot.startPrice,
         poolId: bot.tokenConfig.poolId
       });
@@ -864,6 +1348,7 @@ app.post('/api/volume-bot/deposit', async (req, res) => {
       data: {
         userAddress,
         totalDeposited: amount,
+        strategy: strategyId,
         bots: startedBots,
         tradingMode: authToken ? 'LIVE' : 'SIMULATED'
       }
@@ -881,7 +1366,7 @@ app.post('/api/volume-bot/deposit', async (req, res) => {
 });
 
 // Get metrics for a user
-app.get('/api/volume-bot/metrics/:userAddress', async (req, res) => {
+app.get('/api/volume-bot/metrics/:userAddress', requireOwner, async (req, res) => {
   try {
     const { userAddress } = req.params;
     const metrics = await performanceMonitor.getMetrics(userAddress);
@@ -897,7 +1382,7 @@ app.get('/api/volume-bot/metrics/:userAddress', async (req, res) => {
 });
 
 // Get dashboard data (metrics + alerts + trades)
-app.get('/api/volume-bot/dashboard/:userAddress', async (req, res) => {
+app.get('/api/volume-bot/dashboard/:userAddress', requireOwner, async (req, res) => {
   try {
     const { userAddress } = req.params;
     const dashboard = await reportingMonitor.getDashboardData(userAddress);
@@ -913,7 +1398,7 @@ app.get('/api/volume-bot/dashboard/:userAddress', async (req, res) => {
 });
 
 // Get position details for a specific token
-app.get('/api/volume-bot/position/:userAddress/:ticker', async (req, res) => {
+app.get('/api/volume-bot/position/:userAddress/:ticker', requireOwner, async (req, res) => {
   try {
     const { userAddress, ticker } = req.params;
     const position = await reportingMonitor.getPositionDetails(userAddress, ticker);
@@ -936,7 +1421,7 @@ app.get('/api/volume-bot/position/:userAddress/:ticker', async (req, res) => {
 });
 
 // Get alerts
-app.get('/api/volume-bot/alerts/:userAddress', async (req, res) => {
+app.get('/api/volume-bot/alerts/:userAddress', requireOwner, async (req, res) => {
   try {
     const { userAddress } = req.params;
     const alerts = await riskMonitor.checkLimits(userAddress);
@@ -953,21 +1438,16 @@ app.get('/api/volume-bot/alerts/:userAddress', async (req, res) => {
 });
 
 // Pause volume bot for a token
-app.post('/api/volume-bot/pause/:userAddress/:ticker', async (req, res) => {
+app.post('/api/volume-bot/pause/:userAddress/:ticker', requireOwner, async (req, res) => {
   try {
     const { userAddress, ticker } = req.params;
     
     // Stop the running bot if exists
-    if (activeBots.has(userAddress)) {
-      const userBots = activeBots.get(userAddress);
-      if (userBots.has(ticker)) {
-        await userBots.get(ticker).stop();
-        userBots.delete(ticker);
-      }
-    }
+    await stopBot(userAddress, ticker);
+    await stopStrategy(userAddress, ticker);
     
     // Mark as paused in storage
-    await riskMonitor.pausePosition(userAddress, ticker);
+    await riskMonitor.pausePosition(userAddress, ticker, 'Paused by user');
     
     res.json({
       success: true,
@@ -980,38 +1460,35 @@ app.post('/api/volume-bot/pause/:userAddress/:ticker', async (req, res) => {
 });
 
 // Resume volume bot for a token
-app.post('/api/volume-bot/resume/:userAddress/:ticker', async (req, res) => {
+app.post('/api/volume-bot/resume/:userAddress/:ticker', requireOwner, async (req, res) => {
   try {
     const { userAddress, ticker } = req.params;
     
-    // Mark as resumed in storage
-    await riskMonitor.resumePosition(userAddress, ticker);
-    
-    // Restart the bot
-    const tokenConfig = require('../mm/production-config').TOKENS[ticker];
-    if (!tokenConfig) {
+    const running = activeBots.get(userAddress)?.get(ticker);
+    if (running?.running || activeStrategies.get(userAddress)?.get(ticker)?.isRunning) {
       return res.status(400).json({
         success: false,
-        error: `Unknown ticker: ${ticker}`
+        error: `Volume bot already running for ${ticker}`
       });
     }
     
-    // Load saved state and restart
-    const bot = new VolumeBot(userAddress, tokenConfig, 0);
-    const loaded = await bot.loadState(userAddress, ticker);
-    
-    if (loaded) {
-      await bot.start();
-      
-      if (!activeBots.has(userAddress)) {
-        activeBots.set(userAddress, new Map());
-      }
-      activeBots.get(userAddress).set(ticker, bot);
+    // Mark as resumed in storage
+    const resumed = await riskMonitor.resumePosition(userAddress, ticker);
+    if (!resumed) {
+      return res.status(404).json({
+        success: false,
+        error: `No saved volume bot for ${ticker}`
+      });
     }
     
+    // Restart the bot from its saved state
+    const state = stateStore.get(COLLECTIONS.VOLUME_BOTS, `${userAddress}:${ticker}`);
+    const bot = await restoreBot(state);
+    
     res.json({
       success: true,
-      message: `Volume bot resumed for ${ticker}`
+      message: `Volume bot resumed for ${ticker}`,
+      data: { mode: bot.getMode() }
     });
   } catch (error) {
     console.error('[VolumeBot] Resume error:', error);
@@ -1019,53 +1496,51 @@ app.post('/api/volume-bot/resume/:userAddress/:ticker', async (req, res) => {
   }
 });
 
-// Withdraw all funds and close positions
-app.post('/api/volume-bot/withdraw/:userAddress', async (req, res) => {
+// Withdraw funds: stop bots, pull LP positions, swap to BTC, send fee and remainder
+app.post('/api/volume-bot/withdraw/:userAddress', requireOwner, async (req, res) => {
   try {
     const { userAddress } = req.params;
+    const { ticker = null, swapToBTC = true, destination } = req.body || {};
     
-    // Stop all running bots
-    if (activeBots.has(userAddress)) {
-      const userBots = activeBots.get(userAddress);
-      for (const [ticker, bot] of userBots.entries()) {
-        await bot.stop();
-      }
-      activeBots.delete(userAddress);
+    // Payout goes to an address of this wallet session, named explicitly
+    if (destination && !sessions.owns(req.session, destination) && !sessions.isAdmin(req.session)) {
+      return res.status(403).json({ success: false, error: 'destination must be an address of the connected wallet' });
     }
     
-    // Calculate final metrics and fees
-    const metrics = await performanceMonitor.getMetrics(userAddress);
-    
-    // Calculate platform fee (10% of profits only)
-    let platformFee = 0;
-    if (metrics.netPnL > 0) {
-      platformFee = metrics.netPnL * 0.10;
+    let withdrawal;
+    try {
+      withdrawal = withdrawalManager.create({ userAddress, ticker, swapToBTC, destination });
+    } catch (error) {
+      return res.status(error.status || 400).json({ success: false, error: error.message });
     }
     
-    const netWithdrawal = metrics.currentValue - platformFee;
-    
-    res.json({
-      success: true,
-      data: {
-        totalDeposited: metrics.totalDeposited,
-        currentValue: metrics.currentValue,
-        netPnL: metrics.netPnL,
-        platformFee,
-        netWithdrawal,
-        feeWallet: FEE_WALLET
-      }
-    });
-    
-    // TODO: Execute actual withdrawal transaction to user's wallet
+    withdrawal = await withdrawalManager.run(withdrawal.id);
+    res.json(withdrawalResponse(withdrawal));
     
   } catch (error) {
     console.error('[VolumeBot] Withdraw error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Withdrawal status
+app.get('/api/volume-bot/withdrawals/:withdrawalId', requireWithdrawalOwner, (req, res) => {
+  res.json({ success: true, data: req.withdrawal });
+});
+
+// Resume a failed withdrawal from the step it stopped at
+app.post('/api/volume-bot/withdrawals/:withdrawalId/resume', requireWithdrawalOwner, async (req, res) => {
+  try {
+    const withdrawal = await withdrawalManager.run(req.params.withdrawalId);
+    res.json(withdrawalResponse(withdrawal));
+  } catch (error) {
+    console.error('[VolumeBot] Withdrawal resume error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
 // Get recent trades
-app.get('/api/volume-bot/trades/:userAddress', async (req, res) => {
+app.get('/api/volume-bot/trades/:userAddress', requireOwner, async (req, res) => {
   try {
     const { userAddress } = req.params;
     const { limit = 20 } = req.query;
@@ -1082,6 +1557,78 @@ app.get('/api/volume-bot/trades/:userAddress', async (req, res) => {
   }
 });
 
+// Daily volume / fees / PnL history (per UTC day, per token)
+app.get('/api/volume-bot/history/:userAddress', requireOwner, async (req, res) => {
+  try {
+    const { userAddress } = req.params;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    
+    const history = await performanceMonitor.getVolumeHistory(userAddress, days);
+    
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('[VolumeBot] Get history error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Accounting export: ledger entries with FIFO / average cost basis and realized gains
+app.get('/api/volume-bot/export/:userAddress', requireOwner, async (req, res) => {
+  try {
+    const { userAddress } = req.params;
+    const { format = 'json' } = req.query;
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ success: false, error: 'format must be json or csv' });
+    }
+    
+    // from/to: ms timestamps or dates (2026-01-01)
+    const parseTime = value => value === undefined ? undefined
+      : (/^\d+$/.test(value) ? parseInt(value) : Date.parse(value));
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ success: false, error: 'from/to must be ms timestamps or dates' });
+    }
+    
+    const data = await reportingMonitor.exportMetrics(userAddress, format, { from, to });
+    
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="radlabs-${userAddress.slice(0, 10)}-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(data);
+    }
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('[VolumeBot] Export error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ ADMIN ============
+
+// Boot-time volume bot recovery report
+app.get('/api/admin/volume-bot/recovery', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...volumeBotRecovery,
+      activeBots: [...activeBots.values()].reduce((sum, bots) => sum + bots.size, 0)
+    }
+  });
+});
+
+// Price circuit breakers (per pool) and recent trips
+app.get('/api/admin/price-guard', (req, res) => {
+  res.json({ success: true, data: priceGuard.getStatus() });
+});
+
 // ============ SERVE FRONTEND ============
 
 app.get('*', (req, res) => {
@@ -1100,6 +1647,13 @@ app.listen(PORT, () => {
 ║  ✅ REAL LIVE DATA                                         ║
 ╚════════════════════════════════════════════════════════════╝
   `);
+  
+  btcPriceFeed.start();
+  
+  restoreVolumeBots().catch(error => {
+    console.error('[VolumeBot] Recovery error:', error);
+    volumeBotRecovery.status = 'failed';
+  });
 });
 
 module.exports = app;
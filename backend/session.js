@@ -0,0 +1,136 @@
+/**
+ * RadLabs Sessions
+ *
+ * Our own signed session, issued once RadFi has verified the wallet's BIP322
+ * signature (/api/auth/authenticate). User-scoped routes check that the
+ * session owns the address they act on; admin routes check the role.
+ *
+ * - Sent as the X-RadLabs-Session header
+ * - token = base64url(claims) + '.' + HMAC-SHA256(claims)
+ * - Claims: the signing wallet and its RadFi trading wallet (both owned), expiry
+ * - Key from SESSION_SECRET; without it a random per-process key is used and
+ *   sessions end on restart
+ * - Admins: addresses listed in ADMIN_ADDRESSES (comma separated), checked on
+ *   every request so removing an address takes effect immediately
+ */
+
+const crypto = require('crypto');
+
+const SESSION_HEADER = 'x-radlabs-session';
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+class SessionManager {
+  constructor({
+    secret = process.env.SESSION_SECRET,
+    ttlMs = DEFAULT_TTL_MS,
+    adminAddresses = (process.env.ADMIN_ADDRESSES || '').split(',')
+  } = {}) {
+    if (!secret) {
+      console.warn('[Session] SESSION_SECRET not set - using a per-process key, sessions end on restart');
+    }
+    this.key = secret || crypto.randomBytes(32).toString('hex');
+    this.ttlMs = ttlMs;
+    this.admins = new Set(adminAddresses.map(a => a.trim()).filter(Boolean));
+  }
+
+  /**
+   * Issue a session for a verified wallet
+   * @returns {object} { token, expiresAt, addresses, admin }
+   */
+  issue({ address, tradingAddress = null }) {
+    const claims = {
+      addresses: [...new Set([address, tradingAddress].filter(Boolean))],
+      iat: Date.now(),
+      exp: Date.now() + this.ttlMs
+    };
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+
+    return {
+      token: `${body}.${this.mac(body)}`,
+      expiresAt: claims.exp,
+      addresses: claims.addresses,
+      admin: this.isAdmin(claims)
+    };
+  }
+
+  /**
+   * @returns {object|null} Claims, or null if the token is missing, forged or expired
+   */
+  verify(token) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(this.mac(body));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return Date.now() < claims.exp ? claims : null;
+  }
+
+  owns(session, address) {
+    return !!session && !!address && session.addresses.includes(address);
+  }
+
+  isAdmin(session) {
+    return !!session && session.addresses.some(a => this.admins.has(a));
+  }
+
+  // ============ MIDDLEWARE ============
+
+  /**
+   * Require a valid session (sets req.session)
+   */
+  authenticate() {
+    return (req, res, next) => {
+      const session = this.verify(req.headers[SESSION_HEADER]);
+      if (!session) {
+        return res.status(401).json({ success: false, error: 'Session required - authenticate your wallet' });
+      }
+      req.session = session;
+      next();
+    };
+  }
+
+  /**
+   * Require a session that owns the target address (admins may act on any)
+   * @param {Function} getAddress - req → target address (default: :userAddress, then body.userAddress)
+   */
+  requireOwner(getAddress = req => req.params.userAddress || req.body?.userAddress) {
+    const authenticate = this.authenticate();
+
+    return (req, res, next) => authenticate(req, res, () => {
+      const address = getAddress(req);
+      if (!address) {
+        return res.status(400).json({ success: false, error: 'userAddress is required' });
+      }
+      if (!this.owns(req.session, address) && !this.isAdmin(req.session)) {
+        return res.status(403).json({ success: false, error: 'Session does not own this address' });
+      }
+      next();
+    });
+  }
+
+  /**
+   * Require a session with the admin role
+   */
+  requireAdmin() {
+    const authenticate = this.authenticate();
+
+    return (req, res, next) => authenticate(req, res, () => {
+      if (!this.isAdmin(req.session)) {
+        return res.status(403).json({ success: false, error: 'Admin only' });
+      }
+      next();
+    });
+  }
+
+  mac(body) {
+    return crypto.createHmac('sha256', this.key).update(body).digest('base64url');
+  }
+}
+
+module.exports = {
+  SessionManager,
+  SESSION_HEADER
+};
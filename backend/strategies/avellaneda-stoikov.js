@@ -0,0 +1,260 @@
+/**
+ * Avellaneda-Stoikov Market Making Strategy
+ * Inventory-aware quoting ("High-frequency trading in a limit order book",
+ * Avellaneda & Stoikov 2008), in log price so spreads map onto ticks:
+ *
+ *   reservation price   r = s − q·γ·σ²·τ
+ *   optimal spread      δ = γ·σ²·τ + (2/γ)·ln(1 + γ/k)
+ *   quotes              bid r − δ/2, ask r + δ/2
+ *
+ *   s  log mid price               σ²  variance of log returns per day
+ *   q  inventory off target, in quote sizes
+ *   γ  risk aversion               τ   horizon in days
+ *   k  order-arrival decay: swaps reaching δ from mid arrive at λ(δ) = A·e^(−kδ)
+ *
+ * σ comes from the prices seen on each tick. A and k are fitted from pool swap
+ * history (the price move each swap made, counted by depth), from the prices
+ * seen when the pool has too few swaps, and default to intensityK until
+ * either has enough samples.
+ *
+ * Quotes rest as one-spacing tick ranges (TickMath): the bid holds BTC just
+ * below the bid price, the ask holds tokens just above the ask. A quote is
+ * replaced when price has crossed into it (the fill) or its target tick moves.
+ */
+
+const BaseStrategy = require('./base-strategy');
+const { TickMath } = require('../../mm/market-maker');
+
+const SATS = 1e8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_SIZE = 200;      // Pool swaps fitted per refit
+const REFIT_TICKS = 10;        // Ticks between intensity refits
+const MIN_SAMPLES = 10;        // Price moves needed for a fit
+const DEPTH_LEVELS = 10;       // Depth quantiles in the fit
+const MIN_QUOTE_BTC = 0.00001; // Smaller quotes are skipped
+
+class AvellanedaStoikovStrategy extends BaseStrategy {
+  static params = {
+    ...BaseStrategy.params,
+    tickInterval: { ...BaseStrategy.params.tickInterval, default: 60000 },
+    riskAversion: { type: 'number', default: 1, min: 0.01, max: 20, description: 'Risk aversion γ: higher skews quotes harder against inventory' },
+    horizonHours: { type: 'number', default: 24, min: 1, max: 720, description: 'Horizon τ over which inventory risk is priced (hours)' },
+    orderSize: { type: 'number', default: 0.1, min: 0.01, max: 0.5, description: 'Quote size as a share of capital' },
+    tokenTarget: { type: 'number', default: 0.5, min: 0.1, max: 0.9, description: 'Target token share of inventory (q = 0)' },
+    intensityK: { type: 'number', default: 50, min: 1, max: 10000, description: 'Order-arrival decay k until pool history allows a fit' },
+    volatilityWindow: { type: 'integer', default: 120, min: 10, max: 2000, description: 'Price observations in the volatility estimate' },
+    minSpread: { type: 'number', default: 0.01, min: 0.001, max: 0.2, description: 'Narrowest quoted spread (1% = 0.01)' },
+    maxSpread: { type: 'number', default: 0.2, min: 0.01, max: 1, description: 'Widest quoted spread' }
+  };
+
+  constructor(config) {
+    super({ ...AvellanedaStoikovStrategy.defaults(), ...config });
+
+    this.tickSpacing = this.position.token.tickSpacing || 200;
+    this.observations = [];  // { timestamp, price } seen by tick(), oldest first
+    this.intensity = { A: null, k: this.config.intensityK, samples: 0, source: 'default' };
+    this.quotes = null;      // Latest computeQuotes() result
+    this.ticks = 0;
+  }
+
+  async tick() {
+    const market = await this.getMarketData();
+    const currentPrice = market.priceInSats;
+    this.lastPrice = currentPrice;
+
+    this.observe(market.timestamp ?? Date.now(), currentPrice);
+    if (this.ticks++ % REFIT_TICKS === 0) {
+      await this.refitIntensity();
+    }
+
+    this.quotes = this.computeQuotes(currentPrice);
+    await this.updateQuote('bid', this.quotes.bid, currentPrice);
+    await this.updateQuote('ask', this.quotes.ask, currentPrice);
+  }
+
+  observe(timestamp, price) {
+    this.observations.push({ timestamp, price });
+    if (this.observations.length > this.config.volatilityWindow + 1) {
+      this.observations.shift();
+    }
+  }
+
+  /**
+   * Variance of log returns per day over the observation window
+   */
+  variance() {
+    let squared = 0;
+    let days = 0;
+
+    for (let i = 1; i < this.observations.length; i++) {
+      const prev = this.observations[i - 1];
+      const next = this.observations[i];
+      squared += Math.log(next.price / prev.price) ** 2;
+      days += (next.timestamp - prev.timestamp) / DAY_MS;
+    }
+
+    return days > 0 ? squared / days : 0;
+  }
+
+  /**
+   * Fit λ(δ) = A·e^(−kδ) from pool swaps, else from the observed prices
+   */
+  async refitIntensity() {
+    let swaps = [];
+    try {
+      swaps = await this.execution.getPoolSwaps(HISTORY_SIZE);
+    } catch (error) {
+      console.error(`[${this.constructor.name}] Pool history unavailable:`, error.message);
+    }
+
+    const fit = AvellanedaStoikovStrategy.fitIntensity(swaps, 'pool')
+      || AvellanedaStoikovStrategy.fitIntensity(this.observations, 'observed');
+    if (fit) this.intensity = fit;
+  }
+
+  /**
+   * Least-squares fit of ln λ(δ) = ln A − kδ, where λ(δ) is how many price
+   * moves per day reached at least δ (log-price distance)
+   * @param {Array} points - [{ timestamp, price }], oldest first
+   * @returns {object|null} { A, k, samples, source }, or null without enough moves
+   */
+  static fitIntensity(points, source) {
+    const moves = [];
+    for (let i = 1; i < points.length; i++) {
+      const move = Math.abs(Math.log(points[i].price / points[i - 1].price));
+      if (move > 0 && Number.isFinite(move)) moves.push(move);
+    }
+
+    const days = points.length > 1 ? (points[points.length - 1].timestamp - points[0].timestamp) / DAY_MS : 0;
+    if (moves.length < MIN_SAMPLES || !(days > 0)) return null;
+
+    moves.sort((a, b) => a - b);
+
+    const xs = [];
+    const ys = [];
+    for (let level = 0; level < DEPTH_LEVELS; level++) {
+      const depth = moves[Math.floor(level * moves.length / DEPTH_LEVELS)];
+      if (xs.includes(depth)) continue;
+      const reached = moves.length - moves.findIndex(move => move >= depth);
+      xs.push(depth);
+      ys.push(Math.log(reached / days));
+    }
+    if (xs.length < 3) return null;
+
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+    let covariance = 0;
+    let varianceX = 0;
+    for (let i = 0; i < xs.length; i++) {
+      covariance += (xs[i] - meanX) * (ys[i] - meanY);
+      varianceX += (xs[i] - meanX) ** 2;
+    }
+
+    const k = -covariance / varianceX;
+    if (!(k > 0)) return null;
+
+    return { A: Math.exp(meanY + k * meanX), k, samples: moves.length, source };
+  }
+
+  /**
+   * Reservation price, optimal spread and quotes (sats per whole token)
+   */
+  computeQuotes(currentPrice) {
+    const { riskAversion: gamma, horizonHours, orderSize, tokenTarget, minSpread, maxSpread } = this.config;
+
+    // Ranges count toward inventory at what they hold now
+    const holdings = this.execution.holdings(currentPrice);
+    const tokenValue = holdings.token * currentPrice / SATS;
+    const totalValue = holdings.btc + tokenValue;
+    const quoteSize = orderSize * this.config.capital;
+    const q = (tokenValue - tokenTarget * totalValue) / quoteSize;
+
+    const sigma2 = this.variance();
+    const tau = horizonHours / 24;
+    const k = this.intensity.k;
+
+    const reservation = Math.log(currentPrice) - q * gamma * sigma2 * tau;
+    const optimal = gamma * sigma2 * tau + (2 / gamma) * Math.log(1 + gamma / k);
+    const spread = Math.min(Math.max(optimal, minSpread), maxSpread);
+
+    return {
+      mid: currentPrice,
+      reservation: Math.exp(reservation),
+      spread,
+      optimalSpread: optimal,
+      bid: Math.exp(reservation - spread / 2),
+      ask: Math.exp(reservation + spread / 2),
+      inventory: q,
+      volatility: Math.sqrt(sigma2),
+      intensity: this.intensity
+    };
+  }
+
+  /**
+   * One-spacing range for a quote, kept on its side of the current price
+   * (bids wholly below it, asks wholly above)
+   */
+  quoteRange(side, quotePrice, currentPrice) {
+    const currentTick = this.priceToTick(currentPrice);
+    const quoteTick = TickMath.nearestUsableTick(this.priceToTick(quotePrice), this.tickSpacing);
+
+    if (side === 'bid') {
+      const upperTick = Math.min(quoteTick, Math.floor(currentTick / this.tickSpacing) * this.tickSpacing);
+      return { lowerTick: upperTick - this.tickSpacing, upperTick };
+    }
+    const lowerTick = Math.max(quoteTick, Math.ceil((currentTick + 1) / this.tickSpacing) * this.tickSpacing);
+    return { lowerTick, upperTick: lowerTick + this.tickSpacing };
+  }
+
+  /**
+   * Keep one range per side at the quote: withdraw it once price has crossed
+   * into it or the quote has moved, then rest a new one from free balances
+   */
+  async updateQuote(side, quotePrice, currentPrice) {
+    const range = this.quoteRange(side, quotePrice, currentPrice);
+    const resting = [...this.execution.positions.values()].find(p => p.side === side);
+
+    if (resting) {
+      const crossed = side === 'bid'
+        ? currentPrice < this.tickToPrice(resting.upperTick)
+        : currentPrice > this.tickToPrice(resting.lowerTick);
+      if (!crossed && resting.lowerTick === range.lowerTick) return;
+
+      const result = await this.cancelLimitOrder(resting.id);
+      if (!result) return;
+    }
+
+    const quoteSize = this.config.orderSize * this.config.capital;
+    const { btc, token } = this.execution.balances;
+
+    if (side === 'bid') {
+      const amountBTC = Math.min(quoteSize, btc);
+      if (amountBTC < MIN_QUOTE_BTC) return;
+      await this.createLimitOrder({ side, ...range, amountBTC });
+    } else {
+      const amountToken = Math.min(quoteSize * SATS / currentPrice, token);
+      if (amountToken * currentPrice / SATS < MIN_QUOTE_BTC) return;
+      await this.createLimitOrder({ side, ...range, amountToken });
+    }
+  }
+
+  // Volatility window and intensity fit survive a restart (BaseStrategy.saveState)
+  strategyState() {
+    return { observations: this.observations, intensity: this.intensity, ticks: this.ticks };
+  }
+
+  restoreStrategyState(state) {
+    if (state.observations) this.observations = state.observations;
+    if (state.intensity) this.intensity = state.intensity;
+    this.ticks = state.ticks || 0;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      quotes: this.quotes
+    };
+  }
+}
+
+module.exports = AvellanedaStoikovStrategy;
@@ -1,20 +1,91 @@
 /**
  * Base Market Making Strategy for RadFi
  * All strategies extend this class
+ *
+ * Orders go through an execution adapter (./execution.js): config.execution is
+ * 'live', 'paper', 'backtest' or an adapter instance (default: paper, even
+ * with an auth token). After every tick the inventory is taken from the
+ * adapter's balances, so it reflects actual fills.
+ *
+ * Swap fills and closed LP positions feed a PnL engine (mm/pnl.js, prices in
+ * BTC per whole token); calculatePnL() marks it at the latest market price.
+ *
+ * Limit orders are single-sided tick ranges (createLimitOrder, after
+ * PositionManager.createLimitOrder in mm/market-maker.js): bids hold BTC below
+ * the price, asks hold tokens above it. stop() pulls every open range.
+ *
+ * Deposited strategies (config.persist) save their state to the bot-state
+ * store after every tick and on stop, under the same key and in the same units
+ * as a VolumeBot (token base units, prices in BTC and sats per base unit), so
+ * restore, pause/resume, withdrawal and the risk and performance monitors
+ * treat both alike. restoreState() rebuilds balances, open ranges and PnL;
+ * subclasses add their own fields via strategyState()/restoreStrategyState().
  */
 
+const { tradeGuard } = require('../../mm/trade-guard');
+const { TickMath } = require('../../mm/market-maker');
+const { PnLEngine } = require('../../mm/pnl');
+const { stateStore, COLLECTIONS } = require('../../mm/state-store');
+const { btcPriceFeed } = require('../../mm/btc-price');
+const { createAdapter } = require('./execution');
+
+const SATS = 1e8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAVED_TRADES = 500; // Trades kept in the saved state
+
 class BaseStrategy {
+  /**
+   * Tunable parameters: name → { type: 'number'|'integer'|'boolean', default,
+   * min, max, description }. Subclasses extend it; the registry (./index.js)
+   * validates deposit params against it.
+   */
+  static params = {
+    tickInterval: { type: 'integer', default: 5000, min: 1000, max: 300000, description: 'Milliseconds between ticks' }
+  };
+
+  /**
+   * Checks across parameters once each is valid on its own
+   * @returns {string[]} Errors
+   */
+  static validate(params) {
+    return [];
+  }
+
+  /**
+   * Default value of every parameter
+   */
+  static defaults() {
+    return Object.fromEntries(Object.entries(this.params).map(([name, spec]) => [name, spec.default]));
+  }
+
   constructor(config) {
     this.config = config;
+    this.guard = config.guard === undefined ? tradeGuard : config.guard;
     this.position = {
       token: config.token,
       capital: config.capital,
       inventory: { btc: config.capital, token: 0 },
       pnl: 0,
       trades: [],
+      failedOrders: 0,
+      liquidity: [],  // Open LP positions (from the execution adapter)
       startTime: Date.now()
     };
+    this.lastPrice = null; // Latest price seen by tick()
+    this.marketPrice = null; // Latest priceInSats from getMarketData()
+    this.startPrice = null;  // First market price, BTC per base unit (saved state)
+    this.pnl = new PnLEngine({ capital: config.capital });
     this.isRunning = false;
+    this.persist = !!config.persist;
+    
+    this.execution = createAdapter(config.execution || 'paper', {
+      token: config.token,
+      capital: config.capital,
+      userAddress: config.userAddress,
+      authToken: config.authToken,
+      refreshToken: config.refreshToken,
+      transport: config.transport
+    });
   }
 
   /**
@@ -28,7 +99,8 @@ class BaseStrategy {
     // Main strategy loop
     while (this.isRunning) {
       try {
-        await this.tick();
+        this.stepping = this.step();
+        await this.stepping;
         await this.sleep(this.config.tickInterval || 5000);
       } catch (error) {
         console.error(`[${this.constructor.name}] Error:`, error);
@@ -38,13 +110,30 @@ class BaseStrategy {
   }
 
   /**
-   * Stop the strategy
+   * Stop the strategy: let the current tick finish, then pull open ranges
    */
-  stop() {
+  async stop() {
     this.isRunning = false;
+    await this.stepping?.catch(() => {});
+    await this.cancelAllOrders();
+    this.syncInventory();
+    this.saveState();
     console.log(`[${this.constructor.name}] Stopped`);
   }
 
+  /**
+   * One tick, then settle the inventory to the adapter's balances
+   * (BacktestRunner calls this once per step)
+   */
+  async step() {
+    try {
+      await this.tick();
+    } finally {
+      this.syncInventory();
+      this.saveState();
+    }
+  }
+
   /**
    * Main strategy logic - override in child classes
    */
@@ -53,61 +142,236 @@ class BaseStrategy {
   }
 
   /**
-   * Fetch current market data from RadFi
+   * Free balances and open LP positions from the execution adapter
+   */
+  syncInventory() {
+    this.position.inventory = { ...this.execution.balances };
+    this.position.liquidity = [...this.execution.positions.values()];
+  }
+
+  /**
+   * Current market data from the execution adapter ({ priceInSats, ... })
    */
   async getMarketData() {
-    const response = await fetch(`http://localhost:3000/api/tokens?tokenId_eq=${this.position.token.tokenId}`);
-    const data = await response.json();
-    return data.data[0];
+    const market = await this.execution.getMarketData();
+    this.marketPrice = market.priceInSats;
+    if (this.startPrice === null && market.priceInSats > 0) {
+      this.startPrice = market.priceInSats / Math.pow(10, this.position.token.decimals ?? 0) / SATS;
+    }
+    return market;
   }
 
   /**
-   * Execute a swap on RadFi
+   * Execute a swap (BTC amounts in BTC, token amounts in whole tokens)
+   * Returns null if the self-trade guard blocks the order or execution fails
    */
   async executeSwap(fromToken, toToken, amountIn, isExactIn = true) {
-    // TODO: Implement via RadFi API
-    // POST /api/transactions with type: 'swap'
-    console.log(`[${this.constructor.name}] SWAP: ${amountIn} ${fromToken} -> ${toToken}`);
+    if (!isExactIn) {
+      throw new Error('Only exact-in swaps are supported');
+    }
+    
+    const side = fromToken === 'BTC' ? 'buy' : 'sell';
+    const order = {
+      userAddress: this.config.userAddress,
+      poolId: this.position.token.poolId,
+      side,
+      price: this.lastPrice,
+      size: amountIn,
+      source: this.constructor.name
+    };
+    
+    if (this.guard) {
+      const check = this.guard.checkOrder(order);
+      if (!check.allowed) {
+        console.log(`[${this.constructor.name}] SWAP blocked: ${check.reason}`);
+        return null;
+      }
+    }
+    
+    let fill;
+    try {
+      fill = await this.execution.swap({ side, amountIn });
+    } catch (error) {
+      this.orderFailed(`SWAP ${amountIn} ${fromToken} -> ${toToken}`, error);
+      return null;
+    }
+    
+    if (this.guard) this.guard.recordExecution(order);
+    this.pnl.recordFill({
+      side,
+      tokenAmount: fill.tokenAmount,
+      btcAmount: fill.btcAmount,
+      feeBTC: fill.feeBTC,
+      price: fill.midPrice / SATS,
+      timestamp: fill.time,
+      id: fill.id
+    });
+    if (this.execution.mode !== 'backtest') {
+      console.log(`[${this.constructor.name}] SWAP (${fill.mode}): ${fill.amountIn} ${fromToken} -> ${fill.amountOut} ${toToken}`);
+    }
     
-    // For now, simulate
     const trade = {
-      time: Date.now(),
+      time: fill.time,
       fromToken,
       toToken,
-      amountIn,
-      amountOut: amountIn * 0.995, // Assume 0.5% spread
-      type: isExactIn ? 'buy' : 'sell'
+      amountIn: fill.amountIn,
+      amountOut: fill.amountOut,
+      type: side,
+      price: fill.price,
+      feeBTC: fill.feeBTC,
+      txId: fill.txId,
+      mode: fill.mode
     };
     
+    trade.btcAmount = fill.btcAmount;
+    if (this.execution.mode !== 'backtest') {
+      trade.volumeUSD = fill.btcAmount * btcPriceFeed.current().priceUSD;
+    }
+    
     this.position.trades.push(trade);
     return trade;
   }
 
   /**
-   * Provide liquidity to RadFi pool
+   * Provide liquidity to the RadFi pool (full range unless ticks are given)
+   * @returns {object|null} Position, or null if execution fails
+   */
+  async provideLiquidity(amount0, amount1, { lowerTick, upperTick } = {}) {
+    try {
+      const position = await this.execution.provideLiquidity({ amountBTC: amount0, amountToken: amount1, lowerTick, upperTick });
+      if (this.execution.mode !== 'backtest') {
+        console.log(`[${this.constructor.name}] ADD LP (${position.mode}): ${position.amountBTC} BTC + ${position.amountToken} ${this.position.token.symbol} → ${position.id}`);
+      }
+      return position;
+    } catch (error) {
+      this.orderFailed(`ADD LP ${amount0} BTC + ${amount1} ${this.position.token.symbol}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Withdraw a liquidity position
+   * @returns {object|null} { positionId, amountBTC, amountToken, txId }, or null if execution fails
    */
-  async provideLiquidity(amount0, amount1) {
-    // TODO: Implement via RadFi API
-    // POST /api/transactions with type: 'provide-liquidity'
-    console.log(`[${this.constructor.name}] ADD LP: ${amount0} BTC + ${amount1} ${this.position.token.symbol}`);
+  async withdrawLiquidity(positionId) {
+    const position = this.execution.positions.get(positionId);
+    try {
+      const result = await this.execution.withdrawLiquidity({ positionId });
+      if (position) this.settleLiquidity(position, result);
+      if (this.execution.mode !== 'backtest') {
+        console.log(`[${this.constructor.name}] REMOVE LP (${this.execution.mode}): ${positionId} → ${result.amountBTC} BTC + ${result.amountToken} ${this.position.token.symbol}`);
+      }
+      return result;
+    } catch (error) {
+      this.orderFailed(`REMOVE LP ${positionId}`, error);
+      return null;
+    }
   }
 
   /**
-   * Withdraw liquidity from RadFi pool
+   * A closed position converted BTC and tokens along its range: the net
+   * change goes into the PnL engine as one fill at the current price, and
+   * gains on both sides as fee income
    */
-  async withdrawLiquidity(liquidityValue) {
-    // TODO: Implement via RadFi API
-    // POST /api/transactions with type: 'withdraw-liquidity'
-    console.log(`[${this.constructor.name}] REMOVE LP: ${liquidityValue}`);
+  settleLiquidity(position, result) {
+    const tokenDelta = result.amountToken - position.amountToken;
+    const btcDelta = result.amountBTC - position.amountBTC;
+    const price = result.midPrice / SATS;
+    const timestamp = this.execution.now();
+
+    if (tokenDelta < 0 && btcDelta > 0) {
+      this.pnl.recordFill({ side: 'sell', tokenAmount: -tokenDelta, btcAmount: btcDelta, price, timestamp });
+    } else if (tokenDelta > 0 && btcDelta < 0) {
+      this.pnl.recordFill({ side: 'buy', tokenAmount: tokenDelta, btcAmount: -btcDelta, price, timestamp });
+    } else {
+      this.pnl.recordFeeIncome(Math.max(btcDelta, 0), Math.max(tokenDelta, 0), price, timestamp);
+    }
   }
 
   /**
-   * Calculate current P&L
+   * Rest a single-sided range as a limit order: checked against and
+   * registered with the self-trade guard (prices in sats per whole token)
+   * @param {object} order - { side: 'bid'|'ask', lowerTick, upperTick, amountBTC, amountToken }
+   * @returns {object|null} Position (with side), or null if blocked or execution fails
+   */
+  async createLimitOrder({ side, lowerTick, upperTick, amountBTC = 0, amountToken = 0 }) {
+    const lowerPrice = this.tickToPrice(lowerTick);
+    const upperPrice = this.tickToPrice(upperTick);
+    const order = {
+      userAddress: this.config.userAddress,
+      poolId: this.position.token.poolId,
+      side,
+      type: 'limit',
+      lowerPrice,
+      upperPrice,
+      size: side === 'bid' ? amountBTC : amountToken * lowerPrice / SATS,
+      source: this.constructor.name
+    };
+
+    if (this.guard) {
+      const check = this.guard.checkOrder(order);
+      if (!check.allowed) {
+        console.log(`[${this.constructor.name}] ${side.toUpperCase()} [${lowerTick}, ${upperTick}] blocked: ${check.reason}`);
+        return null;
+      }
+    }
+
+    const position = await this.provideLiquidity(amountBTC, amountToken, { lowerTick, upperTick });
+    if (!position) return null;
+    position.side = side;
+
+    if (this.guard) {
+      this.guard.registerOrder({ id: position.id, ...order });
+    }
+    return position;
+  }
+
+  /**
+   * Withdraw a limit order's range (filled or not)
+   * @returns {object|null} withdrawLiquidity result
+   */
+  async cancelLimitOrder(positionId) {
+    const result = await this.withdrawLiquidity(positionId);
+    if (result && this.guard) this.guard.removeOrder(positionId);
+    return result;
+  }
+
+  /**
+   * Withdraw every open LP position
+   */
+  async cancelAllOrders() {
+    for (const positionId of [...this.execution.positions.keys()]) {
+      await this.cancelLimitOrder(positionId);
+    }
+  }
+
+  /**
+   * Pool tick for a price in sats per whole token, and back
+   */
+  priceToTick(priceInSats) {
+    return TickMath.priceToTick(priceInSats / Math.pow(10, this.position.token.decimals ?? 0));
+  }
+
+  tickToPrice(tick) {
+    return TickMath.tickToPrice(tick) * Math.pow(10, this.position.token.decimals ?? 0);
+  }
+
+  // Counted always, logged outside backtests (where a tick runs per step)
+  orderFailed(order, error) {
+    this.position.failedOrders++;
+    if (this.execution.mode !== 'backtest') {
+      console.error(`[${this.constructor.name}] ${order} failed (${this.execution.mode}):`, error.message);
+    }
+  }
+
+  /**
+   * Mark-to-market P&L at the latest market price (BTC)
+   * Realized / unrealized split and attribution: this.pnl.snapshot()
    */
   calculatePnL() {
-    // Simple P&L: current inventory value - initial capital
-    const currentValue = this.position.inventory.btc; // TODO: Add token value
-    this.position.pnl = currentValue - this.config.capital;
+    const price = this.marketPrice ?? this.lastPrice;
+    const snapshot = this.pnl.mark(price > 0 ? price / SATS : null);
+    this.position.pnl = snapshot.totalPnL;
     return this.position.pnl;
   }
 
@@ -121,12 +385,161 @@ class BaseStrategy {
       capital: this.config.capital,
       inventory: this.position.inventory,
       pnl: this.calculatePnL(),
+      metrics: this.pnl.snapshot(),
       trades: this.position.trades.length,
+      failedOrders: this.position.failedOrders,
+      execution: this.execution.mode,
       running: this.isRunning,
       uptime: Date.now() - this.position.startTime
     };
   }
 
+  getMode() {
+    return this.execution.mode === 'live' ? 'live' : 'simulated';
+  }
+
+  stateKey() {
+    return `${this.config.userAddress}:${this.position.token.ticker || this.position.token.symbol}`;
+  }
+
+  /**
+   * Strategy-specific fields for the saved state (override in child classes)
+   */
+  strategyState() {
+    return {};
+  }
+
+  restoreStrategyState(state) {}
+
+  /**
+   * Save to the bot-state store (deposited strategies only)
+   */
+  saveState() {
+    if (!this.persist) return;
+    try {
+      stateStore.put(COLLECTIONS.VOLUME_BOTS, this.stateKey(), this.toState());
+    } catch (error) {
+      console.error(`[${this.constructor.name}] Save state error:`, error.message);
+    }
+  }
+
+  /**
+   * State in VolumeBot units: inventory counts open ranges at what went into
+   * them, positions carry their VolumeBot fields (btcAmount, tokenAmount in
+   * base units) next to the adapter's, prices are per base unit
+   */
+  toState() {
+    const token = this.position.token;
+    const scale = Math.pow(10, token.decimals ?? 0);
+    const ranges = [...this.execution.positions.values()];
+    const price = this.marketPrice ?? this.lastPrice; // sats per whole token
+    const now = Date.now();
+
+    const inventory = ranges.reduce((sum, p) => ({
+      btc: sum.btc + p.amountBTC,
+      token: sum.token + p.amountToken * scale
+    }), { btc: this.execution.balances.btc, token: this.execution.balances.token * scale });
+
+    const trades = this.position.trades.slice(-SAVED_TRADES).map(t => ({
+      timestamp: t.time,
+      txId: t.txId,
+      side: t.type,
+      btcAmount: t.btcAmount,
+      volumeUSD: t.volumeUSD || 0
+    }));
+    const pnl = this.pnl.mark(price > 0 ? price / SATS : null);
+
+    return {
+      userAddress: this.config.userAddress,
+      ticker: token.ticker || token.symbol,
+      engine: 'strategy',
+      strategy: this.config.strategy,
+      strategyParams: this.config.params || {},
+      tokenConfig: token,
+      allocation: this.config.capital,
+      mode: this.getMode(),
+      execution: this.execution.mode,
+      inventory,
+      balances: { ...this.execution.balances },
+      positions: ranges.map(p => ({
+        ...p,
+        simulated: this.execution.mode !== 'live',
+        btcAmount: p.amountBTC,
+        tokenAmount: p.amountToken * scale
+      })),
+      sequence: this.execution.sequence,
+      metrics: {
+        startTime: this.position.startTime,
+        volumeGenerated: trades.reduce((sum, t) => sum + t.volumeUSD, 0),
+        volumeGenerated24h: trades.filter(t => now - t.timestamp < DAY_MS).reduce((sum, t) => sum + t.volumeUSD, 0),
+        feesCollected: pnl.poolFeeRebates,
+        tradingFeesPaid: pnl.tradingFeesPaid,
+        tokenAppreciation: 0,
+        netPnL: pnl.totalPnL,
+        realizedPnL: pnl.realizedPnL,
+        unrealizedPnL: pnl.unrealizedPnL,
+        appreciationPnL: pnl.appreciationPnL,
+        spreadCapturePnL: pnl.spreadCapturePnL,
+        poolFeeRebates: pnl.poolFeeRebates,
+        failedOrders: this.position.failedOrders,
+        trades
+      },
+      pnl: this.pnl.toJSON(),
+      strategyState: this.strategyState(),
+      startPrice: this.startPrice ?? null,
+      currentPrice: price > 0 ? price / scale / SATS : null,
+      poolPrice: price > 0 ? price / scale : null,
+      running: this.isRunning,
+      savedAt: now
+    };
+  }
+
+  /**
+   * Pick up from a saved state: balances, open ranges (back in the self-trade
+   * guard), trades, PnL and the strategy's own fields
+   */
+  restoreState(state) {
+    const scale = Math.pow(10, this.position.token.decimals ?? 0);
+
+    this.execution.balances = { ...state.balances };
+    this.execution.positions.clear();
+    for (const saved of state.positions || []) {
+      const { simulated, btcAmount, tokenAmount, ...position } = saved;
+      this.execution.positions.set(position.id, position);
+
+      if (this.guard && position.side) {
+        this.guard.registerOrder({
+          id: position.id,
+          userAddress: this.config.userAddress,
+          poolId: this.position.token.poolId,
+          side: position.side,
+          type: 'limit',
+          lowerPrice: this.tickToPrice(position.lowerTick),
+          upperPrice: this.tickToPrice(position.upperTick),
+          size: position.side === 'bid' ? position.amountBTC : position.amountToken * this.tickToPrice(position.lowerTick) / SATS,
+          source: this.constructor.name
+        });
+      }
+    }
+    this.execution.sequence = state.sequence || this.execution.positions.size;
+
+    this.position.startTime = state.metrics?.startTime || this.position.startTime;
+    this.position.failedOrders = state.metrics?.failedOrders || 0;
+    this.position.trades = (state.metrics?.trades || []).map(t => ({
+      time: t.timestamp,
+      type: t.side,
+      txId: t.txId,
+      btcAmount: t.btcAmount,
+      volumeUSD: t.volumeUSD
+    }));
+    if (state.pnl) this.pnl = PnLEngine.fromJSON(state.pnl);
+    this.startPrice = state.startPrice ?? null;
+    if (state.poolPrice) this.lastPrice = state.poolPrice * scale;
+
+    this.restoreStrategyState(state.strategyState || {});
+    this.syncInventory();
+  }
+
   /**
    * Utility: sleep
    */
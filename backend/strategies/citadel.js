@@ -19,16 +19,20 @@
 
 const BaseStrategy = require('./base-strategy');
 
+const SATS = 1e8;
+
 class CitadelStrategy extends BaseStrategy {
+  static params = {
+    ...BaseStrategy.params,
+    tickInterval: { ...BaseStrategy.params.tickInterval, default: 5000 }, // Check every 5 seconds
+    baseSpread: { type: 'number', default: 0.01, min: 0.001, max: 0.2, description: 'Base spread (1% = 0.01)' },
+    maxSpread: { type: 'number', default: 0.05, min: 0.005, max: 0.5, description: 'Spread cap in high volatility' },
+    inventoryTarget: { type: 'number', default: 0.5, min: 0.1, max: 0.9, description: 'Target BTC share of inventory' },
+    riskLimit: { type: 'number', default: 0.3, min: 0.05, max: 1, description: 'Max share of capital at risk' }
+  };
+
   constructor(config) {
-    super({
-      ...config,
-      tickInterval: 5000, // Check every 5 seconds
-      baseSpread: 0.01, // 1% base spread
-      maxSpread: 0.05, // 5% max spread in high volatility
-      inventoryTarget: 0.5, // Target 50/50 BTC/Token
-      riskLimit: 0.3 // Max 30% capital at risk
-    });
+    super({ ...CitadelStrategy.defaults(), ...config });
     
     this.volatility = 0;
     this.lastPrice = null;
@@ -50,28 +54,25 @@ class CitadelStrategy extends BaseStrategy {
     const dynamicSpread = this.config.baseSpread + (this.volatility * 2);
     const effectiveSpread = Math.min(dynamicSpread, this.config.maxSpread);
     
-    // Calculate inventory ratio
-    const totalValue = this.position.inventory.btc + (this.position.inventory.token * currentPrice);
+    // Calculate inventory ratio (BTC; prices are sats per whole token)
+    const totalValue = this.position.inventory.btc + (this.position.inventory.token * currentPrice / SATS);
     const btcRatio = this.position.inventory.btc / totalValue;
     
-    // Inventory management - rebalance toward target
+    // Inventory management - rebalance toward target (inventory follows the
+    // fills, see BaseStrategy.step)
     const inventoryDev = btcRatio - this.config.inventoryTarget;
     
     if (Math.abs(inventoryDev) > 0.1) {
       if (inventoryDev > 0) {
         // Too much BTC - BUY token
         const btcToTrade = this.position.inventory.btc * 0.15;
-        await this.executeSwap('BTC', this.position.token.symbol, btcToTrade, true);
-        const tokenReceived = (btcToTrade / currentPrice) * (1 - effectiveSpread);
-        this.position.inventory.btc -= btcToTrade;
-        this.position.inventory.token += tokenReceived;
+        const trade = await this.executeSwap('BTC', this.position.token.symbol, btcToTrade, true);
+        if (!trade) return;
       } else {
         // Too much token - SELL token
         const tokenToTrade = this.position.inventory.token * 0.15;
-        await this.executeSwap(this.position.token.symbol, 'BTC', tokenToTrade, true);
-        const btcReceived = tokenToTrade * currentPrice * (1 - effectiveSpread);
-        this.position.inventory.token -= tokenToTrade;
-        this.position.inventory.btc += btcReceived;
+        const trade = await this.executeSwap(this.position.token.symbol, 'BTC', tokenToTrade, true);
+        if (!trade) return;
       }
     }
     
@@ -79,6 +80,15 @@ class CitadelStrategy extends BaseStrategy {
     await this.updateLPPosition(effectiveSpread);
   }
 
+  // Volatility estimate survives a restart (BaseStrategy.saveState)
+  strategyState() {
+    return { volatility: this.volatility };
+  }
+
+  restoreStrategyState(state) {
+    this.volatility = state.volatility || 0;
+  }
+
   async updateLPPosition(spread) {
     // TODO: Adjust LP position in RadFi pool
     // Update price ranges based on current spread
@@ -88,7 +98,7 @@ class CitadelStrategy extends BaseStrategy {
    * Calculate risk exposure
    */
   calculateRisk() {
-    const totalValue = this.position.inventory.btc + (this.position.inventory.token * this.lastPrice);
+    const totalValue = this.position.inventory.btc + (this.position.inventory.token * this.lastPrice / SATS);
     const exposure = Math.abs(this.position.inventory.btc - (totalValue * this.config.inventoryTarget));
     return exposure / this.config.capital;
   }
@@ -0,0 +1,503 @@
+/**
+ * Execution Adapters
+ *
+ * Where a BaseStrategy's orders go. Strategies keep calling executeSwap,
+ * provideLiquidity and withdrawLiquidity on themselves; BaseStrategy forwards
+ * them to its adapter and takes its inventory from the adapter's balances
+ * after every tick, so tick() runs unchanged in every mode:
+ *
+ *   live      RadFiAPI transactions on the configured transport; balances follow the fills
+ *   paper     virtual balances, fills quoted against the live pool (mm/amm.js)
+ *   backtest  virtual balances, fills against the pool of the current step
+ *             (BacktestRunner sets the step from replayed or simulated prices)
+ *
+ * Units: BTC amounts in BTC, token amounts in whole tokens, prices in sats per
+ * whole token (priceInSats, as in the token list). Pools are in base units.
+ *
+ * Adapter:
+ *   getMarketData()                                 → { tokenId, priceInSats, ... }
+ *   swap({ side, amountIn, slippageBps })           → fill
+ *   provideLiquidity({ amountBTC, amountToken, lowerTick, upperTick }) → position
+ *   withdrawLiquidity({ positionId })               → { amountBTC, amountToken }
+ *   getPoolSwaps(limit)                             → [{ timestamp, price, side, btcAmount }]
+ *   holdings(priceInSats)                           → { btc, token } incl. open positions
+ *   balances { btc, token }, positions Map(id → position), fills [fill]
+ */
+
+const RadFiAPI = require('../../mm/radfi-api');
+const { TickMath } = require('../../mm/market-maker');
+const { quoteSwap, poolPrice, BTC_TOKEN_ID } = require('../../mm/amm');
+const { MM_CONFIG } = require('../../mm/production-config');
+const { credentialVault } = require('../../mm/credential-vault');
+const { normalizeSwaps } = require('../../mm/pool-history');
+
+const SATS = 1e8;
+const FULL_RANGE = { lowerTick: -887200, upperTick: 887200 };
+const DUST = 1e-12;
+
+class ExecutionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ExecutionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Shared bookkeeping: balances, LP positions and fills. Swaps and positions
+ * settle virtually here; LiveAdapter submits them to RadFi first.
+ */
+class ExecutionAdapter {
+  constructor({ mode, token, capital = 0 }) {
+    this.mode = mode;
+    this.token = token;
+    this.decimals = token.decimals ?? 0;
+    this.balances = { btc: capital, token: 0 };
+    this.positions = new Map();
+    this.fills = [];
+    this.sequence = 0;
+  }
+
+  async loadPool() {
+    throw new Error('loadPool() must be implemented by the adapter');
+  }
+
+  async getMarketData() {
+    throw new Error('getMarketData() must be implemented by the adapter');
+  }
+
+  now() {
+    return Date.now();
+  }
+
+  nextId(prefix) {
+    return `${this.mode}_${prefix}_${++this.sequence}`;
+  }
+
+  toBaseUnits(tokens) {
+    return tokens * Math.pow(10, this.decimals);
+  }
+
+  fromBaseUnits(units) {
+    return units / Math.pow(10, this.decimals);
+  }
+
+  /**
+   * Swap at the pool: 'buy' spends amountIn BTC, 'sell' spends amountIn tokens
+   * @returns {object} { id, time, side, amountIn, amountOut, btcAmount,
+   *   tokenAmount, feeBTC, price, midPrice (spot before the swap), priceImpact,
+   *   txId, mode }
+   */
+  async swap({ side, amountIn, slippageBps = 100 }) {
+    if (side !== 'buy' && side !== 'sell') {
+      throw new ExecutionError(`Unknown swap side: ${side}`);
+    }
+    if (!(amountIn > 0)) {
+      throw new ExecutionError('amountIn must be positive');
+    }
+
+    const buying = side === 'buy';
+    const available = buying ? this.balances.btc : this.balances.token;
+    if (amountIn > available + DUST) {
+      throw new ExecutionError(`Insufficient ${buying ? 'BTC' : this.token.symbol}: ${amountIn} > ${available}`);
+    }
+
+    const baseIn = buying ? Math.floor(amountIn * SATS) : Math.floor(this.toBaseUnits(amountIn));
+    if (baseIn < 1) {
+      throw new ExecutionError(`${amountIn} ${buying ? 'BTC' : this.token.symbol} is below the smallest unit`);
+    }
+
+    const pool = await this.loadPool();
+    const quote = quoteSwap({
+      pool,
+      tokenIn: buying ? pool.token0Id : pool.token1Id,
+      amountIn: baseIn,
+      slippageBps
+    });
+    if (quote.unfilledIn > 0) {
+      throw new ExecutionError(`Pool ${pool._id} cannot fill ${amountIn} ${buying ? 'BTC' : this.token.symbol}`);
+    }
+
+    const result = await this.submitSwap(pool, quote);
+    const amountOut = buying ? this.fromBaseUnits(result.amountOut) : result.amountOut / SATS;
+    const btcAmount = buying ? quote.amountIn / SATS : amountOut;
+    const tokenAmount = buying ? amountOut : this.fromBaseUnits(quote.amountIn);
+
+    // Pool fee comes off the input; sell-side fees are valued at spot
+    const spotSats = poolPrice(pool); // sats per base unit
+    const feeBTC = buying
+      ? quote.poolFee / SATS
+      : quote.poolFee * spotSats / SATS;
+
+    if (buying) {
+      this.balances.btc -= btcAmount;
+      this.balances.token += tokenAmount;
+    } else {
+      this.balances.token -= tokenAmount;
+      this.balances.btc += btcAmount;
+    }
+
+    const fill = {
+      id: this.nextId('swap'),
+      time: this.now(),
+      side,
+      amountIn: buying ? btcAmount : tokenAmount,
+      amountOut,
+      btcAmount,
+      tokenAmount,
+      feeBTC,
+      price: tokenAmount > 0 ? btcAmount * SATS / tokenAmount : null,
+      midPrice: spotSats * Math.pow(10, this.decimals),
+      priceImpact: quote.priceImpact,
+      txId: result.txId || null,
+      mode: this.mode
+    };
+    this.fills.push(fill);
+    return fill;
+  }
+
+  async submitSwap(pool, quote) {
+    return { amountOut: quote.amountOut, txId: null };
+  }
+
+  /**
+   * Open a concentrated-liquidity position (full range by default). Only the
+   * amounts the range can use at the current price leave the balances.
+   */
+  async provideLiquidity({ amountBTC = 0, amountToken = 0, lowerTick = FULL_RANGE.lowerTick, upperTick = FULL_RANGE.upperTick }) {
+    if (!(lowerTick < upperTick)) {
+      throw new ExecutionError(`Invalid range: ${lowerTick} → ${upperTick}`);
+    }
+    if (amountBTC > this.balances.btc + DUST || amountToken > this.balances.token + DUST) {
+      throw new ExecutionError(`Insufficient balance for ${amountBTC} BTC + ${amountToken} ${this.token.symbol}`);
+    }
+
+    const pool = await this.loadPool();
+    const price = poolPrice(pool);
+    const lowerPrice = TickMath.tickToPrice(lowerTick);
+    const upperPrice = TickMath.tickToPrice(upperTick);
+
+    const liquidity = TickMath.getLiquidityForAmounts(
+      price, lowerPrice, upperPrice,
+      amountBTC * SATS, this.toBaseUnits(amountToken)
+    );
+    if (!(liquidity > 0)) {
+      throw new ExecutionError('Amounts provide no liquidity in this range');
+    }
+    const used = TickMath.getAmountsForLiquidity(liquidity, price, lowerPrice, upperPrice);
+
+    const position = {
+      id: null,
+      lowerTick,
+      upperTick,
+      lowerPrice,
+      upperPrice,
+      liquidity,
+      amountBTC: used.amount0 / SATS,
+      amountToken: this.fromBaseUnits(used.amount1),
+      openedAt: this.now(),
+      txId: null,
+      mode: this.mode
+    };
+
+    const result = await this.submitProvide(pool, position);
+    position.id = result.positionId;
+    position.txId = result.txId || null;
+
+    this.balances.btc -= position.amountBTC;
+    this.balances.token -= position.amountToken;
+    this.positions.set(position.id, position);
+    return position;
+  }
+
+  async submitProvide(pool, position) {
+    return { positionId: this.nextId('lp'), txId: null };
+  }
+
+  /**
+   * Close a position and return what it holds at the current price
+   * @returns {object} { positionId, amountBTC, amountToken, midPrice, txId }
+   */
+  async withdrawLiquidity({ positionId }) {
+    const position = this.positions.get(positionId);
+    if (!position) {
+      throw new ExecutionError(`Position ${positionId} not found`, 404);
+    }
+
+    const pool = await this.loadPool();
+    const spotSats = poolPrice(pool);
+    const amounts = TickMath.getAmountsForLiquidity(
+      position.liquidity, spotSats, position.lowerPrice, position.upperPrice
+    );
+
+    const result = await this.submitWithdraw(pool, position, amounts);
+    const amountBTC = (result.amount0 ?? amounts.amount0) / SATS;
+    const amountToken = this.fromBaseUnits(result.amount1 ?? amounts.amount1);
+
+    this.balances.btc += amountBTC;
+    this.balances.token += amountToken;
+    this.positions.delete(positionId);
+
+    return {
+      positionId,
+      amountBTC,
+      amountToken,
+      midPrice: spotSats * Math.pow(10, this.decimals),
+      txId: result.txId || null
+    };
+  }
+
+  async submitWithdraw(pool, position, amounts) {
+    return { txId: null };
+  }
+
+  /**
+   * Recent pool swaps, oldest first; price in pool units (sats per base unit)
+   */
+  async getPoolSwaps(limit = 100) {
+    return [];
+  }
+
+  /**
+   * Balances plus what open positions hold at a price (sats per whole token)
+   */
+  holdings(priceInSats) {
+    const poolPriceSats = priceInSats / Math.pow(10, this.decimals);
+    let btc = this.balances.btc;
+    let token = this.balances.token;
+
+    for (const position of this.positions.values()) {
+      const amounts = TickMath.getAmountsForLiquidity(position.liquidity, poolPriceSats, position.lowerPrice, position.upperPrice);
+      btc += amounts.amount0 / SATS;
+      token += this.fromBaseUnits(amounts.amount1);
+    }
+
+    return { btc, token };
+  }
+
+  /**
+   * Balances plus open positions, in BTC at a price (sats per whole token)
+   */
+  valueBTC(priceInSats) {
+    const { btc, token } = this.holdings(priceInSats);
+    return btc + token * priceInSats / SATS;
+  }
+}
+
+/**
+ * Market data and pool through RadFiAPI (price guard applies)
+ */
+class RadFiMarketAdapter extends ExecutionAdapter {
+  constructor({ api, ...options }) {
+    super(options);
+    this.api = api;
+  }
+
+  async loadPool() {
+    const pool = await this.api.getPool(this.token.poolId);
+    if (!pool) {
+      throw new ExecutionError(`Pool ${this.token.poolId} not found`, 404);
+    }
+    return pool;
+  }
+
+  async getMarketData() {
+    const price = await this.api.getTokenPrice(this.token.poolId, this.token.tokenId);
+    return {
+      tokenId: this.token.tokenId,
+      symbol: this.token.symbol,
+      poolId: this.token.poolId,
+      price,                                              // sats per base unit
+      priceInSats: price * Math.pow(10, this.decimals),   // sats per whole token
+      timestamp: this.now()
+    };
+  }
+
+  async getPoolSwaps(limit = 100) {
+    const rows = await this.api.getPoolSwaps(this.token.poolId, limit);
+    return normalizeSwaps(rows)
+      .map(swap => ({ ...swap, price: swap.poolPrice ?? swap.executionPrice }))
+      .filter(swap => swap.price > 0);
+  }
+}
+
+/**
+ * Real transactions from the user's trading wallet
+ */
+class LiveAdapter extends RadFiMarketAdapter {
+  constructor({ userAddress, authToken, refreshToken = null, transport = null, ...options }) {
+    if (!authToken) {
+      throw new ExecutionError('Live execution needs an auth token', 401);
+    }
+
+    const api = new RadFiAPI(authToken, refreshToken, null, transport);
+    api.persistTo(credentialVault, userAddress);
+
+    super({ ...options, api, mode: 'live' });
+    this.userAddress = userAddress;
+  }
+
+  async submitSwap(pool, quote) {
+    const result = await this.api.swap({
+      userAddress: this.userAddress,
+      poolId: pool._id,
+      amountIn: quote.amountIn,
+      amountOut: quote.amountOut,
+      tokenIn: quote.tokenIn,
+      tokenOut: quote.tokenOut,
+      slippage: quote.slippageBps
+    });
+
+    return {
+      amountOut: parseFloat(result.data?.amountOut ?? quote.amountOut),
+      txId: result.txId || result.data?.txId || null
+    };
+  }
+
+  async submitProvide(pool, position) {
+    const result = await this.api.provideLiquidity({
+      userAddress: this.userAddress,
+      poolId: pool._id,
+      token0Id: pool.token0Id,
+      token1Id: pool.token1Id,
+      amount0: Math.floor(position.amountBTC * SATS),
+      amount1: Math.floor(this.toBaseUnits(position.amountToken)),
+      lowerTick: position.lowerTick.toString(),
+      upperTick: position.upperTick.toString(),
+      feeRate: pool.fee || 3000,
+      tickSpacing: pool.tickSpacing || 200,
+      scVersion: pool.scVersion || 'v4'
+    });
+
+    const positionId = result.nftId || result.data?.nftId;
+    if (!positionId) {
+      throw new ExecutionError('RadFi returned no position id for provide-liquidity', 502);
+    }
+    return { positionId: String(positionId), txId: result.txId || null };
+  }
+
+  async submitWithdraw(pool, position, amounts) {
+    const onChain = await this.api.getUserPositions(this.userAddress);
+    const nft = onChain.find(n => String(n.nftId) === String(position.id));
+    if (!nft) {
+      throw new ExecutionError(`Position ${position.id} is not open on RadFi`, 404);
+    }
+
+    const result = await this.api.withdrawLiquidity({
+      userAddress: this.userAddress,
+      nftId: position.id,
+      liquidityValue: nft.liquidityValue ?? nft.liquidity,
+      amount0: nft.amount0 || 0,
+      amount1: nft.amount1 || 0,
+      token0Id: pool.token0Id,
+      token1Id: pool.token1Id,
+      scVersion: pool.scVersion
+    });
+
+    return {
+      amount0: result.data?.amount0 !== undefined ? parseFloat(result.data.amount0) : undefined,
+      amount1: result.data?.amount1 !== undefined ? parseFloat(result.data.amount1) : undefined,
+      txId: result.txId || null
+    };
+  }
+}
+
+/**
+ * Live prices and pools, virtual fills
+ */
+class PaperAdapter extends RadFiMarketAdapter {
+  constructor({ transport = null, ...options }) {
+    super({ ...options, api: new RadFiAPI(null, null, null, transport), mode: 'paper' });
+  }
+}
+
+/**
+ * Fills against the current backtest step. The pool is rebuilt at the step
+ * price from its recorded reserves, or from the pool TVL when there are none;
+ * the strategy's own fills don't move the replayed price.
+ */
+class BacktestAdapter extends ExecutionAdapter {
+  constructor({ tvlBTC, feeRate = MM_CONFIG.radfiFeeRate, ...options }) {
+    super({ ...options, mode: 'backtest' });
+    this.tvlBTC = tvlBTC;
+    this.feeRate = feeRate;
+    this.step = null;
+    this.history = []; // Replayed swaps up to the current step
+  }
+
+  /**
+   * @param {object} step - { timestamp, priceInSats, reserves: { token0, token1 } | null,
+   *   swaps: replayed swaps in the step | null }
+   */
+  setStep(step) {
+    this.step = step;
+    if (step.swaps?.length) {
+      this.history.push(...step.swaps);
+      if (this.history.length > 1000) this.history = this.history.slice(-500);
+    }
+  }
+
+  async getPoolSwaps(limit = 100) {
+    return this.history.slice(-limit);
+  }
+
+  now() {
+    return this.step?.timestamp ?? Date.now();
+  }
+
+  async loadPool() {
+    if (!this.step) {
+      throw new ExecutionError('Backtest step not set');
+    }
+
+    const price = this.step.priceInSats / Math.pow(10, this.decimals); // sats per base unit
+    const reserve0 = this.step.reserves?.token0 ?? this.tvlBTC / 2 * SATS;
+    const reserve1 = this.step.reserves?.token1 ?? reserve0 / price;
+
+    return {
+      _id: this.token.poolId,
+      token0Id: BTC_TOKEN_ID,
+      token1Id: this.token.tokenId,
+      token0Reserve: reserve0,
+      token1Reserve: reserve1,
+      fee: this.feeRate * 1e6
+    };
+  }
+
+  async getMarketData() {
+    if (!this.step) {
+      throw new ExecutionError('Backtest step not set');
+    }
+    return {
+      tokenId: this.token.tokenId,
+      symbol: this.token.symbol,
+      poolId: this.token.poolId,
+      price: this.step.priceInSats / Math.pow(10, this.decimals),
+      priceInSats: this.step.priceInSats,
+      timestamp: this.step.timestamp
+    };
+  }
+}
+
+/**
+ * Adapter by mode ('live' | 'paper' | 'backtest'); an adapter instance is
+ * returned as is
+ */
+function createAdapter(mode, options) {
+  if (mode instanceof ExecutionAdapter) return mode;
+
+  if (mode === 'live') return new LiveAdapter(options);
+  if (mode === 'paper') return new PaperAdapter(options);
+  if (mode === 'backtest') return new BacktestAdapter(options);
+  throw new ExecutionError(`Unknown execution mode: ${mode}`);
+}
+
+module.exports = {
+  ExecutionAdapter,
+  LiveAdapter,
+  PaperAdapter,
+  BacktestAdapter,
+  ExecutionError,
+  createAdapter,
+  FULL_RANGE
+};
@@ -0,0 +1,247 @@
+/**
+ * Grid Trading Strategy
+ * For tokens expected to range-trade between two prices
+ *
+ * Capital is split across gridLevels adjacent tick ranges between lowerPrice
+ * and upperPrice (sats per whole token; blank = rangeWidth around the first
+ * price). Boundaries are snapped with TickMath.nearestUsableTick and every
+ * range rests as a single-sided limit order (BaseStrategy.createLimitOrder,
+ * after PositionManager.createLimitOrder): bids below the price, asks above
+ * it, with the range the price is in left empty. Tokens for the asks are
+ * bought once at the start.
+ *
+ * A range is filled once price has crossed all of it. It is withdrawn and its
+ * proceeds re-armed on the opposite side one range over: a filled bid becomes
+ * an ask in the range above, a filled ask a bid in the range below. When that
+ * order fills too the cycle is complete and its grid profit is recorded
+ * (BTC for buy → sell, tokens valued at the closing price for sell → buy).
+ */
+
+const BaseStrategy = require('./base-strategy');
+const { TickMath } = require('../../mm/market-maker');
+
+const SATS = 1e8;
+const MAX_CYCLES = 100; // Completed cycles kept for getStatus()
+
+class GridStrategy extends BaseStrategy {
+  static params = {
+    ...BaseStrategy.params,
+    tickInterval: { ...BaseStrategy.params.tickInterval, default: 60000 },
+    lowerPrice: { type: 'number', min: 0, description: 'Grid floor in sats per token (blank: rangeWidth below the price)' },
+    upperPrice: { type: 'number', min: 0, description: 'Grid ceiling in sats per token (blank: rangeWidth above the price)' },
+    gridLevels: { type: 'integer', default: 10, min: 2, max: 50, description: 'Number of ranges in the grid' },
+    rangeWidth: { type: 'number', default: 0.1, min: 0.01, max: 0.9, description: 'Distance of default bounds from the price (10% = 0.1)' }
+  };
+
+  /**
+   * Cross-parameter checks (registry validateParams)
+   */
+  static validate({ lowerPrice, upperPrice }) {
+    if (lowerPrice !== undefined && upperPrice !== undefined && !(lowerPrice < upperPrice)) {
+      return ['lowerPrice must be below upperPrice'];
+    }
+    return [];
+  }
+
+  constructor(config) {
+    super({ ...GridStrategy.defaults(), ...config });
+
+    this.tickSpacing = this.position.token.tickSpacing || 200;
+    this.grid = null;        // [{ index, lowerTick, upperTick, orderId }] low to high
+    this.bounds = null;      // { lowerPrice, upperPrice } after snapping to ticks
+    this.cycles = [];        // Completed cycles, newest last
+    this.cycleCount = 0;
+    this.gridProfitBTC = 0;
+  }
+
+  async tick() {
+    const market = await this.getMarketData();
+    const currentPrice = market.priceInSats;
+    this.lastPrice = currentPrice;
+
+    if (!this.grid) {
+      await this.buildGrid(currentPrice);
+      return;
+    }
+
+    // Bids fill top-down as price falls, asks bottom-up as it rises, so each
+    // re-armed order lands in the range the previous one just left
+    const filledBids = this.grid.filter(r => this.isFilled(r, 'bid', currentPrice)).reverse();
+    const filledAsks = this.grid.filter(r => this.isFilled(r, 'ask', currentPrice));
+
+    for (const range of [...filledBids, ...filledAsks]) {
+      await this.rearm(range, currentPrice);
+    }
+  }
+
+  /**
+   * Boundaries, then one order per range on its side of the price
+   */
+  async buildGrid(currentPrice) {
+    const { gridLevels, rangeWidth } = this.config;
+    const lowerPrice = this.config.lowerPrice ?? currentPrice * (1 - rangeWidth);
+    const upperPrice = this.config.upperPrice ?? currentPrice * (1 + rangeWidth);
+
+    const lowerTick = this.priceToTick(lowerPrice);
+    const upperTick = this.priceToTick(upperPrice);
+
+    // Evenly spaced in ticks (geometric in price), at least one spacing apart
+    const boundaries = [];
+    for (let i = 0; i <= gridLevels; i++) {
+      const tick = TickMath.nearestUsableTick(Math.round(lowerTick + (upperTick - lowerTick) * i / gridLevels), this.tickSpacing);
+      if (boundaries.length === 0 || tick > boundaries[boundaries.length - 1]) boundaries.push(tick);
+    }
+    if (boundaries.length < 3) {
+      throw new Error(`Grid ${lowerPrice}-${upperPrice} sats is too narrow for tick spacing ${this.tickSpacing}`);
+    }
+
+    this.grid = boundaries.slice(1).map((tick, index) => ({
+      index,
+      lowerTick: boundaries[index],
+      upperTick: tick,
+      orderId: null
+    }));
+    this.bounds = { lowerPrice: this.tickToPrice(boundaries[0]), upperPrice: this.tickToPrice(boundaries[boundaries.length - 1]) };
+
+    const perRangeBTC = this.config.capital / this.grid.length;
+    const bids = this.grid.filter(r => this.tickToPrice(r.upperTick) <= currentPrice);
+    const asks = this.grid.filter(r => this.tickToPrice(r.lowerTick) > currentPrice);
+
+    if (this.execution.mode !== 'backtest') {
+      console.log(`[${this.constructor.name}] ${this.grid.length} ranges ${this.bounds.lowerPrice.toFixed(4)}-${this.bounds.upperPrice.toFixed(4)} sats: ${bids.length} bids, ${asks.length} asks`);
+    }
+
+    if (asks.length > 0) {
+      await this.executeSwap('BTC', this.position.token.symbol, perRangeBTC * asks.length, true);
+    }
+    const perAskToken = asks.length > 0 ? this.execution.balances.token / asks.length : 0;
+
+    for (const range of bids) {
+      await this.arm(range, 'bid', { amountBTC: Math.min(perRangeBTC, this.execution.balances.btc) });
+    }
+    for (const range of asks) {
+      await this.arm(range, 'ask', { amountToken: Math.min(perAskToken, this.execution.balances.token) });
+    }
+  }
+
+  async arm(range, side, amounts, cycle = null) {
+    const position = await this.createLimitOrder({ side, lowerTick: range.lowerTick, upperTick: range.upperTick, ...amounts });
+    if (!position) return null;
+
+    position.cycle = cycle;
+    range.orderId = position.id;
+    return position;
+  }
+
+  order(range) {
+    return range.orderId ? this.execution.positions.get(range.orderId) : null;
+  }
+
+  // Price has crossed the whole range: a bid is all tokens, an ask all BTC
+  isFilled(range, side, currentPrice) {
+    const position = this.order(range);
+    if (!position || position.side !== side) return false;
+    return side === 'bid'
+      ? currentPrice <= this.tickToPrice(range.lowerTick)
+      : currentPrice >= this.tickToPrice(range.upperTick);
+  }
+
+  /**
+   * Withdraw a filled range, close its cycle if it was the second leg and
+   * re-arm the proceeds one range over on the opposite side
+   */
+  async rearm(range, currentPrice) {
+    const position = this.order(range);
+    const result = await this.cancelLimitOrder(position.id);
+    if (!result) return;
+    range.orderId = null;
+
+    const bought = position.side === 'bid';
+    const leg = bought
+      ? { side: 'buy', btc: position.amountBTC - result.amountBTC, tokens: result.amountToken - position.amountToken }
+      : { side: 'sell', btc: result.amountBTC - position.amountBTC, tokens: position.amountToken - result.amountToken };
+
+    if (position.cycle) {
+      this.completeCycle(position.cycle, leg, range, currentPrice);
+    }
+
+    const target = this.grid[range.index + (bought ? 1 : -1)];
+    if (!target || target.orderId) {
+      // Edge of the grid, or the range is taken: proceeds stay in the free balance
+      return;
+    }
+
+    const cycle = { ...leg, openedAt: this.execution.now(), fromRange: range.index };
+    if (bought) {
+      await this.arm(target, 'ask', { amountToken: Math.min(result.amountToken, this.execution.balances.token) }, cycle);
+    } else {
+      await this.arm(target, 'bid', { amountBTC: Math.min(result.amountBTC, this.execution.balances.btc) }, cycle);
+    }
+  }
+
+  completeCycle(opening, closing, range, currentPrice) {
+    // buy → sell keeps the BTC difference; sell → buy the token difference
+    const profitBTC = opening.side === 'buy'
+      ? closing.btc - opening.btc
+      : (closing.tokens - opening.tokens) * currentPrice / SATS;
+
+    const cycle = {
+      id: ++this.cycleCount,
+      direction: opening.side === 'buy' ? 'buy-sell' : 'sell-buy',
+      fromRange: opening.fromRange,
+      toRange: range.index,
+      openedAt: opening.openedAt,
+      closedAt: this.execution.now(),
+      btcAmount: opening.side === 'buy' ? opening.btc : closing.btc,
+      tokenAmount: opening.tokens,
+      profitBTC
+    };
+
+    this.gridProfitBTC += profitBTC;
+    this.cycles.push(cycle);
+    if (this.cycles.length > MAX_CYCLES) this.cycles.shift();
+
+    if (this.execution.mode !== 'backtest') {
+      console.log(`[${this.constructor.name}] Cycle ${cycle.id} (${cycle.direction}, range ${cycle.fromRange} → ${cycle.toRange}): ${profitBTC >= 0 ? '+' : ''}${profitBTC.toFixed(8)} BTC`);
+    }
+  }
+
+  // Grid layout and cycles survive a restart (BaseStrategy.saveState)
+  strategyState() {
+    return {
+      grid: this.grid,
+      bounds: this.bounds,
+      cycles: this.cycles,
+      cycleCount: this.cycleCount,
+      gridProfitBTC: this.gridProfitBTC
+    };
+  }
+
+  restoreStrategyState(state) {
+    this.grid = state.grid ?? null;
+    this.bounds = state.bounds ?? null;
+    this.cycles = state.cycles || [];
+    this.cycleCount = state.cycleCount || 0;
+    this.gridProfitBTC = state.gridProfitBTC || 0;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      grid: this.grid && {
+        ...this.bounds,
+        ranges: this.grid.map(r => ({
+          index: r.index,
+          lowerPrice: this.tickToPrice(r.lowerTick),
+          upperPrice: this.tickToPrice(r.upperTick),
+          side: this.order(r)?.side || null
+        })),
+        completedCycles: this.cycleCount,
+        gridProfitBTC: this.gridProfitBTC,
+        cycles: this.cycles.slice(-10)
+      }
+    };
+  }
+}
+
+module.exports = GridStrategy;
@@ -0,0 +1,234 @@
+/**
+ * Strategy Registry
+ *
+ * Maps the strategy names a deposit can ask for to their classes, validates
+ * deposit params against each strategy's schema and builds the instance.
+ *
+ *   volume-bot   VolumeBot (mm/volume-bot.js): ladder + rebalance, the default.
+ *                Params override the token's config (ladder levels, targets)
+ *   jane-street  JaneStreetStrategy (BaseStrategy loop)
+ *   citadel      CitadelStrategy (BaseStrategy loop)
+ *   avellaneda-stoikov  AvellanedaStoikovStrategy (BaseStrategy loop): inventory-aware
+ *                quotes as tick ranges
+ *   grid         GridStrategy (BaseStrategy loop): limit ranges between two prices,
+ *                re-armed on the opposite side as they fill
+ *
+ * BaseStrategy classes execute on paper unless `execution: 'live'` is asked
+ * for explicitly (./execution.js); an auth token alone doesn't make them live.
+ *
+ * Only entries with `deposit: true` can be started by a deposit. Deposited
+ * BaseStrategy instances (`persist: true`) save their state next to the
+ * volume bots' (BaseStrategy.saveState), so they are restored on boot,
+ * paused, resumed, withdrawn and counted by the risk and performance monitors
+ * like a volume bot. The RiskEngine's ladder actions apply to volume bots only.
+ *
+ * Schema: name → { type: 'number'|'integer'|'boolean', default, min, max, description }
+ * (BaseStrategy.params for the strategy classes; their static validate() adds
+ * checks across params).
+ */
+
+const VolumeBot = require('../../mm/volume-bot');
+const JaneStreetStrategy = require('./jane-street');
+const CitadelStrategy = require('./citadel');
+const AvellanedaStoikovStrategy = require('./avellaneda-stoikov');
+const GridStrategy = require('./grid');
+
+const DEFAULT_STRATEGY = 'volume-bot';
+
+class StrategyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StrategyError';
+    this.status = status;
+  }
+}
+
+// Volume bot params are tokenConfig overrides; defaults come from the token
+const VOLUME_BOT_PARAMS = {
+  ladderLevels: { type: 'integer', min: 1, max: 10, description: 'Ladder positions per side' },
+  tokenTarget: { type: 'number', min: 0.1, max: 0.9, description: 'Target token share of inventory' },
+  maxInventorySkew: { type: 'number', min: 0.5, max: 0.95, description: 'Rebalance once either side exceeds this share' },
+  maxOrderSizeBTC: { type: 'number', min: 0.000001, max: 0.01, description: 'Largest ladder position (BTC)' },
+  pingPongEnabled: { type: 'boolean', description: 'Answer fills with reverse trades' },
+  reverseTradeRatio: { type: 'number', min: 0, max: 1, description: 'Share of each fill to reverse' }
+};
+
+const STRATEGIES = {
+  'volume-bot': {
+    label: 'Automated Volume Generation',
+    description: 'Ladder of narrow LP positions around mid with inventory rebalancing',
+    engine: 'volume-bot',
+    aliases: ['radfi-lp'],
+    deposit: true,
+    Strategy: VolumeBot,
+    params: VOLUME_BOT_PARAMS
+  },
+  'jane-street': {
+    label: 'Jane Street Style',
+    description: 'Tight spreads, mean reversion against a rolling average',
+    engine: 'strategy',
+    deposit: true,
+    Strategy: JaneStreetStrategy,
+    params: JaneStreetStrategy.params
+  },
+  'citadel': {
+    label: 'Citadel Style',
+    description: 'Volatility-adaptive spreads with active inventory management',
+    engine: 'strategy',
+    deposit: true,
+    Strategy: CitadelStrategy,
+    params: CitadelStrategy.params
+  },
+  'avellaneda-stoikov': {
+    label: 'Avellaneda-Stoikov',
+    description: 'Reservation price and optimal spread from volatility, order flow and inventory risk',
+    engine: 'strategy',
+    aliases: ['as'],
+    deposit: true,
+    Strategy: AvellanedaStoikovStrategy,
+    params: AvellanedaStoikovStrategy.params
+  },
+  'grid': {
+    label: 'Grid Trading',
+    description: 'Limit ranges between a lower and upper price, re-armed on the opposite side as they fill',
+    engine: 'strategy',
+    deposit: true,
+    Strategy: GridStrategy,
+    params: GridStrategy.params
+  }
+};
+
+/**
+ * Registry entry by name or alias
+ */
+function getStrategy(name = DEFAULT_STRATEGY) {
+  if (STRATEGIES[name]) return { id: name, ...STRATEGIES[name] };
+
+  const id = Object.keys(STRATEGIES).find(key => STRATEGIES[key].aliases?.includes(name));
+  return id ? { id, ...STRATEGIES[id] } : null;
+}
+
+/**
+ * Strategies and their parameter schemas (GET /api/strategies)
+ */
+function listStrategies() {
+  return Object.entries(STRATEGIES).map(([id, entry]) => ({
+    id,
+    label: entry.label,
+    description: entry.description,
+    engine: entry.engine,
+    aliases: entry.aliases || [],
+    deposit: entry.deposit,
+    default: id === DEFAULT_STRATEGY,
+    params: entry.params
+  }));
+}
+
+/**
+ * Check params against the strategy's schema and fill in defaults
+ * @returns {object} { valid, params, errors }
+ */
+function validateParams(name, params = {}) {
+  const strategy = getStrategy(name);
+  if (!strategy) {
+    return { valid: false, params: {}, errors: [`Unknown strategy: ${name}`] };
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return { valid: false, params: {}, errors: ['strategyParams must be an object'] };
+  }
+
+  const errors = [];
+  const resolved = {};
+
+  for (const key of Object.keys(params)) {
+    if (!strategy.params[key]) errors.push(`Unknown parameter for ${strategy.id}: ${key}`);
+  }
+
+  for (const [key, spec] of Object.entries(strategy.params)) {
+    const value = params[key];
+    if (value === undefined || value === null) {
+      if (spec.default !== undefined) resolved[key] = spec.default;
+      continue;
+    }
+
+    if (spec.type === 'boolean') {
+      if (typeof value !== 'boolean') errors.push(`${key} must be true or false`);
+      else resolved[key] = value;
+      continue;
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${key} must be a number`);
+    } else if (spec.type === 'integer' && !Number.isInteger(value)) {
+      errors.push(`${key} must be an integer`);
+    } else if (spec.min !== undefined && value < spec.min) {
+      errors.push(`${key} must be at least ${spec.min}`);
+    } else if (spec.max !== undefined && value > spec.max) {
+      errors.push(`${key} must be at most ${spec.max}`);
+    } else {
+      resolved[key] = value;
+    }
+  }
+
+  if (errors.length === 0 && strategy.Strategy.validate) {
+    errors.push(...strategy.Strategy.validate(resolved));
+  }
+
+  return { valid: errors.length === 0, params: resolved, errors };
+}
+
+/**
+ * Build the strategy instance for one token of a deposit
+ * @throws {StrategyError} Unknown strategy or invalid params
+ */
+function createStrategy(name, {
+  userAddress,
+  tokenConfig,
+  allocation,
+  params = {},
+  authToken = null,
+  refreshToken = null,
+  testMode = false,
+  execution = null,     // BaseStrategy only: 'live' | 'paper' | 'backtest' | adapter
+  guard,                // BaseStrategy only: self-trade guard override (null to disable)
+  persist = false       // BaseStrategy only: save state to the bot-state store (deposits)
+}) {
+  const strategy = getStrategy(name);
+  if (!strategy) throw new StrategyError(`Unknown strategy: ${name}`);
+
+  const check = validateParams(strategy.id, params);
+  if (!check.valid) throw new StrategyError(check.errors.join('; '));
+
+  if (strategy.engine === 'volume-bot') {
+    const { tokenTarget, ...overrides } = check.params;
+    const config = { ...tokenConfig, ...overrides };
+    if (tokenTarget !== undefined) {
+      config.inventoryTarget = { btc: 1 - tokenTarget, token: tokenTarget };
+    }
+    return new VolumeBot(userAddress, config, allocation, authToken, refreshToken, testMode);
+  }
+
+  return new strategy.Strategy({
+    ...check.params,
+    userAddress,
+    capital: allocation,
+    token: { symbol: tokenConfig.ticker, ...tokenConfig },
+    authToken,
+    refreshToken,
+    execution: execution || 'paper',
+    strategy: strategy.id,
+    params: check.params,
+    persist,
+    ...(guard !== undefined && { guard })
+  });
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  StrategyError,
+  getStrategy,
+  listStrategies,
+  validateParams,
+  createStrategy
+};
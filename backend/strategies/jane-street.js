@@ -21,14 +21,16 @@
 const BaseStrategy = require('./base-strategy');
 
 class JaneStreetStrategy extends BaseStrategy {
+  static params = {
+    ...BaseStrategy.params,
+    tickInterval: { ...BaseStrategy.params.tickInterval, default: 3000 }, // Check every 3 seconds (high frequency)
+    spread: { type: 'number', default: 0.005, min: 0.001, max: 0.1, description: 'Quoted spread (0.5% = 0.005)' },
+    rebalanceThreshold: { type: 'number', default: 0.02, min: 0.005, max: 0.2, description: 'Trade when price is this far from its mean' },
+    maxPositionSize: { type: 'number', default: 0.2, min: 0.05, max: 1, description: 'Max share of capital in the token' }
+  };
+
   constructor(config) {
-    super({
-      ...config,
-      tickInterval: 3000, // Check every 3 seconds (high frequency)
-      spread: 0.005, // 0.5% spread
-      rebalanceThreshold: 0.02, // Rebalance if 2% off target
-      maxPositionSize: 0.2 // Max 20% of capital in token
-    });
+    super({ ...JaneStreetStrategy.defaults(), ...config });
     
     this.priceHistory = [];
     this.targetPrice = null;
@@ -38,6 +40,7 @@ class JaneStreetStrategy extends BaseStrategy {
     // Fetch current market data
     const market = await this.getMarketData();
     const currentPrice = market.priceInSats;
+    this.lastPrice = currentPrice;
     
     // Update price history
     this.priceHistory.push({ time: Date.now(), price: currentPrice });
@@ -50,24 +53,19 @@ class JaneStreetStrategy extends BaseStrategy {
     // Calculate deviation from mean
     const deviation = (currentPrice - meanPrice) / meanPrice;
     
-    // Mean reversion logic
+    // Mean reversion logic (inventory follows the fills, see BaseStrategy.step)
     if (Math.abs(deviation) > this.config.rebalanceThreshold) {
       if (deviation > 0) {
         // Price above mean - SELL token
         const tokenAmount = this.position.inventory.token * 0.1; // Sell 10%
         if (tokenAmount > 0) {
           await this.executeSwap(this.position.token.symbol, 'BTC', tokenAmount, true);
-          this.position.inventory.token -= tokenAmount;
-          this.position.inventory.btc += tokenAmount * currentPrice * 0.995;
         }
       } else {
         // Price below mean - BUY token
         const btcAmount = this.position.inventory.btc * 0.1; // Buy 10%
         if (btcAmount > 0) {
           await this.executeSwap('BTC', this.position.token.symbol, btcAmount, true);
-          const tokenReceived = (btcAmount / currentPrice) * 0.995;
-          this.position.inventory.btc -= btcAmount;
-          this.position.inventory.token += tokenReceived;
         }
       }
     }
@@ -76,6 +74,16 @@ class JaneStreetStrategy extends BaseStrategy {
     await this.updateLiquidityProvision();
   }
 
+  // Mean-reversion window survives a restart (BaseStrategy.saveState)
+  strategyState() {
+    return { priceHistory: this.priceHistory, targetPrice: this.targetPrice };
+  }
+
+  restoreStrategyState(state) {
+    if (state.priceHistory) this.priceHistory = state.priceHistory;
+    this.targetPrice = state.targetPrice ?? null;
+  }
+  
   async updateLiquidityProvision() {
     // TODO: Manage LP positions in RadFi pool
     // Maintain liquidity at targetPrice +/- spread
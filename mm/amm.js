@@ -0,0 +1,186 @@
+/**
+ * AMM Quote Engine
+ *
+ * Simulates a swap against a RadFi pool the way the pool will execute it,
+ * so quotes show what a user will actually receive on thin pools.
+ *
+ * - Concentrated liquidity: when the pool reports active `liquidity` and
+ *   initialized `ticks` ([{ tick, liquidityNet }]) the swap walks tick by tick,
+ *   adding or removing liquidity as ranges are crossed
+ * - Otherwise constant product on token0Reserve / token1Reserve
+ * - The RadFi pool fee (pool.fee in hundredths of a bip, 1% default) comes
+ *   off the input before the curve
+ *
+ * Units follow the pool: amounts in base units (sats for BTC), prices in
+ * token0 per token1 (same as TickMath).
+ */
+
+const { TickMath } = require('./market-maker');
+const { MM_CONFIG } = require('./production-config');
+
+const BTC_TOKEN_ID = '0:0';
+
+function poolFeeRate(pool) {
+  return pool.fee ? pool.fee / 1e6 : MM_CONFIG.radfiFeeRate;
+}
+
+/**
+ * Current pool price (token0 per token1)
+ */
+function poolPrice(pool) {
+  const tick = pool.currentTick ?? pool.tick;
+  if (tick !== undefined && tick !== null) return TickMath.tickToPrice(parseInt(tick));
+
+  const reserve0 = parseFloat(pool.token0Reserve || 0);
+  const reserve1 = parseFloat(pool.token1Reserve || 0);
+  return reserve0 > 0 && reserve1 > 0 ? reserve0 / reserve1 : null;
+}
+
+/**
+ * Constant product: out = R_out × in / (R_in + in)
+ */
+function swapConstantProduct(pool, zeroForOne, amountIn) {
+  const reserve0 = parseFloat(pool.token0Reserve || 0);
+  const reserve1 = parseFloat(pool.token1Reserve || 0);
+  const reserveIn = zeroForOne ? reserve0 : reserve1;
+  const reserveOut = zeroForOne ? reserve1 : reserve0;
+
+  if (!(reserveIn > 0 && reserveOut > 0)) {
+    throw new Error('Pool has no liquidity');
+  }
+
+  const amountOut = reserveOut * amountIn / (reserveIn + amountIn);
+  const after0 = zeroForOne ? reserve0 + amountIn : reserve0 - amountOut;
+  const after1 = zeroForOne ? reserve1 - amountOut : reserve1 + amountIn;
+
+  return { amountOut, priceAfter: after0 / after1, filledIn: amountIn };
+}
+
+/**
+ * Concentrated liquidity: within a range of liquidity L
+ *   token0 in:  Δ0 = L (√P' − √P),  Δ1 out = L (1/√P − 1/√P')
+ *   token1 in:  Δ1 = L (1/√P' − 1/√P),  Δ0 out = L (√P − √P')
+ */
+function swapConcentrated(pool, zeroForOne, amountIn) {
+  let liquidity = parseFloat(pool.liquidity);
+  let sqrtP = Math.sqrt(poolPrice(pool));
+  const currentTick = TickMath.priceToTick(sqrtP * sqrtP);
+
+  // Ticks ahead of the price in the swap direction, nearest first
+  const ticks = (pool.ticks || [])
+    .map(t => ({ tick: parseInt(t.tick), liquidityNet: parseFloat(t.liquidityNet) }))
+    .filter(t => zeroForOne ? t.tick > currentTick : t.tick <= currentTick)
+    .sort((a, b) => zeroForOne ? a.tick - b.tick : b.tick - a.tick);
+
+  let remaining = amountIn;
+  let amountOut = 0;
+
+  for (let i = 0; remaining > 0; i++) {
+    const next = ticks[i];
+    const sqrtTarget = next
+      ? Math.sqrt(TickMath.tickToPrice(next.tick))
+      : (zeroForOne ? Infinity : 0);
+
+    if (liquidity > 0) {
+      // Input needed to reach the next tick
+      const maxIn = zeroForOne
+        ? liquidity * (sqrtTarget - sqrtP)
+        : liquidity * (1 / sqrtTarget - 1 / sqrtP);
+
+      if (remaining < maxIn) {
+        const sqrtNext = zeroForOne
+          ? sqrtP + remaining / liquidity
+          : 1 / (1 / sqrtP + remaining / liquidity);
+        amountOut += zeroForOne
+          ? liquidity * (1 / sqrtP - 1 / sqrtNext)
+          : liquidity * (sqrtP - sqrtNext);
+        sqrtP = sqrtNext;
+        remaining = 0;
+        break;
+      }
+
+      amountOut += zeroForOne
+        ? liquidity * (1 / sqrtP - 1 / sqrtTarget)
+        : liquidity * (sqrtP - sqrtTarget);
+      remaining -= maxIn;
+    }
+
+    if (!next) break; // Out of liquidity: the rest can't be filled
+
+    sqrtP = sqrtTarget;
+    liquidity += zeroForOne ? next.liquidityNet : -next.liquidityNet;
+  }
+
+  return { amountOut, priceAfter: sqrtP * sqrtP, filledIn: amountIn - remaining };
+}
+
+/**
+ * Quote a swap against a pool
+ * @param {object} params - { pool, tokenIn, amountIn (base units), slippageBps }
+ * @returns {object} { tokenIn, tokenOut, amountIn, poolFee, amountOut, minAmountOut,
+ *   spotPrice, effectivePrice, priceImpact, priceBefore, priceAfter, model }
+ *   spotPrice / effectivePrice are tokenOut per tokenIn; priceImpact is a fraction
+ *   and excludes the pool fee
+ */
+function quoteSwap({ pool, tokenIn, amountIn, slippageBps = 100 }) {
+  const zeroForOne = tokenIn === pool.token0Id;
+  if (!zeroForOne && tokenIn !== pool.token1Id) {
+    throw new Error(`Token ${tokenIn} is not in pool ${pool._id}`);
+  }
+
+  amountIn = parseFloat(amountIn);
+  if (!(amountIn > 0)) throw new Error('amountIn must be positive');
+
+  const priceBefore = poolPrice(pool);
+  if (!priceBefore) throw new Error('Pool has no liquidity');
+
+  const feeRate = poolFeeRate(pool);
+  const poolFee = amountIn * feeRate;
+  const netIn = amountIn - poolFee;
+
+  const concentrated = parseFloat(pool.liquidity) > 0 && Array.isArray(pool.ticks);
+  const result = concentrated
+    ? swapConcentrated(pool, zeroForOne, netIn)
+    : swapConstantProduct(pool, zeroForOne, netIn);
+
+  const amountOut = Math.floor(result.amountOut);
+  const spotPrice = zeroForOne ? 1 / priceBefore : priceBefore;
+  const executionPrice = result.filledIn > 0 ? result.amountOut / result.filledIn : 0;
+
+  return {
+    poolId: pool._id,
+    tokenIn,
+    tokenOut: zeroForOne ? pool.token1Id : pool.token0Id,
+    amountIn,
+    poolFee: Math.ceil(poolFee),
+    poolFeeRate: feeRate,
+    amountOut,
+    minAmountOut: Math.floor(amountOut * (1 - slippageBps / 10000)),
+    slippageBps,
+    spotPrice,
+    effectivePrice: amountOut / amountIn,
+    priceImpact: Math.max(0, 1 - executionPrice / spotPrice),
+    priceBefore,
+    priceAfter: result.priceAfter,
+    unfilledIn: Math.max(0, netIn - result.filledIn),
+    model: concentrated ? 'concentrated' : 'constant-product'
+  };
+}
+
+/**
+ * Find the BTC pool for a token
+ */
+function findPool(pools, tokenA, tokenB = BTC_TOKEN_ID) {
+  return pools.find(p =>
+    (p.token0Id === tokenA && p.token1Id === tokenB) ||
+    (p.token0Id === tokenB && p.token1Id === tokenA)
+  ) || null;
+}
+
+module.exports = {
+  quoteSwap,
+  poolPrice,
+  poolFeeRate,
+  findPool,
+  BTC_TOKEN_ID
+};
@@ -0,0 +1,209 @@
+/**
+ * BTC/USD Price Feed
+ *
+ * The one place USD values come from. Volume metrics, deposit minimums,
+ * position values, candles, backtests and GET /api/btc-price all read the
+ * BTC price here, and record it next to the values they derive from it.
+ *
+ * A source exposes getPrice() → USD per BTC:
+ * - CoinGeckoSource: live price (default)
+ * - FixtureSource: fixed price from BTC_PRICE_USD or a JSON fixture file
+ *   ({ "priceUSD": 78600 } or a bare number); default with RADFI_TRANSPORT=mock
+ * - StubSource: any function, for tests
+ *
+ * Prices are cached for MM_CONFIG.btcPriceCacheMs. If a fetch fails the last
+ * price is kept (stale: true); before the first success MM_CONFIG.btcPriceFallbackUSD
+ * is served (source: 'fallback'). A snapshot is stored every
+ * MM_CONFIG.btcPriceHistoryMs ('btcPrices').
+ *
+ * Selection:
+ *   BTC_PRICE_SOURCE=coingecko|fixture
+ *   BTC_PRICE_USD=78600           → fixture price
+ *   BTC_PRICE_FIXTURE=path.json   → fixture file
+ */
+
+const fs = require('fs');
+const { MM_CONFIG } = require('./production-config');
+const { historyStore, COLLECTIONS } = require('./state-store');
+
+const COINGECKO_URL = 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd';
+
+class CoinGeckoSource {
+  constructor({ url = COINGECKO_URL, fetchImpl = globalThis.fetch } = {}) {
+    this.name = 'coingecko';
+    this.url = url;
+    this.fetchImpl = fetchImpl;
+  }
+
+  async getPrice() {
+    const response = await this.fetchImpl(this.url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`CoinGecko ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    return data.bitcoin?.usd;
+  }
+}
+
+class FixtureSource {
+  constructor({ priceUSD = null, fixturePath = null } = {}) {
+    this.name = fixturePath ? `fixture:${fixturePath}` : 'fixture';
+    this.priceUSD = priceUSD;
+    this.fixturePath = fixturePath;
+  }
+
+  async getPrice() {
+    if (this.fixturePath) {
+      const fixture = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+      return typeof fixture === 'number' ? fixture : fixture.priceUSD;
+    }
+    return this.priceUSD ?? MM_CONFIG.btcPriceFallbackUSD;
+  }
+}
+
+class StubSource {
+  constructor(getPrice, name = 'stub') {
+    this.name = name;
+    this.getPrice = async () => getPrice();
+  }
+}
+
+/**
+ * Build a source by name ('coingecko' or 'fixture')
+ */
+function createSource(kind = process.env.BTC_PRICE_SOURCE) {
+  const fixture = process.env.BTC_PRICE_USD || process.env.BTC_PRICE_FIXTURE;
+  kind = kind || (fixture || process.env.RADFI_TRANSPORT === 'mock' ? 'fixture' : 'coingecko');
+
+  if (kind === 'fixture') {
+    return new FixtureSource({
+      priceUSD: process.env.BTC_PRICE_USD ? parseFloat(process.env.BTC_PRICE_USD) : null,
+      fixturePath: process.env.BTC_PRICE_FIXTURE || null
+    });
+  }
+  if (kind === 'coingecko') {
+    return new CoinGeckoSource();
+  }
+  throw new Error(`Unknown BTC price source: ${kind}`);
+}
+
+class BtcPriceFeed {
+  constructor({
+    source = null,            // null → createSource() on first use
+    store = historyStore,
+    cacheMs = MM_CONFIG.btcPriceCacheMs,
+    historyMs = MM_CONFIG.btcPriceHistoryMs,
+    fallbackUSD = MM_CONFIG.btcPriceFallbackUSD
+  } = {}) {
+    this.source = source;
+    this.store = store;
+    this.cacheMs = cacheMs;
+    this.historyMs = historyMs;
+    this.fallbackUSD = fallbackUSD;
+    this.latest = null;     // { priceUSD, source, timestamp, stale }
+    this.fetchedAt = 0;     // last attempt, successful or not
+    this.lastStoredAt = 0;
+    this.inFlight = null;
+    this.timer = null;
+  }
+
+  /**
+   * Current BTC price, refreshed if older than maxAgeMs
+   * @returns {object} { priceUSD, source, timestamp, stale }
+   */
+  async get({ maxAgeMs = this.cacheMs } = {}) {
+    if (Date.now() - this.fetchedAt < maxAgeMs) return this.current();
+    if (!this.inFlight) {
+      this.inFlight = this.refresh().finally(() => { this.inFlight = null; });
+    }
+    return this.inFlight;
+  }
+
+  /**
+   * Last known price without fetching (for synchronous valuations)
+   */
+  current() {
+    return this.latest || {
+      priceUSD: this.fallbackUSD,
+      source: 'fallback',
+      timestamp: null,
+      stale: true
+    };
+  }
+
+  /**
+   * USD value of a BTC amount at the current price
+   */
+  toUSD(btc) {
+    return btc * this.current().priceUSD;
+  }
+
+  async refresh() {
+    this.source = this.source || createSource();
+    this.fetchedAt = Date.now();
+
+    try {
+      const priceUSD = parseFloat(await this.source.getPrice());
+      if (!Number.isFinite(priceUSD) || priceUSD <= 0) {
+        throw new Error(`invalid price ${priceUSD}`);
+      }
+
+      this.latest = { priceUSD, source: this.source.name, timestamp: this.fetchedAt, stale: false };
+
+      if (this.fetchedAt - this.lastStoredAt >= this.historyMs) {
+        this.store.put(COLLECTIONS.BTC_PRICES, String(this.fetchedAt), this.latest);
+        this.lastStoredAt = this.fetchedAt;
+      }
+    } catch (error) {
+      console.warn(`[BtcPrice] ${this.source.name} fetch failed, using ${this.latest ? 'last' : 'fallback'} price:`, error.message);
+      if (this.latest) this.latest = { ...this.latest, stale: true };
+    }
+
+    return this.current();
+  }
+
+  /**
+   * Stored snapshots
+   * @param {object} options - { from, to, limit, order } (ms)
+   */
+  history(options = {}) {
+    return this.store.query(COLLECTIONS.BTC_PRICES, options);
+  }
+
+  /**
+   * Swap the source (e.g. a StubSource in tests); clears the cache
+   */
+  setSource(source) {
+    this.source = source;
+    this.latest = null;
+    this.fetchedAt = 0;
+    return source;
+  }
+
+  /**
+   * Keep the cache warm for synchronous readers
+   */
+  start(intervalMs = this.cacheMs) {
+    if (this.timer) return;
+    this.get().catch(() => {});
+    this.timer = setInterval(() => this.get().catch(() => {}), intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Process-wide feed
+const btcPriceFeed = new BtcPriceFeed();
+
+module.exports = {
+  BtcPriceFeed,
+  CoinGeckoSource,
+  FixtureSource,
+  StubSource,
+  createSource,
+  btcPriceFeed
+};
@@ -0,0 +1,417 @@
+/**
+ * Candle Service
+ *
+ * Real OHLCV candles from RadFi swap histories, shared by the chart
+ * (GET /api/candles) and backtests.
+ *
+ * - Ingestion: /api/histories swaps are pulled incrementally (newest pages
+ *   until we reach what we already have) and folded into 1m candles in the
+ *   candle store (./state-store.js). A per-pool cursor remembers the newest
+ *   and oldest swap seen.
+ * - History backfill: when a pool has more history than one sync fetches,
+ *   later syncs keep walking older pages until the start is reached.
+ * - Aggregation: 1m candles roll up into 5m / 15m / 1h / 4h / 1d on read.
+ * - Gap fill: intervals without swaps are returned flat at the previous close
+ *   with zero volume (filled: true).
+ *
+ * Prices follow the pool: token0 (sats) per token1 base unit. Volume is in
+ * sats and USD. Each swap is valued at the stored BTC/USD snapshot
+ * (./btc-price.js history) nearest its own time; a candle holding a swap with
+ * no snapshot within BTC_PRICE_MAX_GAP_MS has volumeUSD null, so backfilled
+ * history is never valued at today's price.
+ */
+
+const { getTransport } = require('./transport');
+const { normalizeSwaps } = require('./pool-history');
+const { candleStore, COLLECTIONS } = require('./state-store');
+const { btcPriceFeed } = require('./btc-price');
+
+// Interval → seconds
+const INTERVALS = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '4h': 14400,
+  '1d': 86400
+};
+
+const BASE_INTERVAL = 60;
+const MAX_CANDLES = 5000;
+const BTC_PRICE_MAX_GAP_MS = 60 * 60 * 1000; // Furthest BTC price snapshot a swap is valued at
+
+class CandleService {
+  constructor({
+    store = candleStore,
+    transport = null,
+    btcPriceUSD = null,         // null → BTC/USD history at each swap's time
+    pageSize = 1000,
+    maxPagesPerSync = 5,
+    syncIntervalMs = 30000
+  } = {}) {
+    this.store = store;
+    this.transport = transport;
+    this.btcPriceUSD = btcPriceUSD;
+    this.pageSize = pageSize;
+    this.maxPagesPerSync = maxPagesPerSync; // bounds one sync; the rest is backfilled later
+    this.syncIntervalMs = syncIntervalMs;
+    this.syncing = new Map(); // poolId → in-flight sync promise
+  }
+
+  /**
+   * Candles for a pool, syncing its history first if stale
+   * @param {object} options - { poolId, interval, from, to } (from/to in unix seconds)
+   * @returns {object} { poolId, interval, from, to, candles, sync }
+   */
+  async getCandles({ poolId, interval = '15m', from, to }) {
+    const seconds = INTERVALS[interval];
+    if (!seconds) {
+      throw new Error(`Unsupported interval: ${interval} (use ${Object.keys(INTERVALS).join(', ')})`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    to = Math.floor(Math.min(to ?? now, now) / seconds) * seconds;
+    from = Math.floor(Math.max(from ?? to - seconds * 500, to - seconds * (MAX_CANDLES - 1)) / seconds) * seconds;
+
+    const sync = await this.ensureSynced(poolId);
+
+    // The last candle before the window supplies the opening price for gap fill
+    const minutes = this.store.query(COLLECTIONS.CANDLES, {
+      poolId,
+      from: from * 1000 - seconds * 1000,
+      to: to * 1000 + seconds * 1000 - 1
+    });
+
+    const candles = this.fill(this.aggregate(minutes, seconds), seconds, from, to);
+
+    return { poolId, interval, from, to, candles, sync };
+  }
+
+  /**
+   * Sync if the pool's cursor is older than syncIntervalMs.
+   * Concurrent callers share one in-flight sync per pool.
+   */
+  async ensureSynced(poolId) {
+    const cursor = this.store.get(COLLECTIONS.CANDLE_SYNC, poolId);
+    const fresh = cursor && Date.now() - cursor.syncedAt < this.syncIntervalMs;
+    if (fresh && cursor.complete) return cursor;
+
+    if (!this.syncing.has(poolId)) {
+      const run = (fresh ? this.backfill(poolId) : this.sync(poolId))
+        .finally(() => this.syncing.delete(poolId));
+      this.syncing.set(poolId, run);
+    }
+
+    try {
+      return await this.syncing.get(poolId);
+    } catch (error) {
+      // Serve what we have if RadFi is unreachable
+      if (cursor) {
+        console.warn(`[Candles] Sync failed for ${poolId}, serving stored candles:`, error.message);
+        return cursor;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Ingest swaps newer than the cursor, then continue any pending backfill
+   */
+  async sync(poolId) {
+    const cursor = this.store.get(COLLECTIONS.CANDLE_SYNC, poolId) || {
+      poolId,
+      newest: null,        // ms of the newest ingested swap
+      newestTxIds: [],     // swaps at exactly `newest` (same-block dedupe)
+      oldest: null,
+      oldestTxIds: [],
+      swapCount: 0,
+      complete: false,     // true once the oldest page has been ingested
+      syncedAt: 0
+    };
+
+    if (cursor.newest === null) cursor.complete = false; // nothing ingested yet
+    if (this.btcPriceUSD === null) await btcPriceFeed.get(); // fresh snapshot for the newest swaps
+
+    const fresh = [];
+    let page = 1;
+
+    while (true) {
+      const swaps = await this.fetchPage(poolId, page);
+      const reachedKnown = cursor.newest !== null && swaps.some(s => s.timestamp < cursor.newest);
+
+      fresh.push(...swaps.filter(s =>
+        cursor.newest === null ||
+        s.timestamp > cursor.newest ||
+        (s.timestamp === cursor.newest && !cursor.newestTxIds.includes(s.txId))
+      ));
+
+      if (swaps.length < this.pageSize) {
+        if (cursor.newest === null) cursor.complete = true;
+        break;
+      }
+      if (reachedKnown) break;
+      // A first sync is bounded; older history is backfilled by later syncs.
+      // Catch-up syncs keep going so no swaps are skipped between syncs.
+      if (cursor.newest === null && page >= this.maxPagesPerSync) break;
+      page++;
+    }
+
+    this.ingest(cursor, fresh);
+
+    if (!cursor.complete && page < this.maxPagesPerSync) {
+      await this.backfillPages(cursor);
+    }
+
+    cursor.syncedAt = Date.now();
+    this.store.put(COLLECTIONS.CANDLE_SYNC, poolId, cursor);
+    return cursor;
+  }
+
+  /**
+   * Continue walking older pages for a pool whose history isn't complete
+   */
+  async backfill(poolId) {
+    const cursor = this.store.get(COLLECTIONS.CANDLE_SYNC, poolId);
+    if (!cursor || cursor.complete) return cursor;
+
+    await this.backfillPages(cursor);
+    this.store.put(COLLECTIONS.CANDLE_SYNC, poolId, cursor);
+    return cursor;
+  }
+
+  async backfillPages(cursor) {
+    // Every swap from `oldest` on is counted, so older swaps start on this page
+    let page = Math.floor(cursor.swapCount / this.pageSize) + 1;
+
+    for (let i = 0; i < this.maxPagesPerSync; i++, page++) {
+      const swaps = await this.fetchPage(cursor.poolId, page);
+      const older = swaps.filter(s =>
+        s.timestamp < cursor.oldest ||
+        (s.timestamp === cursor.oldest && !cursor.oldestTxIds.includes(s.txId))
+      );
+
+      this.ingest(cursor, older);
+
+      if (swaps.length < this.pageSize) {
+        cursor.complete = true;
+        console.log(`[Candles] ${cursor.poolId}: history complete (${cursor.swapCount} swaps)`);
+        return;
+      }
+    }
+  }
+
+  async fetchPage(poolId, page) {
+    const transport = this.transport || getTransport();
+    const response = await transport.request(
+      `/api/histories?poolId=${poolId}&type=swap&pageSize=${this.pageSize}&page=${page}&sort=-btcBlockTime`
+    );
+    if (!response.ok) {
+      throw new Error(`RadFi histories ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return normalizeSwaps(data.data);
+  }
+
+  /**
+   * Fold swaps into stored 1m candles (one transaction) and advance the cursor
+   */
+  ingest(cursor, swaps) {
+    if (swaps.length === 0) return;
+
+    const sorted = [...swaps].sort((a, b) => a.timestamp - b.timestamp);
+    const btcPrices = this.btcPriceUSD === null ? this.btcPriceHistory(sorted) : null;
+
+    this.store.transaction(tx => {
+      const touched = new Map(); // key → candle
+
+      for (const swap of sorted) {
+        if (swap.executionPrice === null) continue;
+        const time = Math.floor(swap.timestamp / 1000 / BASE_INTERVAL) * BASE_INTERVAL;
+        const key = `${cursor.poolId}:${time}`;
+        const candle = touched.get(key) || tx.get(COLLECTIONS.CANDLES, key) || this.emptyCandle(cursor.poolId, time);
+
+        this.addSwap(candle, swap, btcPrices ? this.btcPriceAt(btcPrices, swap.timestamp) : this.btcPriceUSD);
+        touched.set(key, candle);
+      }
+
+      for (const [key, candle] of touched) tx.put(COLLECTIONS.CANDLES, key, candle);
+    });
+
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+
+    if (cursor.newest === null || last.timestamp > cursor.newest) {
+      cursor.newest = last.timestamp;
+      cursor.newestTxIds = [];
+    }
+    if (cursor.oldest === null || first.timestamp < cursor.oldest) {
+      cursor.oldest = first.timestamp;
+      cursor.oldestTxIds = [];
+    }
+    for (const swap of sorted) {
+      if (swap.timestamp === cursor.newest) cursor.newestTxIds.push(swap.txId);
+      if (swap.timestamp === cursor.oldest) cursor.oldestTxIds.push(swap.txId);
+    }
+
+    cursor.swapCount += sorted.length;
+  }
+
+  /**
+   * Stored BTC/USD snapshots around a batch of swaps (oldest first), plus the
+   * live price while it is fresh
+   */
+  btcPriceHistory(sorted) {
+    const prices = btcPriceFeed.history({
+      from: sorted[0].timestamp - BTC_PRICE_MAX_GAP_MS,
+      to: sorted[sorted.length - 1].timestamp + BTC_PRICE_MAX_GAP_MS
+    });
+
+    const live = btcPriceFeed.current();
+    if (!live.stale && live.timestamp && !(prices.length && prices[prices.length - 1].timestamp >= live.timestamp)) {
+      prices.push(live);
+    }
+
+    return prices;
+  }
+
+  /**
+   * USD per BTC from the snapshot nearest a time, or null if none is close enough
+   * @param {Array} prices - [{ priceUSD, timestamp }], oldest first
+   */
+  btcPriceAt(prices, timestamp) {
+    let lo = 0;
+    let hi = prices.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (prices[mid].timestamp < timestamp) lo = mid + 1;
+      else hi = mid;
+    }
+
+    let nearest = null;
+    for (const candidate of [prices[lo - 1], prices[lo]]) {
+      if (candidate && (!nearest || Math.abs(candidate.timestamp - timestamp) < Math.abs(nearest.timestamp - timestamp))) {
+        nearest = candidate;
+      }
+    }
+
+    return nearest && Math.abs(nearest.timestamp - timestamp) <= BTC_PRICE_MAX_GAP_MS ? nearest.priceUSD : null;
+  }
+
+  emptyCandle(poolId, time) {
+    return {
+      poolId,
+      time,
+      timestamp: time * 1000,
+      open: null,
+      high: null,
+      low: null,
+      close: null,
+      openAt: null,   // ms of the swap that set open/close, so late
+      closeAt: null,  // (backfilled) swaps land in the right place
+      volumeSats: 0,
+      volumeToken: 0,
+      volumeUSD: 0,   // null once a swap without a BTC price lands here
+      trades: 0
+    };
+  }
+
+  addSwap(candle, swap, btcPriceUSD) {
+    const price = swap.executionPrice;
+
+    if (candle.openAt === null || swap.timestamp < candle.openAt) {
+      candle.open = price;
+      candle.openAt = swap.timestamp;
+    }
+    if (candle.closeAt === null || swap.timestamp >= candle.closeAt) {
+      candle.close = price;
+      candle.closeAt = swap.timestamp;
+    }
+    candle.high = candle.high === null ? price : Math.max(candle.high, price);
+    candle.low = candle.low === null ? price : Math.min(candle.low, price);
+    candle.volumeSats += swap.amount0;
+    candle.volumeToken += swap.amount1;
+    candle.volumeUSD = btcPriceUSD === null || candle.volumeUSD === null
+      ? null
+      : candle.volumeUSD + swap.btcAmount * btcPriceUSD;
+    candle.trades++;
+  }
+
+  /**
+   * Roll 1m candles (oldest first) up into `seconds` buckets
+   */
+  aggregate(minutes, seconds) {
+    const buckets = new Map();
+
+    for (const m of minutes) {
+      const time = Math.floor(m.time / seconds) * seconds;
+      const bucket = buckets.get(time);
+
+      if (!bucket) {
+        buckets.set(time, {
+          time,
+          open: m.open,
+          high: m.high,
+          low: m.low,
+          close: m.close,
+          volumeSats: m.volumeSats,
+          volumeUSD: m.volumeUSD,
+          trades: m.trades
+        });
+        continue;
+      }
+
+      bucket.high = Math.max(bucket.high, m.high);
+      bucket.low = Math.min(bucket.low, m.low);
+      bucket.close = m.close;
+      bucket.volumeSats += m.volumeSats;
+      bucket.volumeUSD = bucket.volumeUSD === null || m.volumeUSD === null ? null : bucket.volumeUSD + m.volumeUSD;
+      bucket.trades += m.trades;
+    }
+
+    return [...buckets.values()].sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * One candle per interval in [from, to]: empty intervals repeat the previous
+   * close. Nothing is emitted before the first known price.
+   */
+  fill(candles, seconds, from, to) {
+    const result = [];
+    let previous = null;
+    let i = 0;
+
+    // Candles before the window only seed the previous close
+    while (i < candles.length && candles[i].time < from) previous = candles[i++];
+
+    for (let time = from; time <= to; time += seconds) {
+      if (i < candles.length && candles[i].time === time) {
+        previous = candles[i++];
+        result.push(previous);
+      } else if (previous) {
+        result.push({
+          time,
+          open: previous.close,
+          high: previous.close,
+          low: previous.close,
+          close: previous.close,
+          volumeSats: 0,
+          volumeUSD: 0,
+          trades: 0,
+          filled: true
+        });
+      }
+    }
+
+    return result;
+  }
+}
+
+// Shared instance
+const candleService = new CandleService();
+
+module.exports = {
+  CandleService,
+  candleService,
+  INTERVALS
+};
@@ -0,0 +1,138 @@
+/**
+ * Cost Basis
+ *
+ * Tax lots and realized gains from ledger entries (./ledger.js), per token:
+ *
+ *   fifo     each sale consumes the oldest lots first
+ *   average  each sale is costed at the running average cost per token
+ *
+ * Cost and proceeds are in BTC, and in USD at the BTC/USD price recorded on
+ * the entry (so USD basis is fixed at acquisition, USD proceeds at disposal).
+ * A sale larger than the tokens held (e.g. history before the ledger existed)
+ * is costed at zero for the excess and flagged with unmatchedTokens.
+ */
+
+const METHODS = ['fifo', 'average'];
+
+/**
+ * @param {Array} entries - Ledger entries, oldest first
+ * @param {string} method - 'fifo' | 'average'
+ * @returns {object} { method, disposals, holdings, realized: { btc, usd } }
+ */
+function computeCostBasis(entries, method = 'fifo') {
+  if (!METHODS.includes(method)) {
+    throw new Error(`Unknown cost basis method: ${method}`);
+  }
+
+  const holdings = {}; // ticker → { tokens, costBTC, costUSD, lots }
+  const disposals = [];
+
+  for (const entry of entries) {
+    if (entry.kind !== 'buy' && entry.kind !== 'sell') continue;
+
+    const holding = holdings[entry.ticker] ||= { tokens: 0, costBTC: 0, costUSD: 0, lots: [] };
+    const usd = entry.btcAmount * (entry.btcPriceUSD || 0);
+
+    if (entry.kind === 'buy') {
+      holding.tokens += entry.tokenAmount;
+      holding.costBTC += entry.btcAmount;
+      holding.costUSD += usd;
+      if (method === 'fifo') {
+        holding.lots.push({
+          entryId: entry.id,
+          acquiredAt: entry.timestamp,
+          tokenAmount: entry.tokenAmount,
+          costBTC: entry.btcAmount,
+          costUSD: usd
+        });
+      }
+      continue;
+    }
+
+    const basis = method === 'fifo'
+      ? consumeLots(holding, entry.tokenAmount)
+      : consumeAverage(holding, entry.tokenAmount);
+
+    disposals.push({
+      entryId: entry.id,
+      ticker: entry.ticker,
+      source: entry.source,
+      timestamp: entry.timestamp,
+      tokenAmount: entry.tokenAmount,
+      proceedsBTC: entry.btcAmount,
+      proceedsUSD: usd,
+      costBTC: basis.costBTC,
+      costUSD: basis.costUSD,
+      gainBTC: entry.btcAmount - basis.costBTC,
+      gainUSD: usd - basis.costUSD,
+      ...(basis.lots && { lots: basis.lots }),
+      ...(basis.unmatchedTokens > 0 && { unmatchedTokens: basis.unmatchedTokens })
+    });
+  }
+
+  return {
+    method,
+    disposals,
+    holdings: Object.fromEntries(Object.entries(holdings).map(([ticker, h]) => [ticker, {
+      tokens: h.tokens,
+      costBTC: h.costBTC,
+      costUSD: h.costUSD,
+      ...(method === 'fifo' && { lots: h.lots })
+    }])),
+    realized: {
+      btc: disposals.reduce((sum, d) => sum + d.gainBTC, 0),
+      usd: disposals.reduce((sum, d) => sum + d.gainUSD, 0)
+    }
+  };
+}
+
+// Oldest lots first; partially used lots keep their remainder (also used by ./pnl.js)
+function consumeLots(holding, tokenAmount) {
+  let remaining = tokenAmount;
+  let costBTC = 0;
+  let costUSD = 0;
+  const lots = [];
+
+  while (remaining > 0 && holding.lots.length > 0) {
+    const lot = holding.lots[0];
+    const used = Math.min(remaining, lot.tokenAmount);
+    const share = used / lot.tokenAmount;
+    const lotBTC = lot.costBTC * share;
+    const lotUSD = lot.costUSD * share;
+
+    lots.push({ entryId: lot.entryId, acquiredAt: lot.acquiredAt, tokenAmount: used, costBTC: lotBTC, costUSD: lotUSD });
+    costBTC += lotBTC;
+    costUSD += lotUSD;
+    remaining -= used;
+
+    lot.tokenAmount -= used;
+    lot.costBTC -= lotBTC;
+    lot.costUSD -= lotUSD;
+    if (lot.tokenAmount <= 0) holding.lots.shift();
+  }
+
+  holding.tokens = Math.max(0, holding.tokens - (tokenAmount - remaining));
+  holding.costBTC -= costBTC;
+  holding.costUSD -= costUSD;
+
+  return { costBTC, costUSD, lots, unmatchedTokens: remaining };
+}
+
+function consumeAverage(holding, tokenAmount) {
+  const matched = Math.min(tokenAmount, holding.tokens);
+  const share = holding.tokens > 0 ? matched / holding.tokens : 0;
+  const costBTC = holding.costBTC * share;
+  const costUSD = holding.costUSD * share;
+
+  holding.tokens -= matched;
+  holding.costBTC -= costBTC;
+  holding.costUSD -= costUSD;
+
+  return { costBTC, costUSD, unmatchedTokens: tokenAmount - matched };
+}
+
+module.exports = {
+  computeCostBasis,
+  consumeLots,
+  METHODS
+};
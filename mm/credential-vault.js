@@ -0,0 +1,128 @@
+/**
+ * Credential Vault
+ *
+ * Encrypted-at-rest RadFi access/refresh tokens, keyed by user address,
+ * so restored and resumed volume bots keep trading live.
+ *
+ * - AES-256-GCM, fresh IV per write, user address bound in as AAD
+ * - Key from CREDENTIAL_VAULT_KEY (64 hex chars, or any passphrase → SHA-256)
+ * - Ciphertext lives in the state store ('credentials' collection)
+ *
+ * Without a key the vault only keeps credentials in memory for this process
+ * and says so once; tokens are never written in plaintext.
+ */
+
+const crypto = require('crypto');
+const { stateStore, COLLECTIONS } = require('./state-store');
+
+const ALGORITHM = 'aes-256-gcm';
+
+function deriveKey(secret) {
+  if (!secret) return null;
+  if (/^[0-9a-fA-F]{64}$/.test(secret)) return Buffer.from(secret, 'hex');
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+class CredentialVault {
+  constructor({ store = stateStore, secret = process.env.CREDENTIAL_VAULT_KEY } = {}) {
+    this.store = store;
+    this.key = deriveKey(secret);
+    this.keyId = this.key ? crypto.createHash('sha256').update(this.key).digest('hex').slice(0, 8) : null;
+    this.memory = new Map(); // userAddress → credentials (always current for this process)
+    this.warned = false;
+  }
+
+  isPersistent() {
+    return !!this.key;
+  }
+
+  /**
+   * Store credentials for an address
+   * @param {object} credentials - { authToken, refreshToken, expiresAt, tradingAddress }
+   */
+  save(userAddress, credentials) {
+    const record = { ...credentials, updatedAt: Date.now() };
+    this.memory.set(userAddress, record);
+
+    if (!this.key) {
+      if (!this.warned) {
+        console.warn('[CredentialVault] ⚠️ CREDENTIAL_VAULT_KEY not set - credentials kept in memory only');
+        this.warned = true;
+      }
+      return false;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    cipher.setAAD(Buffer.from(userAddress));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(record), 'utf8'), cipher.final()]);
+
+    this.store.put(COLLECTIONS.CREDENTIALS, userAddress, {
+      userAddress,
+      keyId: this.keyId,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64'),
+      updatedAt: record.updatedAt
+    });
+
+    return true;
+  }
+
+  /**
+   * Merge new values (e.g. rotated tokens) into stored credentials
+   */
+  update(userAddress, changes) {
+    return this.save(userAddress, { ...(this.load(userAddress) || {}), ...changes });
+  }
+
+  /**
+   * @returns {object|null} { authToken, refreshToken, expiresAt, tradingAddress, updatedAt }
+   */
+  load(userAddress) {
+    if (this.memory.has(userAddress)) {
+      return { ...this.memory.get(userAddress) };
+    }
+    if (!this.key) return null;
+
+    const entry = this.store.get(COLLECTIONS.CREDENTIALS, userAddress);
+    if (!entry) return null;
+
+    if (entry.keyId !== this.keyId) {
+      console.error(`[CredentialVault] Credentials for ${userAddress} were encrypted with another key`);
+      return null;
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(entry.iv, 'base64'));
+      decipher.setAAD(Buffer.from(userAddress));
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(entry.ciphertext, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+
+      const credentials = JSON.parse(plaintext);
+      this.memory.set(userAddress, credentials);
+      return { ...credentials };
+    } catch (error) {
+      console.error(`[CredentialVault] Failed to decrypt credentials for ${userAddress}:`, error.message);
+      return null;
+    }
+  }
+
+  remove(userAddress) {
+    this.memory.delete(userAddress);
+    if (this.store.get(COLLECTIONS.CREDENTIALS, userAddress)) {
+      this.store.delete(COLLECTIONS.CREDENTIALS, userAddress);
+    }
+  }
+}
+
+// Shared instance
+const credentialVault = new CredentialVault();
+
+module.exports = {
+  CredentialVault,
+  credentialVault
+};
@@ -0,0 +1,87 @@
+/**
+ * Daily Stats
+ *
+ * Per-day rollups of a volume bot's metrics (UTC days). The bot keeps a
+ * start-of-day snapshot in metrics.today; at the day boundary
+ * (VolumeBot.checkVolumeReset) the difference to the running totals is
+ * stored as that day's rollup ('dailyStats', key user:ticker:YYYY-MM-DD).
+ *
+ * Rollup: { userAddress, ticker, day, timestamp, volumeUSD, trades,
+ *           feesPaid, feesEarned, pnl, startPrice, endPrice, btcPriceUSD }
+ * Fees and PnL are in BTC, volume in USD, prices in sats per token base unit.
+ */
+
+const { historyStore, COLLECTIONS } = require('./state-store');
+const { btcPriceFeed } = require('./btc-price');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC day id (YYYY-MM-DD) for a ms timestamp
+ */
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function dayStart(ms) {
+  return Math.floor(ms / DAY_MS) * DAY_MS;
+}
+
+/**
+ * Snapshot the running totals at the start of a day
+ */
+function startDay(metrics, price, now = Date.now()) {
+  return {
+    day: dayKey(now),
+    startedAt: now,
+    volumeUSD: metrics.volumeGenerated || 0,
+    trades: metrics.trades?.length || 0,
+    feesPaid: metrics.tradingFeesPaid || 0,
+    feesEarned: metrics.feesCollected || 0,
+    pnl: metrics.netPnL || 0,
+    startPrice: price || null
+  };
+}
+
+/**
+ * The day so far: running totals minus the start-of-day snapshot
+ * @param {object} state - { userAddress, ticker, metrics, currentPrice } (a bot or its saved state)
+ * @returns {object|null} Rollup, or null before the first snapshot
+ */
+function summarizeDay({ userAddress, ticker, metrics, currentPrice }) {
+  const today = metrics?.today;
+  if (!today) return null;
+
+  return {
+    userAddress,
+    ticker,
+    day: today.day,
+    timestamp: dayStart(today.startedAt),
+    volumeUSD: (metrics.volumeGenerated || 0) - today.volumeUSD,
+    trades: (metrics.trades?.length || 0) - today.trades,
+    feesPaid: (metrics.tradingFeesPaid || 0) - today.feesPaid,
+    feesEarned: (metrics.feesCollected || 0) - today.feesEarned,
+    pnl: (metrics.netPnL || 0) - today.pnl,
+    startPrice: today.startPrice,
+    endPrice: currentPrice || null,
+    btcPriceUSD: btcPriceFeed.current().priceUSD
+  };
+}
+
+/**
+ * Persist a finished day
+ */
+function saveDay(rollup, store = historyStore) {
+  const record = { ...rollup, closedAt: Date.now() };
+  store.put(COLLECTIONS.DAILY_STATS, `${rollup.userAddress}:${rollup.ticker}:${rollup.day}`, record);
+  return record;
+}
+
+module.exports = {
+  DAY_MS,
+  dayKey,
+  dayStart,
+  startDay,
+  summarizeDay,
+  saveDay
+};
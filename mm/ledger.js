@@ -0,0 +1,161 @@
+/**
+ * Ledger
+ *
+ * Per-user record of every movement that matters for accounting, kept in the
+ * history store ('ledger') and read by the exports (ReportingMonitor.exportMetrics):
+ *
+ *   deposit      BTC allocated to a bot
+ *   buy / sell   token bought or sold: initial allocation, ladder fills,
+ *                rebalances and the withdrawal swap
+ *   platform-fee BTC (or unswapped tokens, valued in BTC) paid to the
+ *                platform on withdrawal
+ *   withdrawal   BTC or unswapped tokens sent to the user
+ *
+ * Entry: { id, userAddress, ticker, kind, source, timestamp, tokenAmount,
+ *          btcAmount, feeBTC, price, btcPriceUSD, txId, ref, mode }
+ * For buys btcAmount is the BTC spent including fees; for sells the BTC
+ * received after fees. btcPriceUSD is the BTC/USD price at the time.
+ */
+
+const crypto = require('crypto');
+const { historyStore, COLLECTIONS } = require('./state-store');
+const { btcPriceFeed } = require('./btc-price');
+
+class Ledger {
+  constructor({ store = historyStore } = {}) {
+    this.store = store;
+  }
+
+  /**
+   * Record an entry (entries with the same id replace each other)
+   * Buys and sells must move tokens: a zero-token trade is rejected.
+   */
+  record({
+    id = null,
+    userAddress,
+    ticker = null,
+    kind,
+    source = null,
+    timestamp = Date.now(),
+    tokenAmount = 0,
+    btcAmount = 0,
+    feeBTC = 0,
+    price = null,
+    btcPriceUSD = btcPriceFeed.current().priceUSD,
+    txId = null,
+    ref = null,
+    mode = null               // 'live' | 'simulated'
+  }) {
+    if ((kind === 'buy' || kind === 'sell') && !(tokenAmount > 0)) {
+      throw new Error(`Ledger ${kind} for ${ticker} without a token amount (${tokenAmount} tokens, ${btcAmount} BTC)`);
+    }
+
+    const entry = {
+      id: id || `${timestamp.toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+      userAddress,
+      ticker,
+      kind,
+      source,
+      timestamp,
+      tokenAmount,
+      btcAmount,
+      feeBTC,
+      price,
+      btcPriceUSD,
+      txId,
+      ref,
+      mode
+    };
+
+    this.store.put(COLLECTIONS.LEDGER, `${userAddress}:${entry.id}`, entry);
+    return entry;
+  }
+
+  /**
+   * A user's entries, oldest first
+   * @param {object} options - { ticker, from, to } (ms)
+   */
+  query(userAddress, { ticker, from, to } = {}) {
+    return this.store.query(COLLECTIONS.LEDGER, { userAddress, ticker, from, to });
+  }
+
+  /**
+   * Entries for a completed withdrawal: the token sales, the platform fee and
+   * the transfers to the user (ids derive from the withdrawal, so re-recording
+   * is harmless)
+   */
+  recordWithdrawal(withdrawal) {
+    const { userAddress, id: ref, mode } = withdrawal;
+    const swappedAt = withdrawal.steps['swap-to-btc']?.finishedAt || withdrawal.completedAt;
+
+    for (const bot of withdrawal.bots) {
+      const swap = withdrawal.swaps[bot.ticker];
+      if (!swap || swap.skipped || !swap.tokenIn) continue;
+
+      this.record({
+        id: `${ref}:sell:${bot.ticker}`,
+        userAddress,
+        ticker: bot.ticker,
+        kind: 'sell',
+        source: 'withdrawal',
+        timestamp: swappedAt,
+        tokenAmount: swap.tokenIn,
+        btcAmount: swap.btcOut,
+        feeBTC: swap.feeBTC || 0,
+        price: (swap.btcOut + (swap.feeBTC || 0)) / swap.tokenIn,
+        txId: swap.txId || null,
+        ref,
+        mode
+      });
+    }
+
+    const transfers = [['fee', 'platform-fee'], ['user', 'withdrawal']];
+    for (const [key, kind] of transfers) {
+      const transfer = withdrawal.transfers[key];
+      if (!transfer?.amountSats) continue;
+
+      this.record({
+        id: `${ref}:${kind}`,
+        userAddress,
+        kind,
+        source: 'withdrawal',
+        timestamp: withdrawal.completedAt,
+        btcAmount: transfer.amountSats / 1e8,
+        txId: transfer.txId || null,
+        ref,
+        mode
+      });
+    }
+
+    // Unswapped tokens paid out (fee share and the user's), valued at settlement
+    for (const token of withdrawal.settlement?.tokens || []) {
+      for (const [key, kind] of [[`fee:${token.ticker}`, 'platform-fee'], [`tokens:${token.ticker}`, 'withdrawal']]) {
+        const transfer = withdrawal.transfers[key];
+        if (!transfer?.amount) continue;
+
+        this.record({
+          id: `${ref}:${kind}:${token.ticker}`,
+          userAddress,
+          ticker: token.ticker,
+          kind,
+          source: 'withdrawal',
+          timestamp: withdrawal.completedAt,
+          tokenAmount: transfer.amount,
+          btcAmount: transfer.amount * token.price,
+          price: token.price,
+          txId: transfer.txId || null,
+          ref,
+          mode
+        });
+      }
+    }
+  }
+}
+
+// Shared instance
+const ledger = new Ledger();
+
+module.exports = {
+  Ledger,
+  ledger
+};
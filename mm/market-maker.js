@@ -9,6 +9,10 @@
  * 24h Volume: $425
  */
 
+const { MM_CONFIG, POSITION_STATES } = require('./production-config');
+const { tradeGuard } = require('./trade-guard');
+const { normalizeSwaps } = require('./pool-history');
+
 // ============================================
 // 1. TICK/PRICE CONVERTER
 // ============================================
@@ -58,6 +62,45 @@ class TickMath {
     const upperTick = this.nearestUsableTick(centerTick + tickSpacing, tickSpacing);
     return { lowerTick, upperTick };
   }
+
+  /**
+   * Token amounts held by a concentrated-liquidity position at a given price
+   * Price is token0 (BTC) per token1 (token), so:
+   * - below the range the position is all token1
+   * - above the range it is all token0
+   * @returns {object} { amount0, amount1 }
+   */
+  static getAmountsForLiquidity(liquidity, price, lowerPrice, upperPrice) {
+    const sqrtP = Math.sqrt(Math.min(Math.max(price, lowerPrice), upperPrice));
+    const sqrtA = Math.sqrt(lowerPrice);
+    const sqrtB = Math.sqrt(upperPrice);
+
+    return {
+      amount0: liquidity * (sqrtP - sqrtA),
+      amount1: liquidity * (1 / sqrtP - 1 / sqrtB)
+    };
+  }
+
+  /**
+   * Largest liquidity that the given amounts can back at the given price
+   */
+  static getLiquidityForAmounts(price, lowerPrice, upperPrice, amount0, amount1) {
+    const sqrtA = Math.sqrt(lowerPrice);
+    const sqrtB = Math.sqrt(upperPrice);
+
+    if (price <= lowerPrice) {
+      return amount1 / (1 / sqrtA - 1 / sqrtB);
+    }
+    if (price >= upperPrice) {
+      return amount0 / (sqrtB - sqrtA);
+    }
+
+    const sqrtP = Math.sqrt(price);
+    return Math.min(
+      amount1 / (1 / sqrtP - 1 / sqrtB),
+      amount0 / (sqrtP - sqrtA)
+    );
+  }
 }
 
 // ============================================
@@ -65,9 +108,10 @@ class TickMath {
 // ============================================
 
 class PositionManager {
-  constructor(tradingAddress, accessToken) {
+  constructor(tradingAddress, accessToken, guard = tradeGuard) {
     this.tradingAddress = tradingAddress;
     this.accessToken = accessToken;
+    this.guard = guard;
     this.activePositions = [];
   }
 
@@ -77,9 +121,27 @@ class PositionManager {
    * @param {number} price - Target execution price
    * @param {number} sizeBTC - Amount in BTC
    * @param {object} pool - Pool data
+   * @param {string} poolId - Pool the order rests in
+   * @returns {object|null} Position, or null if blocked by the self-trade guard
    */
-  async createLimitOrder({ side, price, sizeBTC, pool }) {
+  async createLimitOrder({ side, price, sizeBTC, pool, poolId }) {
     const { lowerTick, upperTick } = TickMath.limitOrderRange(price);
+    const lowerPrice = TickMath.tickToPrice(lowerTick);
+    const upperPrice = TickMath.tickToPrice(upperTick);
+
+    if (this.guard) {
+      const check = this.guard.checkOrder({
+        userAddress: this.tradingAddress,
+        poolId,
+        side,
+        type: 'limit',
+        lowerPrice,
+        upperPrice,
+        size: sizeBTC,
+        source: 'MarketMaker'
+      });
+      if (!check.allowed) return null;
+    }
 
     // For bids: provide BTC (token0), receive tokens (token1)
     // For asks: provide tokens (token1), receive BTC (token0)
@@ -113,11 +175,26 @@ class PositionManager {
       sizeBTC: sizeBTC,
       lowerTick: lowerTick,
       upperTick: upperTick,
-      status: 'open',
+      lowerPrice: lowerPrice,
+      upperPrice: upperPrice,
+      status: POSITION_STATES.OPEN,
+      filledFraction: 0,
       createdAt: Date.now(),
       txParams: txParams
     };
 
+    if (this.guard) {
+      this.guard.registerOrder({
+        id: position.id,
+        userAddress: this.tradingAddress,
+        poolId,
+        side,
+        lowerPrice,
+        upperPrice,
+        source: 'MarketMaker'
+      });
+    }
+
     this.activePositions.push(position);
     return position;
   }
@@ -131,6 +208,7 @@ class PositionManager {
     for (const position of this.activePositions) {
       // In production: call RadFi withdraw-liquidity
       console.log(`[MM] Cancelling ${position.side} at ${position.targetPrice}`);
+      if (this.guard) this.guard.removeOrder(position.id);
     }
 
     this.activePositions = [];
@@ -149,57 +227,159 @@ class PositionManager {
 // ============================================
 
 class FillMonitor {
-  constructor(poolId) {
+  constructor(poolId, api = null) {
     this.poolId = poolId;
+    this.api = api;             // RadFiAPI (or anything with getPoolSwaps); null → price-only checks
     this.lastCheck = Date.now();
+    this.lastPrice = null;      // Pool price after the last replayed swap
+    this.seenTxIds = new Set();
   }
 
   /**
-   * Check if positions have been filled
-   * A position is "filled" when price enters its tick range
+   * Fraction of a position converted at a given pool price
+   * Bids start as token0 and convert as price falls through the range,
+   * asks start as token1 and convert as price rises through it.
    */
-  async checkFills(positions, currentPrice) {
-    const fills = [];
+  static fillFraction(position, price) {
+    const lowerPrice = position.lowerPrice ?? TickMath.tickToPrice(position.lowerTick);
+    const upperPrice = position.upperPrice ?? TickMath.tickToPrice(position.upperTick);
+    const { amount0, amount1 } = TickMath.getAmountsForLiquidity(1, price, lowerPrice, upperPrice);
+
+    if (position.side === 'bid') {
+      const full = Math.sqrt(upperPrice) - Math.sqrt(lowerPrice);
+      return 1 - amount0 / full;
+    }
+    const full = 1 / Math.sqrt(lowerPrice) - 1 / Math.sqrt(upperPrice);
+    return 1 - amount1 / full;
+  }
+
+  /**
+   * Move a position to a new pool price
+   * A concentrated-liquidity range converts back when price returns through
+   * it, so the fill fraction follows the current price: deltaFraction is
+   * negative when an open range un-fills. FILLED is terminal — the owner
+   * withdraws a filled range before price can come back for it.
+   * @returns {object|null} Fill event, or null if nothing changed
+   */
+  applyPrice(position, price, timestamp = Date.now(), swap = null) {
+    if (position.status !== POSITION_STATES.OPEN && position.status !== POSITION_STATES.PARTIAL) return null;
+    if (!position.side) return null;
+
+    const previousFraction = position.filledFraction || 0;
+    const fraction = Math.min(1, Math.max(0, FillMonitor.fillFraction(position, price)));
+    if (Math.abs(fraction - previousFraction) <= 1e-9) return null;
+
+    position.filledFraction = fraction;
+    position.lastFillAt = timestamp;
+
+    if (fraction >= 0.999) {
+      position.filledFraction = 1;
+      position.status = POSITION_STATES.FILLED;
+      position.filledAt = timestamp;
+      console.log(`[FillMonitor] ${position.side === 'bid' ? 'BUY' : 'SELL'} FILLED @ ${position.targetPrice}`);
+    } else if (fraction <= 1e-9) {
+      position.filledFraction = 0;
+      position.status = POSITION_STATES.OPEN;
+      console.log(`[FillMonitor] ${position.side} fill reverted @ ${position.targetPrice}`);
+    } else {
+      position.status = POSITION_STATES.PARTIAL;
+      console.log(`[FillMonitor] ${position.side} partial fill ${(fraction * 100).toFixed(1)}% @ ${position.targetPrice}`);
+    }
+
+    return {
+      position,
+      status: position.status,
+      price,
+      timestamp,
+      txId: swap?.txId || null,
+      previousFraction,
+      fillFraction: position.filledFraction,
+      deltaFraction: position.filledFraction - previousFraction
+    };
+  }
+
+  /**
+   * Expire positions older than MM_CONFIG.positionTtlMs that never fully filled
+   */
+  expirePositions(positions, now = Date.now()) {
+    const events = [];
 
     for (const position of positions) {
-      const lowerPrice = TickMath.tickToPrice(position.lowerTick);
-      const upperPrice = TickMath.tickToPrice(position.upperTick);
+      if (position.status !== POSITION_STATES.OPEN && position.status !== POSITION_STATES.PARTIAL) continue;
+      if (now - position.createdAt < MM_CONFIG.positionTtlMs) continue;
 
-      // Check if current price is in position's range
-      const isInRange = currentPrice >= lowerPrice && currentPrice <= upperPrice;
+      position.status = POSITION_STATES.EXPIRED;
+      position.expiredAt = now;
+      events.push({ position, status: position.status, timestamp: now, fillFraction: position.filledFraction || 0, deltaFraction: 0 });
+    }
 
-      if (isInRange && position.status === 'open') {
-        console.log(`[FillMonitor] Position filling: ${position.side} @ ${position.targetPrice}`);
-        position.status = 'filling';
-        fills.push(position);
-      }
+    return events;
+  }
 
-      // If price moved past range, position is fully filled
-      if (position.side === 'bid' && currentPrice > upperPrice && position.status === 'filling') {
-        console.log(`[FillMonitor] BUY FILLED: ${position.sizeBTC} BTC @ ${position.targetPrice}`);
-        position.status = 'filled';
-        position.filledAt = Date.now();
-        fills.push(position);
-      }
+  /**
+   * Price-only check: fills implied by the current pool price
+   * (used when there is no swap history, e.g. backtests)
+   */
+  async checkFills(positions, currentPrice, now = Date.now()) {
+    const fills = [];
 
-      if (position.side === 'ask' && currentPrice < lowerPrice && position.status === 'filling') {
-        console.log(`[FillMonitor] SELL FILLED: ${position.sizeBTC} BTC @ ${position.targetPrice}`);
-        position.status = 'filled';
-        position.filledAt = Date.now();
-        fills.push(position);
-      }
+    for (const position of positions) {
+      const fill = this.applyPrice(position, currentPrice, now);
+      if (fill) fills.push(fill);
     }
 
-    return fills;
+    this.lastPrice = currentPrice;
+    return fills.concat(this.expirePositions(positions, now));
+  }
+
+  /**
+   * Replay swaps from /api/histories against each position's tick range
+   * @returns {Array} Fill / expiry events, oldest first
+   */
+  async monitorSwaps(positions, now = Date.now()) {
+    if (!this.api) return this.expirePositions(positions, now);
+
+    const swaps = await this.api.getPoolSwaps(this.poolId, 50);
+    return this.applySwaps(swaps, positions, now);
   }
 
   /**
-   * Monitor swap events from RadFi API
+   * Apply a page of raw history rows (newest or oldest first) to positions
    */
-  async monitorSwaps() {
-    // In production: fetch recent swaps from /api/histories
-    // Track which swaps crossed our positions' price ranges
-    return [];
+  applySwaps(rawSwaps, positions, now = Date.now()) {
+    const fills = [];
+    const swaps = normalizeSwaps(rawSwaps).filter(s =>
+      s.timestamp >= this.lastCheck - 60000 && !this.seenTxIds.has(s.txId)
+    );
+
+    for (const swap of swaps) {
+      this.seenTxIds.add(swap.txId);
+
+      // Pool price after the swap: reported, or implied by the execution
+      // price (the geometric mean of the before/after prices)
+      let price = swap.poolPrice;
+      if (!price && swap.executionPrice) {
+        price = this.lastPrice ? swap.executionPrice ** 2 / this.lastPrice : swap.executionPrice;
+      }
+      if (!price) continue;
+      this.lastPrice = price;
+
+      for (const position of positions) {
+        // Block times are whole seconds: a swap in the second a range was
+        // placed may have traded through it
+        if (Math.floor(position.createdAt / 1000) * 1000 > swap.timestamp) continue;
+        const fill = this.applyPrice(position, price, swap.timestamp, swap);
+        if (fill) fills.push(fill);
+      }
+    }
+
+    // Keep the dedupe set bounded
+    if (this.seenTxIds.size > 1000) {
+      this.seenTxIds = new Set([...this.seenTxIds].slice(-500));
+    }
+    this.lastCheck = now;
+
+    return fills.concat(this.expirePositions(positions, now));
   }
 }
 
@@ -217,28 +397,29 @@ class InventoryTracker {
 
   /**
    * Update inventory after a fill
+   * @param {number} sizeBTC - Filled size (defaults to the whole position)
    */
-  recordFill(position, fillPrice) {
+  recordFill(position, fillPrice, sizeBTC = position.sizeBTC) {
     if (position.side === 'bid') {
       // Bought RAD with BTC
-      this.btc -= position.sizeBTC;
-      this.rad += position.sizeBTC / fillPrice * 100; // RAD has 2 decimals
+      this.btc -= sizeBTC;
+      this.rad += sizeBTC / fillPrice * 100; // RAD has 2 decimals
       this.trades.push({
         type: 'buy',
         price: fillPrice,
-        btcAmount: position.sizeBTC,
-        radAmount: position.sizeBTC / fillPrice * 100,
+        btcAmount: sizeBTC,
+        radAmount: sizeBTC / fillPrice * 100,
         timestamp: Date.now()
       });
     } else if (position.side === 'ask') {
       // Sold RAD for BTC
-      const radSold = position.sizeBTC / fillPrice * 100;
-      this.btc += position.sizeBTC;
+      const radSold = sizeBTC / fillPrice * 100;
+      this.btc += sizeBTC;
       this.rad -= radSold;
       this.trades.push({
         type: 'sell',
         price: fillPrice,
-        btcAmount: position.sizeBTC,
+        btcAmount: sizeBTC,
         radAmount: radSold,
         timestamp: Date.now()
       });
@@ -376,9 +557,9 @@ class SpreadCalculator {
 // ============================================
 
 class MarketMaker {
-  constructor({ tradingAddress, accessToken, initialCapitalBTC }) {
-    this.positionManager = new PositionManager(tradingAddress, accessToken);
-    this.fillMonitor = new FillMonitor('6978b8fe9af885cca3ad9617');
+  constructor({ tradingAddress, accessToken, initialCapitalBTC, guard = tradeGuard, api = null }) {
+    this.positionManager = new PositionManager(tradingAddress, accessToken, guard);
+    this.fillMonitor = new FillMonitor('6978b8fe9af885cca3ad9617', api);
     this.inventory = new InventoryTracker();
     this.spreadCalc = new SpreadCalculator();
     
@@ -433,23 +614,28 @@ class MarketMaker {
         const pool = await this.fetchPool();
         const currentPrice = this.calculatePrice(pool);
 
-        // 2. Check for fills
-        const fills = await this.fillMonitor.checkFills(
-          this.positionManager.getActivePositions(),
-          currentPrice
-        );
+        // 2. Check for fills (swap history when we have an API, else price only)
+        const positions = this.positionManager.getActivePositions();
+        const fills = this.fillMonitor.api
+          ? await this.fillMonitor.monitorSwaps(positions)
+          : await this.fillMonitor.checkFills(positions, currentPrice);
 
-        // Update inventory for fills
+        // Update inventory with the newly filled part of each position
         for (const fill of fills) {
-          if (fill.status === 'filled') {
-            this.inventory.recordFill(fill, currentPrice);
+          if (!fill.deltaFraction) continue;
+
+          const position = fill.position;
+          const sizeBTC = position.sizeBTC * fill.deltaFraction;
+          this.inventory.recordFill(position, fill.price, sizeBTC);
+
+          // Calculate realized PnL
+          const spreadCapture = position.side === 'bid' 
+            ? (currentPrice - position.targetPrice) * sizeBTC / position.targetPrice
+            : (position.targetPrice - currentPrice) * sizeBTC / currentPrice;
+          this.pnl.realized += spreadCapture;
+
+          if (fill.status === POSITION_STATES.FILLED) {
             this.pnl.trades++;
-            
-            // Calculate realized PnL
-            const spreadCapture = fill.side === 'bid' 
-              ? (currentPrice - fill.targetPrice) * fill.sizeBTC / fill.targetPrice
-              : (fill.targetPrice - currentPrice) * fill.sizeBTC / currentPrice;
-            this.pnl.realized += spreadCapture;
           }
         }
 
@@ -484,14 +670,16 @@ class MarketMaker {
           side: 'bid',
           price: quotes.bid,
           sizeBTC: this.config.orderSizeBTC,
-          pool: pool
+          pool: pool,
+          poolId: this.config.poolId
         });
 
         await this.positionManager.createLimitOrder({
           side: 'ask',
           price: quotes.ask,
           sizeBTC: this.config.orderSizeBTC,
-          pool: pool
+          pool: pool,
+          poolId: this.config.poolId
         });
 
         // 8. Calculate unrealized PnL
@@ -532,6 +720,28 @@ class MarketMaker {
       // For now: just log
       const swapAmount = this.inventory.getTotalValueBTC(currentPrice) * Math.abs(imbalance) / 2;
       
+      const guard = this.positionManager.guard;
+      if (guard) {
+        const check = guard.checkOrder({
+          userAddress: this.positionManager.tradingAddress,
+          poolId: this.config.poolId,
+          side: imbalance > 0 ? 'buy' : 'sell',
+          price: currentPrice,
+          size: swapAmount,
+          source: 'MarketMaker.rebalance'
+        });
+        if (!check.allowed) return;
+        
+        guard.recordExecution({
+          userAddress: this.positionManager.tradingAddress,
+          poolId: this.config.poolId,
+          side: imbalance > 0 ? 'buy' : 'sell',
+          price: currentPrice,
+          size: swapAmount,
+          source: 'MarketMaker.rebalance'
+        });
+      }
+      
       if (imbalance > 0) {
         console.log(`[MM] Swapping ${swapAmount.toFixed(8)} BTC → RAD`);
       } else {
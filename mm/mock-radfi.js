@@ -0,0 +1,407 @@
+/**
+ * Mock RadFi Exchange
+ *
+ * In-process stand-in for the RadFi API, used as a transport
+ * (see ./transport.js) so the volume bot, orchestrator and swap routes
+ * can run end to end without network access.
+ *
+ * Simulates:
+ * - /api/tokens, /api/tokens/details, /api/pools, /api/histories
+ * - /api/auth/authenticate, /api/auth/refresh-token (no BIP322 check)
+ * - /api/wallets, /api/wallets/details/:address, /api/user-assets/:address
+ * - /api/vm-transactions (provide-liquidity, withdraw-liquidity, swap, withdraw)
+ * - /api/transactions, fee-rate and mempool-fee
+ *
+ * Model: swaps are priced on each pool's constant-product reserves with the
+ * pool fee; provided liquidity is tracked as concentrated-liquidity ranges
+ * whose BTC/token composition follows the pool price (TickMath).
+ *
+ * Units follow RadFi: token0 is BTC in sats, token1 is the rune in base units,
+ * pool price is sats per base unit.
+ */
+
+const crypto = require('crypto');
+const { TOKENS, MM_CONFIG } = require('./production-config');
+const { TickMath } = require('./market-maker');
+
+const BTC_TOKEN_ID = '0:0';
+
+class MockRadFi {
+  constructor({ tokens = TOKENS, btcPriceUSD = MM_CONFIG.btcPriceFallbackUSD, tvlUSD = 140000, now = () => Date.now() } = {}) {
+    this.name = 'mock';
+    this.baseUrl = 'mock://radfi';
+    this.btcPriceUSD = btcPriceUSD;
+    this.now = now;
+
+    this.tokens = [];
+    this.pools = [];
+    this.histories = [];
+    this.positions = new Map();     // nftId → position
+    this.sessions = new Map();      // accessToken → address
+    this.refreshTokens = new Map(); // refreshToken → address
+    this.wallets = new Map();       // address → trading wallet
+    this.sequence = 0;
+
+    for (const config of Object.values(tokens)) {
+      this.addPool(config, tvlUSD);
+    }
+  }
+
+  /**
+   * Seed a BTC/token pool from a production-config token entry
+   */
+  addPool(config, tvlUSD) {
+    const decimals = config.decimals || 0;
+    const priceInSats = config.price / this.btcPriceUSD * 1e8; // sats per whole token
+    const token0Reserve = Math.floor((tvlUSD / 2) / this.btcPriceUSD * 1e8);
+    const token1Reserve = Math.floor(token0Reserve / priceInSats * Math.pow(10, decimals));
+
+    const pool = {
+      _id: config.poolId || this.id(24),
+      token0Id: BTC_TOKEN_ID,
+      token1Id: config.tokenId,
+      token0Decimal: 8,
+      token1Decimal: decimals,
+      token0Reserve,
+      token1Reserve,
+      fee: 10000,            // 1% (hundredths of a bip)
+      tickSpacing: 200,
+      scVersion: 'v4',
+      tvl: tvlUSD,
+      volume24h: 0,
+      updatedAt: this.now()
+    };
+
+    this.pools.push(pool);
+    this.tokens.push({
+      tokenId: config.tokenId,
+      symbol: config.ticker,
+      displayTicker: config.ticker,
+      decimals,
+      poolId: pool._id,
+      isTest: false
+    });
+    this.refreshTokenPrice(pool);
+
+    return pool;
+  }
+
+  // ============ TRANSPORT INTERFACE ============
+
+  async request(endpoint, options = {}) {
+    const url = new URL(endpoint, 'http://mock.radfi');
+    const method = (options.method || 'GET').toUpperCase();
+    const body = typeof options.body === 'string' ? JSON.parse(options.body) : (options.body || {});
+    const headers = options.headers || {};
+    const auth = headers.Authorization || headers.authorization || '';
+    const caller = this.sessions.get(auth.replace('Bearer ', '')) || null;
+
+    try {
+      const data = this.route(method, url.pathname, url.searchParams, body, caller);
+      return this.respond(200, data);
+    } catch (error) {
+      return this.respond(error.status || 500, { code: '0', message: error.message });
+    }
+  }
+
+  respond(status, data) {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: status === 200 ? 'OK' : 'Error',
+      json: async () => data,
+      text: async () => JSON.stringify(data)
+    };
+  }
+
+  route(method, pathname, query, body, caller) {
+    const key = `${method} ${pathname}`;
+
+    if (key === 'GET /api/tokens') return this.listTokens(query);
+    if (key === 'GET /api/tokens/details') return { code: '1', data: this.findToken(query.get('tokenId')) };
+    if (key === 'GET /api/pools') return { code: '1', data: this.pools };
+    if (key === 'GET /api/histories') return this.listHistories(query);
+    if (key === 'GET /api/setting') return { code: '1', data: { maintenance: false } };
+    if (key === 'GET /api/transactions/mempool-fee') return { code: '1', data: { fastestFee: 2, halfHourFee: 1, hourFee: 1 } };
+    if (key === 'GET /api/vm-transactions/fee-rate') return { code: '1', feeRate: 1 };
+
+    if (key === 'POST /api/auth/authenticate') return this.authenticate(body);
+    if (key === 'POST /api/auth/refresh-token') return this.refresh(body);
+
+    if (key === 'GET /api/wallets') return { code: '1', data: [...this.wallets.values()] };
+    if (key === 'POST /api/wallets') return { code: '1', data: this.getWallet(body.userAddress || body.address) };
+    if (pathname.startsWith('/api/wallets/details/')) {
+      return { code: '1', data: this.getWallet(pathname.split('/').pop()) };
+    }
+    if (pathname.startsWith('/api/user-assets/')) {
+      const address = pathname.split('/').pop();
+      return { code: '1', data: { nfts: [...this.positions.values()].filter(p => p.userAddress === address).map(p => this.describePosition(p)) } };
+    }
+
+    if (key === 'POST /api/vm-transactions' || key === 'POST /api/transactions') {
+      if (!caller) throw this.error(401, 'Unauthorized');
+      return this.executeTransaction(body, caller);
+    }
+
+    throw this.error(404, `Mock RadFi has no route for ${key}`);
+  }
+
+  // ============ MARKET DATA ============
+
+  listTokens(query) {
+    let tokens = this.tokens;
+    if (query.get('tokenId_eq')) {
+      tokens = tokens.filter(t => t.tokenId === query.get('tokenId_eq'));
+    }
+    return { code: '1', data: this.paginate(tokens, query), total: tokens.length };
+  }
+
+  findToken(tokenId) {
+    const token = this.tokens.find(t => t.tokenId === tokenId);
+    if (!token) throw this.error(404, `Unknown token ${tokenId}`);
+    return token;
+  }
+
+  listHistories(query) {
+    let rows = this.histories;
+    for (const field of ['poolId', 'type', 'userAddress']) {
+      if (query.get(field)) rows = rows.filter(h => h[field] === query.get(field));
+    }
+
+    const sort = query.get('sort') || '-btcBlockTime';
+    const direction = sort.startsWith('-') ? -1 : 1;
+    rows = [...rows].sort((a, b) => direction * (a.btcBlockTime - b.btcBlockTime));
+
+    return { code: '1', data: this.paginate(rows, query), total: rows.length };
+  }
+
+  paginate(rows, query) {
+    const page = parseInt(query.get('page') || '1');
+    const pageSize = parseInt(query.get('pageSize') || '50');
+    return rows.slice((page - 1) * pageSize, page * pageSize);
+  }
+
+  getPool(poolId) {
+    const pool = this.pools.find(p => p._id === poolId);
+    if (!pool) throw this.error(404, `Unknown pool ${poolId}`);
+    return pool;
+  }
+
+  poolPrice(pool) {
+    return pool.token0Reserve / pool.token1Reserve; // sats per base unit
+  }
+
+  refreshTokenPrice(pool) {
+    const token = this.tokens.find(t => t.tokenId === pool.token1Id);
+    if (!token) return;
+
+    const priceInSats = this.poolPrice(pool) * Math.pow(10, token.decimals);
+    token.priceInSats = priceInSats;
+    token.price = priceInSats / 1e8 * this.btcPriceUSD;
+    token.volume24h = pool.volume24h;
+    token.marketCap = token.marketCap || token.price * 1e9;
+  }
+
+  // ============ AUTH ============
+
+  authenticate({ address, signature, message }) {
+    if (!address || !signature || !message) {
+      throw this.error(400, 'address, signature and message are required');
+    }
+
+    const wallet = this.getWallet(address);
+    return { code: '1', data: { ...this.issueTokens(address), tradingAddress: wallet.tradingAddress, wallet } };
+  }
+
+  refresh({ refreshToken }) {
+    const address = this.refreshTokens.get(refreshToken);
+    if (!address) throw this.error(401, 'Invalid refresh token');
+
+    // Refresh tokens rotate on use
+    this.refreshTokens.delete(refreshToken);
+    const tokens = this.issueTokens(address);
+    return { code: '1', ...tokens, data: tokens };
+  }
+
+  issueTokens(address) {
+    const accessToken = `mock-access-${this.id(16)}`;
+    const refreshToken = `mock-refresh-${this.id(16)}`;
+    this.sessions.set(accessToken, address);
+    this.refreshTokens.set(refreshToken, address);
+    return { accessToken, refreshToken };
+  }
+
+  getWallet(address) {
+    if (!this.wallets.has(address)) {
+      this.wallets.set(address, {
+        userAddress: address,
+        tradingAddress: address,
+        balances: { [BTC_TOKEN_ID]: 0 },
+        createdAt: this.now()
+      });
+    }
+    return this.wallets.get(address);
+  }
+
+  // ============ TRANSACTIONS ============
+
+  executeTransaction(body, caller) {
+    const { type, params = {} } = body;
+
+    if (type === 'provide-liquidity') return this.provideLiquidity(params, caller);
+    if (type === 'withdraw-liquidity') return this.withdrawLiquidity(params, caller);
+    if (type === 'withdraw') return this.transfer(params, caller);
+    if (type === 'swap' || !type) return this.swap(type ? params : body, caller);
+
+    throw this.error(400, `Unsupported transaction type: ${type}`);
+  }
+
+  provideLiquidity(params, caller) {
+    const pool = params.poolId
+      ? this.getPool(params.poolId)
+      : this.pools.find(p => p.token0Id === params.token0Id && p.token1Id === params.token1Id);
+    if (!pool) throw this.error(404, 'Pool not found');
+
+    const lowerPrice = TickMath.tickToPrice(parseInt(params.lowerTick));
+    const upperPrice = TickMath.tickToPrice(parseInt(params.upperTick));
+    const price = this.poolPrice(pool);
+    const amount0 = parseFloat(params.amount0 || 0);
+    const amount1 = parseFloat(params.amount1 || 0);
+
+    const liquidity = TickMath.getLiquidityForAmounts(price, lowerPrice, upperPrice, amount0, amount1);
+    const nftId = String(++this.sequence);
+
+    this.positions.set(nftId, {
+      nftId,
+      poolId: pool._id,
+      userAddress: params.userAddress || caller,
+      lowerTick: parseInt(params.lowerTick),
+      upperTick: parseInt(params.upperTick),
+      lowerPrice,
+      upperPrice,
+      liquidity,
+      createdAt: this.now()
+    });
+
+    return { code: '1', txId: this.id(32), nftId, data: { nftId, liquidity } };
+  }
+
+  withdrawLiquidity(params) {
+    const position = this.positions.get(String(params.nftId));
+    if (!position) throw this.error(404, `Position ${params.nftId} not found`);
+
+    const amounts = this.describePosition(position);
+    this.positions.delete(position.nftId);
+
+    return { code: '1', txId: this.id(32), data: { nftId: position.nftId, amount0: amounts.amount0, amount1: amounts.amount1 } };
+  }
+
+  describePosition(position) {
+    const pool = this.getPool(position.poolId);
+    const { amount0, amount1 } = TickMath.getAmountsForLiquidity(
+      position.liquidity,
+      this.poolPrice(pool),
+      position.lowerPrice,
+      position.upperPrice
+    );
+    return {
+      ...position,
+      liquidityValue: position.liquidity,
+      amount0: Math.floor(amount0),
+      amount1: Math.floor(amount1)
+    };
+  }
+
+  swap(params, caller) {
+    const pool = this.getPool(params.poolId);
+    const amountIn = parseFloat(params.amountIn);
+    if (!(amountIn > 0)) throw this.error(400, 'amountIn must be positive');
+
+    const btcIn = params.tokenIn === pool.token0Id;
+    const reserveIn = btcIn ? pool.token0Reserve : pool.token1Reserve;
+    const reserveOut = btcIn ? pool.token1Reserve : pool.token0Reserve;
+
+    // Constant product with the pool fee taken from the input
+    const netIn = amountIn * (1 - pool.fee / 1e6);
+    const amountOut = Math.floor(reserveOut * netIn / (reserveIn + netIn));
+
+    if (params.amountOut && amountOut < parseFloat(params.amountOut) * (1 - (params.slippage || 100) / 10000)) {
+      throw this.error(400, `Slippage exceeded: out ${amountOut} < min for ${params.amountOut}`);
+    }
+
+    if (btcIn) {
+      pool.token0Reserve += amountIn;
+      pool.token1Reserve -= amountOut;
+    } else {
+      pool.token1Reserve += amountIn;
+      pool.token0Reserve -= amountOut;
+    }
+
+    const sats = btcIn ? amountIn : amountOut;
+    pool.volume24h += sats / 1e8 * this.btcPriceUSD;
+    pool.updatedAt = this.now();
+    this.refreshTokenPrice(pool);
+
+    const record = {
+      _id: this.id(24),
+      txId: this.id(32),
+      type: 'swap',
+      poolId: pool._id,
+      userAddress: params.userAddress || caller,
+      tokenIn: params.tokenIn,
+      tokenOut: btcIn ? pool.token1Id : pool.token0Id,
+      amountIn: String(amountIn),
+      amountOut: String(amountOut),
+      token0Amount: String(btcIn ? amountIn : amountOut),
+      token1Amount: String(btcIn ? amountOut : amountIn),
+      price: this.poolPrice(pool),
+      btcBlockTime: Math.floor(this.now() / 1000),
+      createdAt: new Date(this.now()).toISOString()
+    };
+    this.histories.push(record);
+
+    // Extra outputs in the same transaction (e.g. the platform fee)
+    record.outputs = (params.outputs || []).map(output =>
+      this.transfer({ ...output, userAddress: record.userAddress }, caller).data
+    );
+
+    return { code: '1', txId: record.txId, data: record };
+  }
+
+  transfer(params, caller) {
+    const amount = parseFloat(params.amount);
+    if (!(amount > 0)) throw this.error(400, 'amount must be positive');
+    if (!params.receiverAddress) throw this.error(400, 'receiverAddress is required');
+
+    const record = {
+      _id: this.id(24),
+      txId: this.id(32),
+      type: 'withdraw',
+      userAddress: params.userAddress || caller,
+      tokenId: params.tokenId,
+      amount: String(amount),
+      receiverAddress: params.receiverAddress,
+      btcBlockTime: Math.floor(this.now() / 1000),
+      createdAt: new Date(this.now()).toISOString()
+    };
+    this.histories.push(record);
+
+    return { code: '1', txId: record.txId, data: record };
+  }
+
+  // ============ HELPERS ============
+
+  id(length) {
+    return crypto.randomBytes(Math.ceil(length / 2)).toString('hex').slice(0, length);
+  }
+
+  error(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = {
+  MockRadFi
+};
@@ -5,14 +5,26 @@
  * and calculates real-time performance statistics.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
+const { stateStore, historyStore, COLLECTIONS } = require('../state-store');
+const VolumeBot = require('../volume-bot');
+const { btcPriceFeed } = require('../btc-price');
+const { DAY_MS, dayKey, dayStart, summarizeDay } = require('../daily-stats');
+
+// PnL split kept in bot metrics by the PnL engine (mm/pnl.js)
+const PNL_FIELDS = [
+  'realizedPnL',
+  'unrealizedPnL',
+  'appreciationPnL',
+  'spreadCapturePnL',
+  'poolFeeRebates',
+  'tradingFeesPaid'
+];
+
+function pnlBreakdown(metrics) {
+  return Object.fromEntries(PNL_FIELDS.map(field => [field, metrics[field] || 0]));
+}
 
 class PerformanceMonitor {
-  constructor() {
-    this.dataDir = path.join(__dirname, '../../data/mm');
-  }
-  
   async getMetrics(userAddress) {
     // Load all positions for this user
     const positions = await this.loadUserPositions(userAddress);
@@ -67,13 +79,18 @@ class PerformanceMonitor {
       trades: p.metrics.trades.length,
       tokenAppreciation: p.metrics.tokenAppreciation,
       tokenAppreciationPercent: p.startPrice ? ((p.currentPrice - p.startPrice) / p.startPrice) * 100 : 0,
+      pnlBreakdown: pnlBreakdown(p.metrics),
       running: p.running
     }));
     
+    const btcPrice = await btcPriceFeed.get();
+    
     return {
       totalDeposited,
       currentValue,
+      currentValueUSD: currentValue * btcPrice.priceUSD,
       netPnL,
+      netPnLUSD: netPnL * btcPrice.priceUSD,
       pnlPercent,
       volumeGenerated24h,
       volumeGeneratedTotal,
@@ -83,7 +100,12 @@ class PerformanceMonitor {
       tradesTotal,
       feesPaid: positions.reduce((sum, p) => sum + p.metrics.tradingFeesPaid, 0),
       feesEarned: positions.reduce((sum, p) => sum + p.metrics.feesCollected, 0),
+      pnlBreakdown: Object.fromEntries(PNL_FIELDS.map(field =>
+        [field, positions.reduce((sum, p) => sum + (p.metrics[field] || 0), 0)]
+      )),
       tokenAllocations,
+      btcPriceUSD: btcPrice.priceUSD,   // price the USD values were taken at
+      btcPriceSource: btcPrice.source,
       lastUpdate: Date.now()
     };
   }
@@ -92,19 +114,14 @@ class PerformanceMonitor {
     const positions = [];
     
     try {
-      const files = await fs.readdir(this.dataDir);
-      
-      for (const file of files) {
-        if (file.startsWith(userAddress) && file.endsWith('.json')) {
-          const filePath = path.join(this.dataDir, file);
-          const data = await fs.readFile(filePath, 'utf8');
-          const position = JSON.parse(data);
-          
-          // Add current price (TODO: fetch from API)
-          position.currentPrice = position.tokenConfig.price;
-          
-          positions.push(position);
-        }
+      for (const position of stateStore.query(COLLECTIONS.VOLUME_BOTS, { userAddress })) {
+        if (position.withdrawnAt) continue;
+        
+        // Last price the bot saw, in BTC per base unit (TODO: fetch from API)
+        Object.assign(position, VolumeBot.savedPrices(position));
+        if (!position.currentPrice) continue;
+        
+        positions.push(position);
       }
     } catch (error) {
       console.error('[PerformanceMonitor] Error loading positions:', error);
@@ -179,16 +196,64 @@ class PerformanceMonitor {
     return allTrades.slice(0, limit);
   }
   
+  /**
+   * Daily volume / trades / fees / PnL for the last `days` UTC days (oldest
+   * first), from stored rollups plus each bot's day in progress (partial)
+   */
   async getVolumeHistory(userAddress, days = 30) {
-    const positions = await this.loadUserPositions(userAddress);
+    const now = Date.now();
+    const from = dayStart(now) - (days - 1) * DAY_MS;
     
-    // TODO: Aggregate volume by day
-    // For now, just return current 24h volume
-    const volumeGenerated24h = positions.reduce((sum, p) => sum + p.metrics.volumeGenerated24h, 0);
+    const rollups = historyStore.query(COLLECTIONS.DAILY_STATS, { userAddress, from });
+    let current24h = 0;
+    
+    for (const state of stateStore.query(COLLECTIONS.VOLUME_BOTS, { userAddress })) {
+      current24h += state.metrics?.volumeGenerated24h || 0;
+      
+      const open = summarizeDay(state);
+      if (open && open.timestamp >= from) rollups.push({ ...open, partial: true });
+    }
+    
+    const byDay = new Map();
+    for (let time = from; time <= now; time += DAY_MS) {
+      byDay.set(dayKey(time), {
+        day: dayKey(time),
+        timestamp: time,
+        volumeUSD: 0,
+        trades: 0,
+        feesPaid: 0,
+        feesEarned: 0,
+        pnl: 0,
+        tokens: {}
+      });
+    }
+    
+    for (const rollup of rollups) {
+      const day = byDay.get(rollup.day);
+      if (!day) continue;
+      
+      day.volumeUSD += rollup.volumeUSD;
+      day.trades += rollup.trades;
+      day.feesPaid += rollup.feesPaid;
+      day.feesEarned += rollup.feesEarned;
+      day.pnl += rollup.pnl;
+      day.tokens[rollup.ticker] = {
+        volumeUSD: rollup.volumeUSD,
+        trades: rollup.trades,
+        feesPaid: rollup.feesPaid,
+        feesEarned: rollup.feesEarned,
+        pnl: rollup.pnl,
+        startPrice: rollup.startPrice,
+        endPrice: rollup.endPrice,
+        btcPriceUSD: rollup.btcPriceUSD,
+        partial: !!rollup.partial
+      };
+    }
     
     return {
-      current24h: volumeGenerated24h,
-      history: [] // TODO: Implement daily volume tracking
+      current24h,
+      days,
+      history: [...byDay.values()]
     };
   }
 }
@@ -6,6 +6,16 @@
 
 const PerformanceMonitor = require('./performance');
 const RiskMonitor = require('./risk');
+const { ledger } = require('../ledger');
+const { computeCostBasis } = require('../cost-basis');
+
+const CSV_COLUMNS = [
+  'date', 'timestamp', 'kind', 'source', 'ticker', 'mode',
+  'token_amount', 'btc_amount', 'fee_btc', 'price', 'btc_price_usd', 'value_usd',
+  'fifo_cost_btc', 'fifo_cost_usd', 'fifo_gain_btc', 'fifo_gain_usd',
+  'avg_cost_btc', 'avg_cost_usd', 'avg_gain_btc', 'avg_gain_usd',
+  'tx_id', 'ref', 'id'
+];
 
 class ReportingMonitor {
   constructor() {
@@ -144,20 +154,82 @@ class ReportingMonitor {
     });
   }
   
-  async exportMetrics(userAddress, format = 'json') {
-    const data = await this.getDashboardData(userAddress);
+  /**
+   * Accounting export: every ledger entry (deposits, trades, ladder fills,
+   * fees, withdrawals) with FIFO and average-cost basis and realized gains
+   * per disposal, in BTC and in USD at trade time.
+   *
+   * Cost basis runs over the full history; from/to (ms) only limit what is
+   * reported.
+   * @param {string} format - 'json' (object) | 'csv' (string)
+   */
+  async exportMetrics(userAddress, format = 'json', { from, to } = {}) {
+    const entries = ledger.query(userAddress);
+    const fifo = computeCostBasis(entries, 'fifo');
+    const average = computeCostBasis(entries, 'average');
     
-    if (format === 'json') {
-      return JSON.stringify(data, null, 2);
-    }
+    const inRange = t => (from === undefined || t >= from) && (to === undefined || t <= to);
+    const reported = entries.filter(e => inRange(e.timestamp));
     
     if (format === 'csv') {
-      // TODO: Implement CSV export
-      return '';
+      return this.toCSV(reported, fifo, average);
     }
     
-    return data;
+    const sum = (kind, field = 'btcAmount') => reported
+      .filter(e => e.kind === kind)
+      .reduce((total, e) => total + e[field], 0);
+    const realized = basis => {
+      const disposals = basis.disposals.filter(d => inRange(d.timestamp));
+      return {
+        btc: disposals.reduce((total, d) => total + d.gainBTC, 0),
+        usd: disposals.reduce((total, d) => total + d.gainUSD, 0),
+        disposals
+      };
+    };
+    
+    return {
+      userAddress,
+      from: from ?? null,
+      to: to ?? null,
+      generatedAt: Date.now(),
+      summary: {
+        depositsBTC: sum('deposit'),
+        withdrawalsBTC: sum('withdrawal'),
+        platformFeesBTC: sum('platform-fee'),
+        tradingFeesBTC: reported.reduce((total, e) => total + (e.feeBTC || 0), 0),
+        buys: reported.filter(e => e.kind === 'buy').length,
+        sells: reported.filter(e => e.kind === 'sell').length
+      },
+      entries: reported,
+      fifo: { ...realized(fifo), holdings: fifo.holdings },
+      average: { ...realized(average), holdings: average.holdings }
+    };
+  }
+  
+  toCSV(entries, fifo, average) {
+    const fifoByEntry = new Map(fifo.disposals.map(d => [d.entryId, d]));
+    const avgByEntry = new Map(average.disposals.map(d => [d.entryId, d]));
+    
+    const rows = entries.map(e => {
+      const f = fifoByEntry.get(e.id);
+      const a = avgByEntry.get(e.id);
+      return [
+        new Date(e.timestamp).toISOString(), e.timestamp, e.kind, e.source, e.ticker, e.mode,
+        e.tokenAmount, e.btcAmount, e.feeBTC, e.price, e.btcPriceUSD, e.btcAmount * (e.btcPriceUSD || 0),
+        f?.costBTC, f?.costUSD, f?.gainBTC, f?.gainUSD,
+        a?.costBTC, a?.costUSD, a?.gainBTC, a?.gainUSD,
+        e.txId, e.ref, e.id
+      ];
+    });
+    
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
   }
 }
 
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 module.exports = ReportingMonitor;
@@ -0,0 +1,209 @@
+/**
+ * Risk Engine
+ *
+ * Enforces RiskMonitor alerts on live volume bots. Runs after every bot tick
+ * (VolumeBot.riskEngine) and carries out the alert's action:
+ *
+ *   PAUSE_TRADING    drawdown past MM_CONFIG.maxDrawdown → pull the ladder, stop the
+ *                    bot, mark it paused
+ *   REBALANCE        inventory skew past maxInventorySkew → forced rebalance swap
+ *   REDUCE_POSITION  ladder above MM_CONFIG.maxTvlExposure of pool TVL → shrink the ladder
+ *   SHUTDOWN_ALL     portfolio past MM_CONFIG.globalStopLoss → pull every ladder
+ *                    and pause all of the user's bots
+ *
+ * Rebalance and trim repeat at most once per MM_CONFIG.riskActionCooldownMs per
+ * bot. Every action is written to the trade log and the bot's TradeTracker.
+ */
+
+const RiskMonitor = require('./risk');
+const { stateStore, COLLECTIONS } = require('../state-store');
+const { MM_CONFIG } = require('../production-config');
+const { logTrade } = require('../trade-log');
+const { btcPriceFeed } = require('../btc-price');
+const VolumeBot = require('../volume-bot');
+
+class RiskEngine {
+  constructor({
+    bots,                     // userAddress → Map(ticker → VolumeBot), the server's activeBots
+    monitor = new RiskMonitor(),
+    store = stateStore,
+    cooldownMs = MM_CONFIG.riskActionCooldownMs
+  }) {
+    this.bots = bots;
+    this.monitor = monitor;
+    this.store = store;
+    this.cooldownMs = cooldownMs;
+    this.lastAction = new Map();  // `${user}:${ticker}:${action}` → ms
+    this.evaluating = new Set();  // users with an evaluation in flight
+  }
+
+  /**
+   * Evaluate a bot (and its owner's portfolio) and enforce the result
+   * @returns {Array} Actions taken [{ action, type, ticker, result }]
+   */
+  async onTick(bot) {
+    const { userAddress } = bot;
+    if (this.evaluating.has(userAddress)) return [];
+
+    this.evaluating.add(userAddress);
+    try {
+      const portfolio = this.monitor.evaluatePortfolio(this.portfolio(userAddress));
+      const shutdown = portfolio.find(a => a.action === 'SHUTDOWN_ALL');
+      if (shutdown) return [await this.execute(shutdown, bot)];
+
+      const alerts = this.monitor.evaluatePosition(this.snapshot(bot)).filter(a => a.action);
+      const pause = alerts.find(a => a.action === 'PAUSE_TRADING');
+      if (pause) return [await this.execute(pause, bot)];
+
+      const taken = [];
+      for (const alert of alerts) {
+        const action = await this.execute(alert, bot);
+        if (action) taken.push(action);
+      }
+      return taken;
+    } catch (error) {
+      console.error(`[RiskEngine] Evaluation error for ${userAddress}:`, error.message);
+      return [];
+    } finally {
+      this.evaluating.delete(userAddress);
+    }
+  }
+
+  async execute(alert, bot) {
+    const key = `${bot.userAddress}:${bot.tokenConfig.ticker}:${alert.action}`;
+    const repeatable = alert.action === 'REBALANCE' || alert.action === 'REDUCE_POSITION';
+    if (repeatable && Date.now() - (this.lastAction.get(key) || 0) < this.cooldownMs) {
+      return null;
+    }
+    this.lastAction.set(key, Date.now());
+
+    let result;
+    switch (alert.action) {
+      case 'PAUSE_TRADING':
+        result = await this.pauseBot(bot, alert.message);
+        break;
+
+      case 'REBALANCE': {
+        const trade = await bot.checkAndRebalance({ force: true });
+        result = trade
+          ? { side: trade.side, sizeBTC: trade.sizeBTC, dryRun: !!trade.dryRun, simulated: !!trade.simulated }
+          : { skipped: true };
+        break;
+      }
+
+      case 'REDUCE_POSITION': {
+        // Scale the ladder so exposure lands back on the limit
+        const scale = bot.exposureScale * alert.limit / alert.exposure;
+        await bot.reduceExposure(scale);
+        result = { exposureScale: bot.exposureScale, deployedValue: bot.getDeployedValue() };
+        break;
+      }
+
+      case 'SHUTDOWN_ALL':
+        result = { bots: await this.shutdownUser(bot.userAddress, alert.message) };
+        break;
+
+      default:
+        return null;
+    }
+
+    const record = {
+      riskAction: alert.action,
+      alertType: alert.type,
+      userAddress: bot.userAddress,
+      ticker: alert.ticker || null,
+      severity: alert.severity,
+      message: alert.message,
+      result
+    };
+
+    console.warn(`[RiskEngine] ${alert.action} ${bot.userAddress}/${alert.ticker || 'portfolio'}: ${alert.message}`);
+    logTrade({ action: 'RISK_ACTION', ...record });
+    await bot.tracker.logRiskAction(alert.action, record);
+
+    return { action: alert.action, type: alert.type, ticker: alert.ticker || null, result };
+  }
+
+  /**
+   * Pull the ladder, stop the bot and mark it paused. A paused bot no longer
+   * re-centers or reconciles fills, so its ranges must not keep trading;
+   * resume deploys a fresh ladder.
+   */
+  async pauseBot(bot, reason) {
+    const ticker = bot.tokenConfig.ticker;
+
+    await bot.withdrawLadder();
+    await bot.stop();
+
+    const userBots = this.bots.get(bot.userAddress);
+    if (userBots?.get(ticker) === bot) userBots.delete(ticker);
+
+    await this.monitor.pausePosition(bot.userAddress, ticker, reason);
+    return { paused: ticker };
+  }
+
+  /**
+   * Pull every ladder and pause all of a user's running bots
+   */
+  async shutdownUser(userAddress, reason) {
+    const stopped = [];
+
+    for (const bot of [...(this.bots.get(userAddress)?.values() || [])]) {
+      try {
+        await this.pauseBot(bot, reason);
+        stopped.push(bot.tokenConfig.ticker);
+      } catch (error) {
+        console.error(`[RiskEngine] Shutdown ${userAddress}/${bot.tokenConfig.ticker} failed:`, error.message);
+      }
+    }
+
+    return stopped;
+  }
+
+  /**
+   * Live view of a bot in the shape RiskMonitor.evaluatePosition takes
+   * (bot.pool is re-read every tick by VolumeBot.updateMarketData)
+   */
+  snapshot(bot) {
+    return {
+      tokenConfig: bot.tokenConfig,
+      allocation: bot.allocation,
+      inventory: bot.inventory,
+      currentPrice: bot.currentPrice,
+      metrics: bot.metrics,
+      running: bot.running,
+      lastUpdate: Date.now(),
+      poolTVL: this.poolTVL(bot.pool),
+      deployedValue: bot.getDeployedValue()
+    };
+  }
+
+  /**
+   * Pool TVL in BTC: both sides of the reserves, else the reported USD TVL
+   */
+  poolTVL(pool) {
+    if (!pool) return null;
+    if (pool.token0Id === '0:0' && parseFloat(pool.token0Reserve) > 0) {
+      return 2 * parseFloat(pool.token0Reserve) / 1e8;
+    }
+    return pool.tvl ? pool.tvl / btcPriceFeed.current().priceUSD : null;
+  }
+
+  /**
+   * Every bot the user still has funds in: live bots as they are now,
+   * stopped ones as last saved
+   */
+  portfolio(userAddress) {
+    const live = this.bots.get(userAddress) || new Map();
+    const positions = [...live.values()].map(bot => this.snapshot(bot));
+
+    for (const state of this.store.query(COLLECTIONS.VOLUME_BOTS, { userAddress })) {
+      if (state.withdrawnAt || live.has(state.ticker) || !state.currentPrice) continue;
+      positions.push({ ...state, ...VolumeBot.savedPrices(state) });
+    }
+
+    return positions.filter(p => p.currentPrice && p.allocation > 0);
+  }
+}
+
+module.exports = RiskEngine;
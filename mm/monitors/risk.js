@@ -2,130 +2,125 @@
  * Risk Monitor
  * 
  * Monitors risk limits and generates alerts when thresholds are exceeded.
+ * Alerts that carry an `action` are enforced on live bots by ./risk-engine.js.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
+const { stateStore, COLLECTIONS } = require('../state-store');
 const { MM_CONFIG } = require('../production-config');
+const VolumeBot = require('../volume-bot');
 
 class RiskMonitor {
-  constructor() {
-    this.dataDir = path.join(__dirname, '../../data/mm');
-  }
-  
   async checkLimits(userAddress) {
     const positions = await this.loadUserPositions(userAddress);
     const alerts = [];
     
     for (const position of positions) {
-      const currentValue = position.inventory.btc + (position.inventory.token * position.currentPrice);
-      
-      // 1. Check drawdown
-      const drawdown = (currentValue - position.allocation) / position.allocation;
-      if (drawdown < -0.15) {
+      alerts.push(...this.evaluatePosition(position));
+    }
+    alerts.push(...this.evaluatePortfolio(positions));
+    
+    return alerts;
+  }
+  
+  /**
+   * Limits for one bot
+   * @param {object} position - { tokenConfig, allocation, inventory, currentPrice, metrics,
+   *   running, lastUpdate, poolTVL?, deployedValue? } (BTC, currentPrice per token
+   *   base unit; deployedValue is the liquidity the bot has in the pool,
+   *   defaulting to its whole value)
+   * @returns {Array} Alerts; those with `action` are enforced by the RiskEngine
+   */
+  evaluatePosition(position) {
+    const alerts = [];
+    const currentValue = position.inventory.btc + (position.inventory.token * position.currentPrice);
+    const maxDrawdown = MM_CONFIG.maxDrawdown;
+    const warnDrawdown = MM_CONFIG.drawdownWarning;
+    
+    // 1. Check drawdown
+    const drawdown = (currentValue - position.allocation) / position.allocation;
+    if (drawdown < maxDrawdown) {
+      alerts.push({
+        severity: 'HIGH',
+        type: 'DRAWDOWN_EXCEEDED',
+        ticker: position.tokenConfig.ticker,
+        drawdown: drawdown * 100,
+        limit: maxDrawdown * 100,
+        action: 'PAUSE_TRADING',
+        message: `${position.tokenConfig.ticker} drawdown ${(drawdown * 100).toFixed(2)}% exceeds ${maxDrawdown * 100}% limit`
+      });
+    } else if (drawdown < warnDrawdown) {
+      alerts.push({
+        severity: 'MEDIUM',
+        type: 'DRAWDOWN_WARNING',
+        ticker: position.tokenConfig.ticker,
+        drawdown: drawdown * 100,
+        message: `${position.tokenConfig.ticker} drawdown ${(drawdown * 100).toFixed(2)}% approaching ${maxDrawdown * 100}% limit`
+      });
+    }
+    
+    // 2. Check inventory skew
+    const totalValueBTC = currentValue;
+    const btcRatio = position.inventory.btc / totalValueBTC;
+    const tokenRatio = (position.inventory.token * position.currentPrice) / totalValueBTC;
+    
+    const maxSkew = position.tokenConfig.maxInventorySkew || MM_CONFIG.maxInventorySkew;
+    
+    if (tokenRatio > maxSkew) {
+      alerts.push({
+        severity: 'MEDIUM',
+        type: 'INVENTORY_SKEW',
+        ticker: position.tokenConfig.ticker,
+        tokenRatio: tokenRatio * 100,
+        btcRatio: btcRatio * 100,
+        maxSkew: maxSkew * 100,
+        action: 'REBALANCE',
+        message: `${position.tokenConfig.ticker} inventory skewed: ${(tokenRatio * 100).toFixed(1)}% token / ${(btcRatio * 100).toFixed(1)}% BTC`
+      });
+    }
+    
+    // 3. Check TVL exposure (if we have pool data)
+    if (position.poolTVL) {
+      const exposure = (position.deployedValue ?? currentValue) / position.poolTVL;
+      if (exposure > MM_CONFIG.maxTvlExposure) {
         alerts.push({
           severity: 'HIGH',
-          type: 'DRAWDOWN_EXCEEDED',
+          type: 'TVL_EXPOSURE_HIGH',
           ticker: position.tokenConfig.ticker,
-          drawdown: drawdown * 100,
-          limit: -15,
-          action: 'PAUSE_TRADING',
-          message: `${position.tokenConfig.ticker} drawdown ${(drawdown * 100).toFixed(2)}% exceeds -15% limit`
-        });
-      } else if (drawdown < -0.10) {
-        alerts.push({
-          severity: 'MEDIUM',
-          type: 'DRAWDOWN_WARNING',
-          ticker: position.tokenConfig.ticker,
-          drawdown: drawdown * 100,
-          message: `${position.tokenConfig.ticker} drawdown ${(drawdown * 100).toFixed(2)}% approaching -15% limit`
+          exposure: exposure * 100,
+          limit: MM_CONFIG.maxTvlExposure * 100,
+          action: 'REDUCE_POSITION',
+          message: `${position.tokenConfig.ticker} TVL exposure ${(exposure * 100).toFixed(2)}% exceeds ${MM_CONFIG.maxTvlExposure * 100}% limit`
         });
       }
-      
-      // 2. Check inventory skew
-      const totalValueBTC = currentValue;
-      const btcRatio = position.inventory.btc / totalValueBTC;
-      const tokenRatio = (position.inventory.token * position.currentPrice) / totalValueBTC;
-      
-      const maxSkew = position.tokenConfig.maxInventorySkew || 0.60;
-      
-      if (tokenRatio > maxSkew) {
+    }
+    
+    // 4. Check if bot has stopped
+    if (!position.running && position.lastUpdate) {
+      const timeSinceLast = Date.now() - position.lastUpdate;
+      if (timeSinceLast > 5 * 60 * 1000) { // 5 minutes
         alerts.push({
-          severity: 'MEDIUM',
-          type: 'INVENTORY_SKEW',
+          severity: 'HIGH',
+          type: 'BOT_STOPPED',
           ticker: position.tokenConfig.ticker,
-          tokenRatio: tokenRatio * 100,
-          btcRatio: btcRatio * 100,
-          maxSkew: maxSkew * 100,
-          action: 'REBALANCE',
-          message: `${position.tokenConfig.ticker} inventory skewed: ${(tokenRatio * 100).toFixed(1)}% token / ${(btcRatio * 100).toFixed(1)}% BTC`
+          timeSinceLast: Math.floor(timeSinceLast / 1000 / 60),
+          message: `${position.tokenConfig.ticker} volume bot has stopped`
         });
       }
-      
-      // 3. Check TVL exposure (if we have pool data)
-      if (position.poolTVL) {
-        const exposure = currentValue / position.poolTVL;
-        if (exposure > 0.1) {
-          alerts.push({
-            severity: 'HIGH',
-            type: 'TVL_EXPOSURE_HIGH',
-            ticker: position.tokenConfig.ticker,
-            exposure: exposure * 100,
-            limit: 10,
-            action: 'REDUCE_POSITION',
-            message: `${position.tokenConfig.ticker} TVL exposure ${(exposure * 100).toFixed(2)}% exceeds 10% limit`
-          });
-        }
-      }
-      
-      // 4. Check if bot has stopped
-      if (!position.running && position.lastUpdate) {
-        const timeSinceLast = Date.now() - position.lastUpdate;
-        if (timeSinceLast > 5 * 60 * 1000) { // 5 minutes
-          alerts.push({
-            severity: 'HIGH',
-            type: 'BOT_STOPPED',
-            ticker: position.tokenConfig.ticker,
-            timeSinceLast: Math.floor(timeSinceLast / 1000 / 60),
-            message: `${position.tokenConfig.ticker} volume bot has stopped`
-          });
-        }
-      }
-      
-      // 5. Check volume target progress
-      if (position.tokenConfig.volumeTarget24h) {
-        const progress = position.metrics.volumeGenerated24h / position.tokenConfig.volumeTarget24h;
-        
-        if (progress < 0.25) { // Less than 25% of target
-          alerts.push({
-            severity: 'LOW',
-            type: 'VOLUME_TARGET_BEHIND',
-            ticker: position.tokenConfig.ticker,
-            progress: progress * 100,
-            target: position.tokenConfig.volumeTarget24h,
-            current: position.metrics.volumeGenerated24h,
-            message: `${position.tokenConfig.ticker} only ${(progress * 100).toFixed(1)}% of daily volume target`
-          });
-        }
-      }
     }
     
-    // 6. Check portfolio-level metrics
-    if (positions.length > 0) {
-      const totalDeposited = positions.reduce((sum, p) => sum + p.allocation, 0);
-      const totalValue = positions.reduce((sum, p) => {
-        return sum + p.inventory.btc + (p.inventory.token * p.currentPrice);
-      }, 0);
+    // 5. Check volume target progress
+    if (position.tokenConfig.volumeTarget24h) {
+      const progress = position.metrics.volumeGenerated24h / position.tokenConfig.volumeTarget24h;
       
-      const portfolioDrawdown = (totalValue - totalDeposited) / totalDeposited;
-      
-      if (portfolioDrawdown < -0.15) {
+      if (progress < 0.25) { // Less than 25% of target
         alerts.push({
-          severity: 'CRITICAL',
-          type: 'PORTFOLIO_STOP_LOSS',
-          drawdown: portfolioDrawdown * 100,
-          action: 'SHUTDOWN_ALL',
-          message: `Portfolio drawdown ${(portfolioDrawdown * 100).toFixed(2)}% - STOP LOSS TRIGGERED`
+          severity: 'LOW',
+          type: 'VOLUME_TARGET_BEHIND',
+          ticker: position.tokenConfig.ticker,
+          progress: progress * 100,
+          target: position.tokenConfig.volumeTarget24h,
+          current: position.metrics.volumeGenerated24h,
+          message: `${position.tokenConfig.ticker} only ${(progress * 100).toFixed(1)}% of daily volume target`
         });
       }
     }
@@ -133,23 +128,45 @@ class RiskMonitor {
     return alerts;
   }
   
+  /**
+   * Portfolio-level limits across a user's bots (MM_CONFIG.globalStopLoss)
+   */
+  evaluatePortfolio(positions) {
+    if (positions.length === 0) return [];
+    
+    const totalDeposited = positions.reduce((sum, p) => sum + p.allocation, 0);
+    const totalValue = positions.reduce((sum, p) => {
+      return sum + p.inventory.btc + (p.inventory.token * p.currentPrice);
+    }, 0);
+    
+    const portfolioDrawdown = (totalValue - totalDeposited) / totalDeposited;
+    
+    if (portfolioDrawdown < MM_CONFIG.globalStopLoss) {
+      return [{
+        severity: 'CRITICAL',
+        type: 'PORTFOLIO_STOP_LOSS',
+        drawdown: portfolioDrawdown * 100,
+        limit: MM_CONFIG.globalStopLoss * 100,
+        action: 'SHUTDOWN_ALL',
+        message: `Portfolio drawdown ${(portfolioDrawdown * 100).toFixed(2)}% - STOP LOSS TRIGGERED`
+      }];
+    }
+    
+    return [];
+  }
+  
   async loadUserPositions(userAddress) {
     const positions = [];
     
     try {
-      const files = await fs.readdir(this.dataDir);
-      
-      for (const file of files) {
-        if (file.startsWith(userAddress) && file.endsWith('.json')) {
-          const filePath = path.join(this.dataDir, file);
-          const data = await fs.readFile(filePath, 'utf8');
-          const position = JSON.parse(data);
-          
-          // Add current price (TODO: fetch from API)
-          position.currentPrice = position.tokenConfig.price;
-          
-          positions.push(position);
-        }
+      for (const position of stateStore.query(COLLECTIONS.VOLUME_BOTS, { userAddress })) {
+        if (position.withdrawnAt) continue;
+        
+        // Last price the bot saw, in BTC per base unit (TODO: fetch from API)
+        Object.assign(position, VolumeBot.savedPrices(position));
+        if (!position.currentPrice) continue;
+        
+        positions.push(position);
       }
     } catch (error) {
       console.error('[RiskMonitor] Error loading positions:', error);
@@ -158,44 +175,46 @@ class RiskMonitor {
     return positions;
   }
   
-  async pausePosition(userAddress, ticker) {
-    const filePath = path.join(this.dataDir, `${userAddress}-${ticker}.json`);
-    
-    try {
-      const data = await fs.readFile(filePath, 'utf8');
-      const position = JSON.parse(data);
-      
+  async pausePosition(userAddress, ticker, reason = 'Risk limit exceeded') {
+    const updated = this.updatePosition(userAddress, ticker, position => {
       position.running = false;
       position.pausedAt = Date.now();
-      position.pauseReason = 'Risk limit exceeded';
-      
-      await fs.writeFile(filePath, JSON.stringify(position, null, 2));
-      
-      console.log(`[RiskMonitor] Paused ${ticker} for ${userAddress}`);
-      return true;
-    } catch (error) {
-      console.error('[RiskMonitor] Error pausing position:', error);
-      return false;
-    }
+      position.pauseReason = reason;
+    });
+    
+    if (updated) console.log(`[RiskMonitor] Paused ${ticker} for ${userAddress}`);
+    return updated;
   }
   
   async resumePosition(userAddress, ticker) {
-    const filePath = path.join(this.dataDir, `${userAddress}-${ticker}.json`);
-    
-    try {
-      const data = await fs.readFile(filePath, 'utf8');
-      const position = JSON.parse(data);
-      
+    const updated = this.updatePosition(userAddress, ticker, position => {
       position.running = true;
+      position.paused = false;
       delete position.pausedAt;
       delete position.pauseReason;
-      
-      await fs.writeFile(filePath, JSON.stringify(position, null, 2));
-      
-      console.log(`[RiskMonitor] Resumed ${ticker} for ${userAddress}`);
-      return true;
+    });
+    
+    if (updated) console.log(`[RiskMonitor] Resumed ${ticker} for ${userAddress}`);
+    return updated;
+  }
+  
+  /**
+   * Read-modify-write a stored bot position in one transaction
+   */
+  updatePosition(userAddress, ticker, mutate) {
+    const key = `${userAddress}:${ticker}`;
+    
+    try {
+      return stateStore.transaction(tx => {
+        const position = tx.get(COLLECTIONS.VOLUME_BOTS, key);
+        if (!position) return false;
+        
+        mutate(position);
+        tx.put(COLLECTIONS.VOLUME_BOTS, key, position);
+        return true;
+      });
     } catch (error) {
-      console.error('[RiskMonitor] Error resuming position:', error);
+      console.error('[RiskMonitor] Error updating position:', error);
       return false;
     }
   }
@@ -11,8 +11,9 @@
 
 const { MarketMaker } = require('./market-maker.js');
 const { TOKENS, MM_CONFIG, POSITION_STATES, METRICS } = require('./production-config.js');
-const fs = require('fs');
-const path = require('path');
+const { tradeGuard } = require('./trade-guard.js');
+const { stateStore, COLLECTIONS } = require('./state-store.js');
+const { btcPriceFeed } = require('./btc-price.js');
 
 // ============================================
 // USER POSITION MANAGER
@@ -22,14 +23,6 @@ class UserPositionManager {
   constructor() {
     this.userPositions = new Map(); // userAddress → UserPosition
     this.activeMarketMakers = new Map(); // userAddress → MarketMaker[]
-    this.dataDir = path.join(__dirname, '../data/mm');
-    this.ensureDataDir();
-  }
-
-  ensureDataDir() {
-    if (!fs.existsSync(this.dataDir)) {
-      fs.mkdirSync(this.dataDir, { recursive: true });
-    }
   }
 
   /**
@@ -46,10 +39,11 @@ class UserPositionManager {
     console.log(`[Orchestrator] Deposit: ${depositBTC} BTC`);
     console.log(`[Orchestrator] Tokens: ${tokens.join(', ')}`);
 
-    // Validate minimum deposit
-    const minDeposit = 0.00127; // $100 at $78,593/BTC
+    // Validate minimum deposit (MM_CONFIG.minDepositUSD at the current BTC price)
+    const btcPrice = await btcPriceFeed.get();
+    const minDeposit = MM_CONFIG.minDepositUSD / btcPrice.priceUSD;
     if (depositBTC < minDeposit) {
-      throw new Error(`Minimum deposit is ${minDeposit} BTC ($100)`);
+      throw new Error(`Minimum deposit is ${minDeposit.toFixed(8)} BTC ($${MM_CONFIG.minDepositUSD})`);
     }
 
     // Create user position record
@@ -57,14 +51,16 @@ class UserPositionManager {
       userAddress,
       tradingAddress,
       depositBTC,
-      depositUSD: depositBTC * 78593, // TODO: fetch real BTC price
+      depositUSD: depositBTC * btcPrice.priceUSD,
+      depositBtcPriceUSD: btcPrice.priceUSD,
       createdAt: Date.now(),
       status: 'active',
       tokens: tokens,
       
       // Performance tracking
       currentValueBTC: depositBTC,
-      currentValueUSD: depositBTC * 78593,
+      currentValueUSD: depositBTC * btcPrice.priceUSD,
+      btcPriceUSD: btcPrice.priceUSD,   // price the USD values were taken at
       realizedPnL: 0,
       unrealizedPnL: 0,
       totalTrades: 0,
@@ -87,7 +83,10 @@ class UserPositionManager {
 
     // Save to storage
     this.userPositions.set(userAddress, userPosition);
-    this.savePositionToDisk(userAddress, userPosition);
+    this.savePosition(userAddress, userPosition);
+
+    // Wallet and trading address belong to the same owner
+    tradeGuard.linkAddresses(userAddress, tradingAddress);
 
     // Start market makers for each token
     const marketMakers = [];
@@ -198,7 +197,8 @@ class UserPositionManager {
 
     // Update position
     position.currentValueBTC = totalValueBTC;
-    position.currentValueUSD = totalValueBTC * 78593;
+    position.btcPriceUSD = btcPriceFeed.current().priceUSD;
+    position.currentValueUSD = totalValueBTC * position.btcPriceUSD;
     position.realizedPnL = totalRealizedPnL;
     position.unrealizedPnL = totalUnrealizedPnL;
     position.totalTrades = totalTrades;
@@ -215,7 +215,7 @@ class UserPositionManager {
     }
 
     // Save updated position
-    this.savePositionToDisk(userAddress, position);
+    this.savePosition(userAddress, position);
 
     return position;
   }
@@ -251,7 +251,7 @@ class UserPositionManager {
     if (position) {
       position.status = 'stopped';
       position.stoppedAt = Date.now();
-      this.savePositionToDisk(userAddress, position);
+      this.savePosition(userAddress, position);
     }
 
     console.log(`[Orchestrator] ✅ Position stopped for ${userAddress}`);
@@ -269,46 +269,33 @@ class UserPositionManager {
   }
 
   /**
-   * Save position to disk (persistence)
+   * Save position to the state store (persistence)
    */
-  savePositionToDisk(userAddress, position) {
-    const filePath = path.join(this.dataDir, `${userAddress}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(position, null, 2));
+  savePosition(userAddress, position) {
+    stateStore.put(COLLECTIONS.USER_POSITIONS, userAddress, position);
   }
 
   /**
-   * Load position from disk
+   * Load position from the state store
    */
-  loadPositionFromDisk(userAddress) {
-    const filePath = path.join(this.dataDir, `${userAddress}.json`);
-    
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(data);
-    }
-    
-    return null;
+  loadPosition(userAddress) {
+    return stateStore.get(COLLECTIONS.USER_POSITIONS, userAddress);
   }
 
   /**
    * Restore all positions on restart
    */
   async restoreAllPositions() {
-    console.log('[Orchestrator] Restoring positions from disk...');
+    console.log('[Orchestrator] Restoring positions from state store...');
 
-    const files = fs.readdirSync(this.dataDir).filter(f => f.endsWith('.json'));
-    
-    for (const file of files) {
-      const userAddress = file.replace('.json', '');
-      const position = this.loadPositionFromDisk(userAddress);
-      
-      if (position && position.status === 'active') {
-        console.log(`[Orchestrator] Restoring position: ${userAddress}`);
+    for (const position of stateStore.query(COLLECTIONS.USER_POSITIONS)) {
+      if (position.status === 'active') {
+        console.log(`[Orchestrator] Restoring position: ${position.userAddress}`);
         
         // TODO: Restore market makers
         // This requires stored accessToken (security consideration!)
         
-        this.userPositions.set(userAddress, position);
+        this.userPositions.set(position.userAddress, position);
       }
     }
 
@@ -0,0 +1,201 @@
+/**
+ * PnL Engine
+ *
+ * Mark-to-market PnL for one token position, shared by VolumeBot and the
+ * BaseStrategy classes. Every fill opens or consumes FIFO lots
+ * (./cost-basis.js) and every mark revalues what is held:
+ *
+ *   realizedPnL       sale proceeds (after fees) less the cost of the lots sold,
+ *                     plus pool fee rebates
+ *   unrealizedPnL     tokens held at the mark price less their remaining cost
+ *   totalPnL          realized + unrealized (= value − capital)
+ *
+ * The same total, attributed (totalPnL = appreciation + spread capture
+ * + rebates − fees):
+ *
+ *   appreciationPnL   tokens held × price change between marks and fills
+ *   spreadCapturePnL  edge of each fill against the mid price at the time,
+ *                     before fees
+ *   tradingFeesPaid   swap fees (fee drag; feeDragPercent is per capital)
+ *
+ * Amounts in BTC and tokens, prices in BTC per token in the caller's token
+ * unit. Field names follow METRICS in ./production-config.js.
+ */
+
+const { consumeLots } = require('./cost-basis');
+const { btcPriceFeed } = require('./btc-price');
+
+class PnLEngine {
+  /**
+   * @param {object} options - { capital, btc, tokens, price }: capital is the
+   *   deposit; btc / tokens the opening inventory (tokens costed at price)
+   */
+  constructor({ capital = 0, btc = capital, tokens = 0, price = null } = {}) {
+    this.capital = capital;
+    this.btc = btc;
+    this.holding = { tokens: 0, costBTC: 0, costUSD: 0, lots: [] };
+    this.markPrice = price;
+
+    this.realizedPnL = 0;
+    this.appreciationPnL = 0;
+    this.spreadCapturePnL = 0;
+    this.poolFeeRebates = 0;
+    this.tradingFeesPaid = 0;
+
+    this.totalTrades = 0;
+    this.winningTrades = 0;
+    this.losingTrades = 0;
+    this.volumeBTC = 0;
+    this.sequence = 0;
+
+    if (tokens > 0 && price > 0) {
+      this.addLot({ id: 'opening', tokenAmount: tokens, btcAmount: tokens * price, timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Apply a fill
+   * @param {object} fill - { side: 'buy'|'sell', tokenAmount, btcAmount, feeBTC,
+   *   price (mid at the time; defaults to the fill's pre-fee price), timestamp, id }
+   *   btcAmount is BTC spent including fees for buys, received after fees for sells
+   * @returns {object|null} { side, edge, gain } (gain for sells)
+   */
+  recordFill({ side, tokenAmount, btcAmount, feeBTC = 0, price = null, timestamp = Date.now(), id = null }) {
+    if (!(tokenAmount > 0) || !(btcAmount >= 0)) return null;
+
+    const buying = side === 'buy';
+    const mid = price > 0
+      ? price
+      : (buying ? btcAmount - feeBTC : btcAmount + feeBTC) / tokenAmount;
+
+    // Price move on what was held up to this fill
+    this.revalue(mid);
+
+    const edge = buying
+      ? tokenAmount * mid - (btcAmount - feeBTC)
+      : (btcAmount + feeBTC) - tokenAmount * mid;
+
+    this.spreadCapturePnL += edge;
+    this.tradingFeesPaid += feeBTC;
+    this.totalTrades++;
+    this.volumeBTC += buying ? btcAmount : btcAmount + feeBTC;
+
+    if (buying) {
+      this.btc -= btcAmount;
+      this.addLot({ id: id || `fill${++this.sequence}`, tokenAmount, btcAmount, timestamp });
+      return { side, edge };
+    }
+
+    const basis = consumeLots(this.holding, tokenAmount);
+    const gain = btcAmount - basis.costBTC;
+
+    this.btc += btcAmount;
+    this.realizedPnL += gain;
+    if (gain > 0) this.winningTrades++;
+    else if (gain < 0) this.losingTrades++;
+
+    return { side, edge, gain };
+  }
+
+  /**
+   * LP fee earnings; tokens earned join the holding at their value
+   */
+  recordFeeIncome(btcAmount = 0, tokenAmount = 0, price = this.markPrice, timestamp = Date.now()) {
+    if (btcAmount > 0) {
+      this.btc += btcAmount;
+      this.poolFeeRebates += btcAmount;
+      this.realizedPnL += btcAmount;
+    }
+    if (tokenAmount > 0 && price > 0) {
+      const value = tokenAmount * price;
+      this.addLot({ id: `fee${++this.sequence}`, tokenAmount, btcAmount: value, timestamp });
+      this.poolFeeRebates += value;
+      this.realizedPnL += value;
+    }
+  }
+
+  /**
+   * Revalue the holding at a price and return the snapshot
+   */
+  mark(price) {
+    if (price > 0) this.revalue(price);
+    return this.snapshot();
+  }
+
+  revalue(price) {
+    if (this.markPrice > 0) {
+      this.appreciationPnL += this.holding.tokens * (price - this.markPrice);
+    }
+    this.markPrice = price;
+  }
+
+  addLot({ id, tokenAmount, btcAmount, timestamp }) {
+    const costUSD = btcAmount * btcPriceFeed.current().priceUSD;
+
+    this.holding.tokens += tokenAmount;
+    this.holding.costBTC += btcAmount;
+    this.holding.costUSD += costUSD;
+    this.holding.lots.push({ entryId: id, acquiredAt: timestamp, tokenAmount, costBTC: btcAmount, costUSD });
+  }
+
+  /**
+   * PnL at the last mark (METRICS field names)
+   */
+  snapshot() {
+    const tokenValue = this.holding.tokens * (this.markPrice || 0);
+    const unrealizedPnL = tokenValue - this.holding.costBTC;
+    const closed = this.winningTrades + this.losingTrades;
+
+    return {
+      totalValueBTC: this.btc + tokenValue,
+      inventoryBTC: this.btc,
+      tokensHeld: this.holding.tokens,
+      costBasisBTC: this.holding.costBTC,
+      openLots: this.holding.lots.length,
+      markPrice: this.markPrice,
+      realizedPnL: this.realizedPnL,
+      unrealizedPnL,
+      totalPnL: this.realizedPnL + unrealizedPnL,
+      appreciationPnL: this.appreciationPnL,
+      spreadCapturePnL: this.spreadCapturePnL,
+      poolFeeRebates: this.poolFeeRebates,
+      tradingFeesPaid: this.tradingFeesPaid,
+      feeDragPercent: this.capital > 0 ? (this.tradingFeesPaid / this.capital) * 100 : 0,
+      totalTrades: this.totalTrades,
+      winningTrades: this.winningTrades,
+      losingTrades: this.losingTrades,
+      winRate: closed > 0 ? this.winningTrades / closed : 0,
+      avgTradeSize: this.totalTrades > 0 ? this.volumeBTC / this.totalTrades : 0
+    };
+  }
+
+  /**
+   * Plain state for the state store
+   */
+  toJSON() {
+    return {
+      capital: this.capital,
+      btc: this.btc,
+      holding: this.holding,
+      markPrice: this.markPrice,
+      realizedPnL: this.realizedPnL,
+      appreciationPnL: this.appreciationPnL,
+      spreadCapturePnL: this.spreadCapturePnL,
+      poolFeeRebates: this.poolFeeRebates,
+      tradingFeesPaid: this.tradingFeesPaid,
+      totalTrades: this.totalTrades,
+      winningTrades: this.winningTrades,
+      losingTrades: this.losingTrades,
+      volumeBTC: this.volumeBTC,
+      sequence: this.sequence
+    };
+  }
+
+  static fromJSON(state) {
+    return Object.assign(new PnLEngine({ capital: state.capital }), state);
+  }
+}
+
+module.exports = {
+  PnLEngine
+};
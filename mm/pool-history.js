@@ -0,0 +1,62 @@
+/**
+ * Pool History Helpers
+ *
+ * RadFi /api/histories rows come in slightly different shapes
+ * (token0Amount vs amount0, tokenIn vs tokenInId, btcBlockTime vs createdAt).
+ * normalizeSwap turns one row into a single shape the engines can rely on.
+ *
+ * Units follow the pool: amount0 in sats, amount1 in token base units,
+ * prices in token0 per token1 (same as TickMath and getTokenPrice).
+ */
+
+const BTC_TOKEN_ID = '0:0';
+
+/**
+ * Normalize a raw swap history row
+ * @returns {object} { txId, poolId, userAddress, timestamp (ms), side, amount0, amount1, btcAmount, executionPrice, poolPrice }
+ *   side is the taker's side on the token: 'buy' (BTC in) or 'sell' (token in)
+ */
+function normalizeSwap(swap) {
+  const tokenIn = swap.tokenIn || swap.tokenInId;
+  const amount0 = Math.abs(parseFloat(swap.token0Amount ?? swap.amount0 ?? 0)) || 0;
+  const amount1 = Math.abs(parseFloat(swap.token1Amount ?? swap.amount1 ?? 0)) || 0;
+
+  let timestamp = swap.btcBlockTime ? swap.btcBlockTime * 1000 : Date.parse(swap.createdAt);
+  if (!Number.isFinite(timestamp)) timestamp = null;
+
+  return {
+    txId: swap.txId || swap._id,
+    poolId: swap.poolId,
+    userAddress: swap.userAddress || null,
+    timestamp,
+    side: tokenIn ? (tokenIn === BTC_TOKEN_ID ? 'buy' : 'sell') : null,
+    amount0,
+    amount1,
+    btcAmount: amount0 / 1e8,
+    executionPrice: amount0 > 0 && amount1 > 0 ? amount0 / amount1 : null,
+    poolPrice: swap.price != null ? parseFloat(swap.price) : null // pool price after the swap, when reported
+  };
+}
+
+/**
+ * Normalize a page of history rows: drop rows without a time, dedupe by txId,
+ * oldest first
+ */
+function normalizeSwaps(swaps) {
+  const seen = new Set();
+  const result = [];
+
+  for (const raw of swaps || []) {
+    const swap = normalizeSwap(raw);
+    if (swap.timestamp === null || seen.has(swap.txId)) continue;
+    seen.add(swap.txId);
+    result.push(swap);
+  }
+
+  return result.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+module.exports = {
+  normalizeSwap,
+  normalizeSwaps
+};
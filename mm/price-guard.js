@@ -0,0 +1,247 @@
+/**
+ * Price Guard
+ *
+ * Sanity checks for pool prices before anything trades on them, with a
+ * per-pool circuit breaker.
+ *
+ * A reading is rejected when:
+ * - the pool price is zero, negative or NaN (e.g. empty reserves)
+ * - the reading was fetched more than MM_CONFIG.priceMaxAgeMs ago
+ * - it differs from the token-list price by more than MM_CONFIG.priceMaxDeviation
+ * - it moved more than MM_CONFIG.priceJumpSigma σ from the last accepted price
+ *   (σ of recent log returns, floored at MM_CONFIG.priceMinSigma)
+ *
+ * A rejection trips the pool's breaker: no price is served (so nothing trades)
+ * until MM_CONFIG.priceRecoveryReadings consecutive readings pass the basic
+ * checks and agree with each other. Trips and recoveries are written to the
+ * trade log and the history store ('priceTrips') with the raw inputs.
+ *
+ * A pool that has not traded for MM_CONFIG.priceQuietMs (its updatedAt) is
+ * not rejected - thin pools go quiet for days - but marked quiet, and the
+ * ladder widens its spacing by MM_CONFIG.priceQuietSpreadFactor (isQuiet).
+ *
+ * Prices follow the pool: token0 (sats) per token1 base unit.
+ */
+
+const { MM_CONFIG } = require('./production-config');
+const { historyStore, COLLECTIONS } = require('./state-store');
+const { logTrade } = require('./trade-log');
+
+class PriceGuard {
+  constructor({ store = historyStore, config = MM_CONFIG } = {}) {
+    this.store = store;
+    this.config = config;
+    this.pools = new Map(); // poolId → { history, breaker }
+  }
+
+  /**
+   * Validate a price reading
+   * @param {object} reading - { poolId, poolPrice, listPrice?, updatedAt?, fetchedAt?, raw? }
+   * @returns {object} { ok, price, reason, tripped, quiet }
+   */
+  check({ poolId, poolPrice, listPrice = null, updatedAt = null, fetchedAt = Date.now(), raw = {} }) {
+    const state = this.stateFor(poolId);
+    const inputs = { poolPrice, listPrice, updatedAt, fetchedAt, ...raw };
+
+    const quiet = this.updateQuiet(poolId, state, updatedAt);
+    const basic = this.basicChecks(poolPrice, listPrice, fetchedAt);
+
+    if (state.breaker) {
+      return { ...this.recover(poolId, state, poolPrice, basic, inputs), quiet };
+    }
+
+    const reason = basic || this.jumpCheck(state.history, poolPrice);
+    if (reason) {
+      this.trip(poolId, state, reason, inputs);
+      return { ok: false, price: null, reason, tripped: true, quiet };
+    }
+
+    this.accept(state, poolPrice);
+    return { ok: true, price: poolPrice, reason: null, tripped: false, quiet };
+  }
+
+  /**
+   * Zero / NaN, stale and cross-check against the token list
+   * @param {number} fetchedAt - When the reading was fetched (ms)
+   * @returns {string|null} Rejection reason
+   */
+  basicChecks(poolPrice, listPrice, fetchedAt) {
+    if (!Number.isFinite(poolPrice) || poolPrice <= 0) {
+      return `invalid pool price ${poolPrice}`;
+    }
+
+    if (Number.isFinite(fetchedAt) && Date.now() - fetchedAt > this.config.priceMaxAgeMs) {
+      return `stale reading (fetched ${Math.round((Date.now() - fetchedAt) / 1000)}s ago)`;
+    }
+
+    if (Number.isFinite(listPrice) && listPrice > 0) {
+      const deviation = Math.abs(poolPrice - listPrice) / listPrice;
+      if (deviation > this.config.priceMaxDeviation) {
+        return `pool price ${poolPrice} is ${(deviation * 100).toFixed(1)}% off token-list price ${listPrice}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Move from the last accepted price beyond N σ of recent log returns
+   */
+  jumpCheck(history, price) {
+    if (history.length < this.config.priceMinHistory) return null;
+
+    const last = history[history.length - 1];
+    const move = Math.log(price / last);
+    const limit = this.config.priceJumpSigma * this.sigma(history);
+
+    return Math.abs(move) > limit
+      ? `price jump ${(move * 100).toFixed(1)}% exceeds ${this.config.priceJumpSigma}σ (${(limit * 100).toFixed(1)}%)`
+      : null;
+  }
+
+  sigma(history) {
+    const returns = [];
+    for (let i = 1; i < history.length; i++) {
+      returns.push(Math.log(history[i] / history[i - 1]));
+    }
+    if (returns.length === 0) return this.config.priceMinSigma;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / returns.length;
+    return Math.max(Math.sqrt(variance), this.config.priceMinSigma);
+  }
+
+  accept(state, price) {
+    state.history.push(price);
+    if (state.history.length > this.config.priceHistorySize) state.history.shift();
+  }
+
+  trip(poolId, state, reason, inputs) {
+    state.breaker = {
+      trippedAt: Date.now(),
+      reason,
+      lastGood: state.history[state.history.length - 1] ?? null,
+      recovery: [] // consistent readings since the trip
+    };
+
+    const record = {
+      poolId,
+      event: 'trip',
+      reason,
+      lastGood: state.breaker.lastGood,
+      sigma: state.history.length > 1 ? this.sigma(state.history) : null,
+      inputs,
+      timestamp: state.breaker.trippedAt
+    };
+
+    console.warn(`[PriceGuard] Breaker tripped for ${poolId}: ${reason}`);
+    logTrade({ action: 'PRICE_BREAKER_TRIP', ...record });
+    this.store.put(COLLECTIONS.PRICE_TRIPS, `${poolId}:${record.timestamp}`, record);
+  }
+
+  /**
+   * While tripped: collect readings that pass the basic checks and agree with
+   * each other; enough in a row closes the breaker at the new level
+   */
+  recover(poolId, state, price, basicReason, inputs) {
+    const { breaker } = state;
+    const previous = breaker.recovery[breaker.recovery.length - 1];
+    const consistent = !basicReason && (
+      previous === undefined ||
+      Math.abs(Math.log(price / previous)) <= this.config.priceJumpSigma * this.config.priceMinSigma
+    );
+
+    breaker.recovery = consistent ? [...breaker.recovery, price] : (basicReason ? [] : [price]);
+
+    if (breaker.recovery.length < this.config.priceRecoveryReadings) {
+      return {
+        ok: false,
+        price: null,
+        reason: `circuit breaker open since ${new Date(breaker.trippedAt).toISOString()}: ${basicReason || breaker.reason}`,
+        tripped: true
+      };
+    }
+
+    const record = {
+      poolId,
+      event: 'recovered',
+      reason: breaker.reason,
+      trippedAt: breaker.trippedAt,
+      lastGood: breaker.lastGood,
+      price,
+      readings: breaker.recovery,
+      inputs,
+      timestamp: Date.now()
+    };
+
+    console.log(`[PriceGuard] Breaker closed for ${poolId} at ${price}`);
+    logTrade({ action: 'PRICE_BREAKER_RECOVERED', ...record });
+    this.store.put(COLLECTIONS.PRICE_TRIPS, `${poolId}:${record.timestamp}`, record);
+
+    // The new level becomes the reference
+    state.history = [...breaker.recovery];
+    state.breaker = null;
+    return { ok: true, price, reason: null, tripped: false };
+  }
+
+  /**
+   * Track whether the pool has gone without trades for priceQuietMs
+   * (updatedAt is the pool's last change, not the reading's age)
+   */
+  updateQuiet(poolId, state, updatedAt) {
+    const updated = typeof updatedAt === 'string' ? Date.parse(updatedAt) : updatedAt;
+    if (!Number.isFinite(updated)) return state.quiet;
+
+    const quiet = Date.now() - updated > this.config.priceQuietMs;
+    if (quiet !== state.quiet) {
+      console.log(`[PriceGuard] ${poolId} ${quiet
+        ? `quiet (no trades for ${Math.round((Date.now() - updated) / 3600000)}h) - widening quotes`
+        : 'trading again'}`);
+    }
+    state.quiet = quiet;
+    return quiet;
+  }
+
+  isTripped(poolId) {
+    return !!this.pools.get(poolId)?.breaker;
+  }
+
+  isQuiet(poolId) {
+    return !!this.pools.get(poolId)?.quiet;
+  }
+
+  stateFor(poolId) {
+    if (!this.pools.has(poolId)) this.pools.set(poolId, { history: [], breaker: null, quiet: false });
+    return this.pools.get(poolId);
+  }
+
+  /**
+   * Breaker state per pool, plus recent trips from the store
+   */
+  getStatus() {
+    const pools = {};
+    for (const [poolId, state] of this.pools) {
+      pools[poolId] = {
+        tripped: !!state.breaker,
+        quiet: state.quiet,
+        breaker: state.breaker,
+        lastPrice: state.history[state.history.length - 1] ?? null,
+        readings: state.history.length,
+        sigma: state.history.length > 1 ? this.sigma(state.history) : null
+      };
+    }
+
+    return {
+      pools,
+      recentTrips: this.store.query(COLLECTIONS.PRICE_TRIPS, { order: 'desc', limit: 20 })
+    };
+  }
+}
+
+// Shared instance: every bot trading a pool sees the same breaker
+const priceGuard = new PriceGuard();
+
+module.exports = {
+  PriceGuard,
+  priceGuard
+};
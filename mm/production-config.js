@@ -110,11 +110,38 @@ const MM_CONFIG = {
   // Position management (ladder orders)
   maxActivePositions: 10,      // 5 ladder orders per side
   ladderSpacing: 0.01,         // 1% spacing between ladder orders
+  ladderRecenterBand: 0.03,    // Re-center the ladder when price drifts 3% from its mid
+  positionTtlMs: 86400000,     // Unfilled positions expire after 24h
   
   // Risk management
   globalStopLoss: -0.15,       // -15% portfolio loss → shutdown
+  maxDrawdown: -0.15,          // -15% loss on one bot → pause it
+  drawdownWarning: -0.10,      // -10% loss on one bot → warn
+  openingValueTolerance: 0.01, // A fresh bot must value within 1% of its allocation
+  maxTvlExposure: 0.10,        // Ladder above 10% of pool TVL → trim it
+  riskActionCooldownMs: 600000, // Repeat a rebalance/trim risk action at most every 10 min per bot
   maxInventorySkew: 0.60,      // 60/40 max (bullish bias allows more skew)
   rebalanceThreshold: 0.10,    // 10% off target triggers rebalance
+  rebalanceCooldownMs: 3600000, // Max one rebalance swap per hour per token
+  rebalanceDryRun: false,      // true = report the rebalance swap without executing it
+  roundTripWindowMs: 600000,   // Block buy→sell (or sell→buy) by the same owner within 10 min
+  
+  // Price validation (mm/price-guard.js)
+  priceMaxDeviation: 0.10,     // Pool vs token-list price may differ by 10%
+  priceJumpSigma: 4,           // Reject moves beyond 4σ of recent log returns...
+  priceMinSigma: 0.02,         // ...with σ floored at 2% (flat AMM prices have σ ≈ 0)
+  priceHistorySize: 30,        // Readings kept per pool for σ
+  priceMinHistory: 5,          // Readings needed before the jump check applies
+  priceMaxAgeMs: 300000,       // A reading fetched more than 5 min ago is stale
+  priceQuietMs: 86400000,      // No pool trades for 24h → pool is quiet (not rejected)...
+  priceQuietSpreadFactor: 2,   // ...and the ladder spacing doubles while it is
+  priceRecoveryReadings: 3,    // Consecutive consistent readings to close a tripped breaker
+  
+  // BTC/USD price (mm/btc-price.js)
+  btcPriceCacheMs: 60000,      // Re-fetch BTC/USD at most once a minute
+  btcPriceHistoryMs: 300000,   // Keep a history snapshot every 5 min
+  btcPriceFallbackUSD: 78600,  // Used until the first successful fetch
+  minDepositUSD: 100,          // Minimum market-making deposit
   
   // Fee structure (RadFi L2 - NOT Bitcoin L1!)
   radfiFeeRate: 0.01,          // 1% swap fee on RadFi
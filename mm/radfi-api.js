@@ -2,38 +2,47 @@
  * RadFi API Helper for Volume Bot
  * 
  * Provides authenticated API calls to RadFi for real trading.
- * Uses native fetch (Node 18+)
+ * Requests go through a RadFi transport (./transport.js): the live API by
+ * default, or the in-process mock exchange with RADFI_TRANSPORT=mock.
  * Includes comprehensive logging and token refresh.
  */
 
-const RADFI_API_BASE = 'https://api.radfi.co';
-
-const HEADERS = {
-  'Accept': 'application/json, text/plain, */*',
-  'Content-Type': 'application/json',
-  'Origin': 'https://app.radfi.co',
-  'Referer': 'https://app.radfi.co/',
-  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-};
+const { getTransport } = require('./transport');
+const { priceGuard } = require('./price-guard');
 
 class RadFiAPI {
-  constructor(authToken = null, refreshToken = null, tracker = null) {
+  constructor(authToken = null, refreshToken = null, tracker = null, transport = null) {
     this.authToken = authToken;
     this.refreshToken = refreshToken;
     this.tracker = tracker;
+    this.transport = transport; // null → process-wide transport
     this.tokenExpiresAt = authToken ? Date.now() + 9 * 60 * 1000 : 0; // 9 min (safe margin)
+    this.vault = null;          // CredentialVault that receives rotated tokens
+    this.credentialOwner = null;
+  }
+
+  /**
+   * Persist refreshed tokens to a credential vault under userAddress
+   */
+  persistTo(vault, userAddress) {
+    this.vault = vault;
+    this.credentialOwner = userAddress;
   }
 
-  setAuth(accessToken, refreshToken = null) {
+  setAuth(accessToken, refreshToken = null, expiresAt = Date.now() + 9 * 60 * 1000) {
     this.authToken = accessToken;
     if (refreshToken) this.refreshToken = refreshToken;
-    this.tokenExpiresAt = Date.now() + 9 * 60 * 1000;
+    this.tokenExpiresAt = expiresAt;
   }
 
   setTracker(tracker) {
     this.tracker = tracker;
   }
 
+  getTransport() {
+    return this.transport || getTransport();
+  }
+
   // Check if token needs refresh
   isTokenExpired() {
     return Date.now() > this.tokenExpiresAt;
@@ -45,12 +54,22 @@ class RadFiAPI {
       throw new Error('No refresh token available');
     }
 
+    // Another bot for the same user may already have rotated the tokens
+    if (this.vault) {
+      const stored = this.vault.load(this.credentialOwner);
+      if (stored?.authToken && stored.authToken !== this.authToken && stored.expiresAt > Date.now()) {
+        this.authToken = stored.authToken;
+        this.refreshToken = stored.refreshToken || this.refreshToken;
+        this.tokenExpiresAt = stored.expiresAt;
+        return { accessToken: stored.authToken, refreshToken: stored.refreshToken };
+      }
+    }
+
     const startTime = Date.now();
     try {
-      const response = await fetch(`${RADFI_API_BASE}/api/auth/refresh-token`, {
+      const response = await this.getTransport().request('/api/auth/refresh-token', {
         method: 'POST',
-        headers: HEADERS,
-        body: JSON.stringify({ refreshToken: this.refreshToken })
+        body: { refreshToken: this.refreshToken }
       });
 
       if (!response.ok) {
@@ -58,9 +77,18 @@ class RadFiAPI {
       }
 
       const data = await response.json();
-      this.authToken = data.accessToken;
+      this.authToken = data.accessToken || data.data?.accessToken;
+      this.refreshToken = data.refreshToken || data.data?.refreshToken || this.refreshToken;
       this.tokenExpiresAt = Date.now() + 9 * 60 * 1000;
 
+      if (this.vault) {
+        this.vault.update(this.credentialOwner, {
+          authToken: this.authToken,
+          refreshToken: this.refreshToken,
+          expiresAt: this.tokenExpiresAt
+        });
+      }
+
       if (this.tracker) {
         await this.tracker.logSuccess('Token refreshed', { 
           responseTime: Date.now() - startTime 
@@ -82,10 +110,9 @@ class RadFiAPI {
       await this.refreshAccessToken();
     }
 
-    const url = `${RADFI_API_BASE}${endpoint}`;
     const startTime = Date.now();
     
-    const headers = { ...HEADERS };
+    const headers = {};
     if (this.authToken) {
       headers['Authorization'] = `Bearer ${this.authToken}`;
     }
@@ -94,10 +121,10 @@ class RadFiAPI {
     }
 
     try {
-      const response = await fetch(url, {
+      const response = await this.getTransport().request(endpoint, {
         ...options,
         headers,
-        body: options.body ? JSON.stringify(options.body) : undefined
+        body: options.body || undefined
       });
 
       const responseTime = Date.now() - startTime;
@@ -142,33 +169,46 @@ class RadFiAPI {
     return data.data?.find(p => p._id === poolId);
   }
 
-  // Get token price from pool or token API
+  // Get token price from pool reserves, validated by the price guard
+  // (sats per token base unit; throws while the pool's circuit breaker is open)
   async getTokenPrice(poolId, tokenId = null) {
-    // Try to get from pool reserves first
     const pool = await this.getPool(poolId);
-    if (pool) {
-      const btcReserve = parseFloat(pool.token0Reserve || 0);
-      const tokenReserve = parseFloat(pool.token1Reserve || 0);
-      
-      if (btcReserve > 0 && tokenReserve > 0) {
-        return btcReserve / tokenReserve;
-      }
+    const fetchedAt = Date.now();
+    if (!pool) {
+      throw new Error(`Pool ${poolId} not found`);
     }
-    
-    // Get the target token ID
-    const targetTokenId = tokenId || (pool ? pool.token1Id : null);
-    if (!targetTokenId || targetTokenId === '0:0') {
-      return null; // Can't get price for BTC itself
-    }
-    
-    // Get price from tokens list (more reliable than details endpoint)
-    const tokensData = await this.fetch('/api/tokens?pageSize=100');
+
+    const btcReserve = parseFloat(pool.token0Reserve || 0);
+    const tokenReserve = parseFloat(pool.token1Reserve || 0);
+    const poolPrice = tokenReserve > 0 ? btcReserve / tokenReserve : NaN;
+
+    // Token-list price for the cross-check (priceInSats is per whole token)
+    const targetTokenId = tokenId || pool.token1Id;
+    const tokensData = await this.fetch(`/api/tokens?tokenId_eq=${encodeURIComponent(targetTokenId)}`);
     const token = tokensData.data?.find(t => t.tokenId === targetTokenId);
-    if (token && token.price) {
-      return token.price;
+    const decimals = token?.decimals ?? pool.token1Decimal ?? 0;
+    const listPrice = token?.priceInSats ? parseFloat(token.priceInSats) / Math.pow(10, decimals) : null;
+
+    const result = priceGuard.check({
+      poolId,
+      poolPrice,
+      listPrice,
+      updatedAt: pool.updatedAt,
+      fetchedAt,
+      raw: {
+        tokenId: targetTokenId,
+        token0Reserve: pool.token0Reserve,
+        token1Reserve: pool.token1Reserve,
+        priceInSats: token?.priceInSats ?? null,
+        decimals
+      }
+    });
+
+    if (!result.ok) {
+      throw new Error(`Price rejected for pool ${poolId}: ${result.reason}`);
     }
-    
-    return null;
+
+    return result.price;
   }
 
   // Get user's positions (NFTs)
@@ -280,12 +320,62 @@ class RadFiAPI {
     });
   }
 
+  // Send tokens from the trading wallet to an external address
+  async transfer(params) {
+    const {
+      userAddress,
+      tokenId,
+      amount,
+      receiverAddress
+    } = params;
+
+    const payload = {
+      type: 'withdraw',
+      params: {
+        userAddress,
+        tokenId,
+        amount: amount.toString(),
+        receiverAddress
+      }
+    };
+
+    return this.fetch('/api/vm-transactions', {
+      method: 'POST',
+      body: payload
+    });
+  }
+
   // Get recent swaps in a pool (to detect fills)
   async getPoolSwaps(poolId, limit = 50) {
     const data = await this.fetch(`/api/histories?poolId=${poolId}&type=swap&pageSize=${limit}&sort=-btcBlockTime`);
     return data.data || [];
   }
 
+  // Pool swaps newer than `since` (ms), newest first: pages back until one
+  // reaches it, so a burst of swaps between checks is not cut off
+  async getPoolSwapsSince(poolId, since, pageSize = 50, maxPages = 10) {
+    return this.getHistoriesSince(`poolId=${poolId}&type=swap`, since, pageSize, maxPages);
+  }
+
+  // Transfers out of a wallet newer than `since` (ms), newest first
+  async getUserTransfersSince(userAddress, since, pageSize = 50, maxPages = 10) {
+    return this.getHistoriesSince(`userAddress=${userAddress}&type=withdraw`, since, pageSize, maxPages);
+  }
+
+  async getHistoriesSince(filter, since, pageSize, maxPages) {
+    const rows = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const data = await this.fetch(`/api/histories?${filter}&pageSize=${pageSize}&page=${page}&sort=-btcBlockTime`);
+      const pageRows = data.data || [];
+      rows.push(...pageRows);
+
+      if (pageRows.length < pageSize || pageRows.some(r => historyTime(r) <= since)) break;
+    }
+
+    return rows;
+  }
+
   // Get fee rate
   async getFeeRate() {
     const data = await this.fetch('/api/vm-transactions/fee-rate');
@@ -293,4 +383,9 @@ class RadFiAPI {
   }
 }
 
+// History row time (ms): block time, else creation time
+function historyTime(row) {
+  return row.btcBlockTime ? row.btcBlockTime * 1000 : Date.parse(row.createdAt);
+}
+
 module.exports = RadFiAPI;
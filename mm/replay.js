@@ -0,0 +1,301 @@
+/**
+ * Historical Replay
+ *
+ * Recorded pool swaps (and the reserves they imply) for backtests, in place
+ * of the random PriceSimulator.
+ *
+ * Sources:
+ *   api      /api/histories through the RadFi transport (live or mock)
+ *   fixture  a JSON file: [rows] or { poolId, pool, swaps: [rows] }
+ *            (write one from live data with replay.save(path)); the
+ *            fixtures/ directory has a recorded RAD pool window for offline runs
+ *
+ * Reserves: given the pool's current reserves, swaps are undone newest to
+ * oldest to recover the reserves (and so the pool price) after every swap.
+ * Without reserves the reported or execution price is used.
+ *
+ * Fills: a resting bid is crossed by a taker sell that pushes the pool price
+ * to or below it, an ask by a taker buy that pushes it to or above it.
+ *
+ * Prices: `price` follows the pool (sats per token base unit), `priceBTC` is
+ * BTC per whole token (what MarketMaker and VolumeTrader quote in).
+ */
+
+const fs = require('fs');
+const { getTransport } = require('./transport');
+const { normalizeSwaps } = require('./pool-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HistoricalReplay {
+  constructor({
+    poolId,
+    decimals = 2,
+    source = 'api',
+    fixturePath = null,
+    from = null,          // ms
+    to = null,            // ms
+    transport = null,
+    pageSize = 1000,
+    maxPages = 50
+  } = {}) {
+    this.poolId = poolId;
+    this.decimals = decimals;
+    this.source = source;
+    this.fixturePath = fixturePath;
+    this.from = from;
+    this.to = to;
+    this.transport = transport;
+    this.pageSize = pageSize;
+    this.maxPages = maxPages;
+
+    this.pool = null;     // pool as of the newest swap loaded
+    this.rawSwaps = [];
+    this.openingPrice = null; // pool price just before the first swap in the window
+    this.events = [];     // normalized swaps in the window, oldest first, with price/reserves
+    this.truncated = false;
+  }
+
+  /**
+   * Load swaps from the source and rebuild prices
+   */
+  async load() {
+    if (this.source === 'fixture') {
+      this.loadFixture();
+    } else {
+      await this.loadFromApi();
+    }
+
+    const swaps = normalizeSwaps(this.rawSwaps).filter(s => s.executionPrice !== null);
+    const priceBefore = this.attachPrices(swaps);
+
+    this.events = swaps.filter(s =>
+      (this.from === null || s.timestamp >= this.from) &&
+      (this.to === null || s.timestamp <= this.to)
+    );
+
+    if (this.events.length === 0) {
+      // The mock only records swaps made in this process
+      const hint = this.source === 'api' && (this.transport || getTransport()).name === 'mock'
+        ? ' - the mock has no swap history, replay the bundled fixture instead (--fixture mm/fixtures/rad-swaps.json)'
+        : '';
+      throw new Error(`No swaps for pool ${this.poolId} in the requested window${hint}`);
+    }
+
+    const index = swaps.indexOf(this.events[0]);
+    this.openingPrice = index > 0 ? swaps[index - 1].price : priceBefore ?? this.events[0].executionPrice;
+
+    const w = this.getWindow();
+    console.log(`[Replay] ${w.swaps} swaps from ${w.source}, ${w.start} → ${w.end} (${w.days.toFixed(1)} days)`);
+
+    return this;
+  }
+
+  loadFixture() {
+    const fixture = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    const rows = Array.isArray(fixture) ? fixture : fixture.swaps || [];
+
+    this.poolId = this.poolId || fixture.poolId;
+    this.pool = Array.isArray(fixture) ? null : fixture.pool || null;
+    this.rawSwaps = rows.filter(r => !r.type || r.type === 'swap');
+  }
+
+  async loadFromApi() {
+    const transport = this.transport || getTransport();
+
+    const poolsResponse = await transport.request('/api/pools');
+    this.pool = (await poolsResponse.json()).data?.find(p => p._id === this.poolId) || null;
+
+    // Newest first, back until the window start (every swap after `from` is
+    // needed to walk the reserves back)
+    for (let page = 1; page <= this.maxPages; page++) {
+      const response = await transport.request(
+        `/api/histories?poolId=${this.poolId}&type=swap&pageSize=${this.pageSize}&page=${page}&sort=-btcBlockTime`
+      );
+      if (!response.ok) {
+        throw new Error(`RadFi histories ${response.status}: ${response.statusText}`);
+      }
+
+      const rows = (await response.json()).data || [];
+      this.rawSwaps.push(...rows);
+
+      if (rows.length < this.pageSize) return;
+
+      const oldest = normalizeSwaps(rows)[0];
+      if (this.from !== null && oldest && oldest.timestamp < this.from) return;
+    }
+
+    this.truncated = true;
+    console.warn(`[Replay] Stopped after ${this.maxPages} pages - window start may be missing`);
+  }
+
+  /**
+   * Price after each swap: walk reserves back from the pool's current state,
+   * else use the reported pool price, else the execution price
+   * @returns {number|null} Pool price before the oldest swap, when reserves are known
+   */
+  attachPrices(swaps) {
+    let reserve0 = parseFloat(this.pool?.token0Reserve) || 0;
+    let reserve1 = parseFloat(this.pool?.token1Reserve) || 0;
+    const haveReserves = reserve0 > 0 && reserve1 > 0;
+
+    for (let i = swaps.length - 1; i >= 0; i--) {
+      const swap = swaps[i];
+
+      if (haveReserves && reserve0 > 0 && reserve1 > 0) {
+        swap.reserves = { token0: reserve0, token1: reserve1 };
+        swap.price = reserve0 / reserve1;
+
+        // Undo the swap: a buy put BTC in and took tokens out
+        if (swap.side === 'buy') {
+          reserve0 -= swap.amount0;
+          reserve1 += swap.amount1;
+        } else if (swap.side === 'sell') {
+          reserve0 += swap.amount0;
+          reserve1 -= swap.amount1;
+        }
+      } else {
+        swap.reserves = null;
+        swap.price = swap.poolPrice ?? swap.executionPrice;
+      }
+
+      swap.priceBTC = this.toBTC(swap.price);
+    }
+
+    return haveReserves && reserve0 > 0 && reserve1 > 0 ? reserve0 / reserve1 : null;
+  }
+
+  /**
+   * Sats per base unit → BTC per whole token
+   */
+  toBTC(price) {
+    return price * Math.pow(10, this.decimals) / 1e8;
+  }
+
+  /**
+   * Fixed-interval steps over the window: each step carries the price at its
+   * start and the swaps inside it. Steps without swaps keep the last price.
+   * @returns {Array} [{ timestamp, price, priceBTC, swaps }]
+   */
+  steps(intervalMs) {
+    const start = this.events[0].timestamp;
+    const end = this.events[this.events.length - 1].timestamp;
+    const result = [];
+
+    let i = 0;
+    let price = this.openingPrice;
+
+    for (let t = start; t <= end; t += intervalMs) {
+      const swaps = [];
+      while (i < this.events.length && this.events[i].timestamp < t + intervalMs) {
+        swaps.push(this.events[i++]);
+      }
+
+      result.push({ timestamp: t, price, priceBTC: this.toBTC(price), swaps });
+
+      if (swaps.length > 0) price = swaps[swaps.length - 1].price;
+    }
+
+    return result;
+  }
+
+  /**
+   * Steps grouped into days from the window start
+   */
+  days(intervalMs) {
+    const days = [];
+    const start = this.events[0].timestamp;
+
+    for (const step of this.steps(intervalMs)) {
+      const day = Math.floor((step.timestamp - start) / DAY_MS);
+      if (!days[day]) days[day] = [];
+      days[day].push(step);
+    }
+
+    return days.filter(Boolean);
+  }
+
+  /**
+   * Did a swap trade through our resting quote?
+   * @param {string} side - 'bid' or 'ask'
+   * @param {number} quotePrice - BTC per whole token
+   */
+  static crossed(swap, side, quotePrice) {
+    if (side === 'bid') return swap.side === 'sell' && swap.priceBTC <= quotePrice;
+    if (side === 'ask') return swap.side === 'buy' && swap.priceBTC >= quotePrice;
+    return false;
+  }
+
+  /**
+   * Quotes filled by a step's swaps: each side fills at most once per step,
+   * for no more than the crossing swap's BTC size
+   * @returns {Array} [{ side, price, sizeBTC, swap }]
+   */
+  static fillsFor(quotes, swaps, orderSizeBTC) {
+    const fills = [];
+
+    for (const side of ['bid', 'ask']) {
+      const swap = swaps.find(s => HistoricalReplay.crossed(s, side, quotes[side]));
+      if (!swap) continue;
+
+      fills.push({
+        side,
+        price: quotes[side],
+        sizeBTC: Math.min(orderSizeBTC, swap.btcAmount),
+        swap
+      });
+    }
+
+    return fills;
+  }
+
+  /**
+   * The data a backtest report covers
+   */
+  getWindow() {
+    const first = this.events[0];
+    const last = this.events[this.events.length - 1];
+
+    return {
+      source: this.source === 'fixture' ? `fixture:${this.fixturePath}` : `api:${(this.transport || getTransport()).name}`,
+      poolId: this.poolId,
+      start: new Date(first.timestamp).toISOString(),
+      end: new Date(last.timestamp).toISOString(),
+      days: (last.timestamp - first.timestamp) / DAY_MS,
+      swaps: this.events.length,
+      pricing: first.reserves ? 'reserves' : 'swap prices',
+      truncated: this.truncated
+    };
+  }
+
+  getStats() {
+    const start = this.toBTC(this.openingPrice);
+    const prices = [start, ...this.events.map(e => e.priceBTC)];
+    const end = prices[prices.length - 1];
+
+    return {
+      start,
+      end,
+      min: Math.min(...prices),
+      max: Math.max(...prices),
+      priceChange: (end - start) / start
+    };
+  }
+
+  /**
+   * Write the loaded swaps as a fixture for offline replays
+   */
+  save(filePath) {
+    fs.writeFileSync(filePath, JSON.stringify({
+      poolId: this.poolId,
+      pool: this.pool,
+      recordedAt: new Date().toISOString(),
+      swaps: this.rawSwaps
+    }, null, 2));
+    console.log(`[Replay] Saved ${this.rawSwaps.length} swaps to ${filePath}`);
+  }
+}
+
+module.exports = {
+  HistoricalReplay
+};
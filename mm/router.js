@@ -0,0 +1,237 @@
+/**
+ * Swap Router
+ *
+ * Routes swaps across RadFi pools, e.g. rune → BTC → rune, or through any
+ * intermediate pool.
+ *
+ * - Graph: tokens are nodes, every pool with liquidity is an edge
+ * - Search: every simple path up to maxHops is simulated hop by hop with the
+ *   AMM quote engine (./amm.js); the best path is the one with the most
+ *   output after pool fees and price impact
+ * - Slippage: the total tolerance is split across hops so the per-hop
+ *   tolerances compound to the total
+ * - Execution: hops are sent one at a time as swap transactions; each hop is
+ *   re-quoted with the input actually received and must clear its minimum
+ *   output, otherwise the route stops there
+ */
+
+const { quoteSwap, poolPrice } = require('./amm');
+
+const DEFAULT_MAX_HOPS = 3;
+
+/**
+ * tokenId → [{ pool, tokenOut }]
+ */
+function buildGraph(pools) {
+  const graph = new Map();
+  const addEdge = (from, to, pool) => {
+    if (!graph.has(from)) graph.set(from, []);
+    graph.get(from).push({ pool, tokenOut: to });
+  };
+
+  for (const pool of pools) {
+    if (!pool.token0Id || !pool.token1Id || !poolPrice(pool)) continue;
+    addEdge(pool.token0Id, pool.token1Id, pool);
+    addEdge(pool.token1Id, pool.token0Id, pool);
+  }
+
+  return graph;
+}
+
+/**
+ * Every simple path (no token or pool visited twice) of at most maxHops
+ * @returns {Array} [[{ pool, tokenIn, tokenOut }]]
+ */
+function findPaths(graph, tokenIn, tokenOut, maxHops = DEFAULT_MAX_HOPS) {
+  const paths = [];
+
+  const walk = (token, path, visited) => {
+    if (path.length >= maxHops) return;
+
+    for (const edge of graph.get(token) || []) {
+      if (visited.has(edge.tokenOut) || path.some(h => h.pool === edge.pool)) continue;
+
+      const next = [...path, { pool: edge.pool, tokenIn: token, tokenOut: edge.tokenOut }];
+      if (edge.tokenOut === tokenOut) {
+        paths.push(next);
+      } else {
+        walk(edge.tokenOut, next, new Set([...visited, edge.tokenOut]));
+      }
+    }
+  };
+
+  walk(tokenIn, [], new Set([tokenIn]));
+  return paths;
+}
+
+/**
+ * Per-hop tolerance that compounds to the total over n hops, in whole bps
+ * (signed transactions take integers). Floored once float noise is rounded
+ * off (100.00000000000009 → 100), so the hops never exceed the total.
+ */
+function hopSlippageBps(slippageBps, hops) {
+  const exact = 10000 * (1 - Math.pow(1 - slippageBps / 10000, 1 / hops));
+  return Math.max(1, Math.floor(Math.round(exact * 1e6) / 1e6));
+}
+
+/**
+ * Simulate a path hop by hop
+ * @returns {object|null} Route, or null if a hop can't be filled
+ */
+function quotePath(path, amountIn, slippageBps = 100) {
+  const perHop = hopSlippageBps(slippageBps, path.length);
+  const hops = [];
+  let amount = amountIn;
+
+  for (const step of path) {
+    const quote = quoteSwap({ pool: step.pool, tokenIn: step.tokenIn, amountIn: amount, slippageBps: perHop });
+    if (quote.amountOut <= 0 || quote.unfilledIn > 0) return null;
+
+    hops.push({
+      poolId: step.pool._id,
+      tokenIn: step.tokenIn,
+      tokenOut: step.tokenOut,
+      amountIn: amount,
+      amountOut: quote.amountOut,
+      minAmountOut: quote.minAmountOut,
+      slippageBps: perHop,
+      poolFee: quote.poolFee,
+      poolFeeRate: quote.poolFeeRate,
+      spotPrice: quote.spotPrice,
+      priceImpact: quote.priceImpact,
+      model: quote.model
+    });
+    amount = quote.amountOut;
+  }
+
+  return {
+    path: [path[0].tokenIn, ...path.map(s => s.tokenOut)],
+    hops,
+    amountIn,
+    amountOut: amount,
+    minAmountOut: Math.floor(amount * (1 - slippageBps / 10000)),
+    slippageBps,
+    spotPrice: hops.reduce((price, h) => price * h.spotPrice, 1),
+    effectivePrice: amount / amountIn,
+    poolFeeRate: 1 - hops.reduce((keep, h) => keep * (1 - h.poolFeeRate), 1),
+    priceImpact: 1 - hops.reduce((keep, h) => keep * (1 - h.priceImpact), 1)
+  };
+}
+
+/**
+ * Best route by output
+ * @param {object} params - { pools, tokenIn, tokenOut, amountIn, slippageBps, maxHops }
+ * @returns {object} Route { path, hops, amountIn, amountOut, minAmountOut, spotPrice,
+ *   effectivePrice, poolFeeRate, priceImpact, routesConsidered }
+ *   Prices are tokenOut per tokenIn; fee rate and impact compound across hops
+ */
+function findBestRoute({ pools, tokenIn, tokenOut, amountIn, slippageBps = 100, maxHops = DEFAULT_MAX_HOPS }) {
+  if (tokenIn === tokenOut) throw new Error('tokenIn and tokenOut are the same');
+
+  const paths = findPaths(buildGraph(pools), tokenIn, tokenOut, maxHops);
+  let best = null;
+
+  for (const path of paths) {
+    const route = quotePath(path, amountIn, slippageBps);
+    if (route && (!best || route.amountOut > best.amountOut)) best = route;
+  }
+
+  if (!best) {
+    throw new Error(`No route from ${tokenIn} to ${tokenOut} within ${maxHops} hops`);
+  }
+
+  best.routesConsidered = paths.length;
+  return best;
+}
+
+/**
+ * Execute a quoted route as a sequence of swaps
+ * @param {object} params
+ *   hops        - route.hops from findBestRoute
+ *   userAddress - trading wallet
+ *   outputs     - extra outputs for the first hop's transaction, e.g. the
+ *                 platform fee ([{ receiverAddress, tokenId, amount }])
+ *   loadPools   - async () → current pools (each hop is re-quoted before sending)
+ *   submit      - async (payload) → RadFi transaction response
+ * @returns {object} { status: 'completed'|'failed', hops, amountOut, stoppedAt, error }
+ *   A route that fails after the first hop leaves the intermediate token in the wallet
+ */
+async function executeRoute({ hops, userAddress, outputs = [], loadPools, submit }) {
+  const executed = [];
+  let amountIn = hops[0].amountIn;
+
+  for (let i = 0; i < hops.length; i++) {
+    const hop = hops[i];
+
+    try {
+      const pool = (await loadPools()).find(p => p._id === hop.poolId);
+      if (!pool) throw new Error(`Pool ${hop.poolId} not found`);
+
+      // Later hops spend what the previous hop actually returned
+      const minAmountOut = Math.floor(hop.minAmountOut * amountIn / hop.amountIn);
+      const quote = quoteSwap({ pool, tokenIn: hop.tokenIn, amountIn, slippageBps: hop.slippageBps });
+      if (quote.amountOut < minAmountOut) {
+        throw new Error(`Price moved: hop ${i + 1} would return ${quote.amountOut} < minimum ${minAmountOut}`);
+      }
+
+      const result = await submit({
+        type: 'swap',
+        params: {
+          userAddress,
+          poolId: hop.poolId,
+          amountIn: String(Math.floor(amountIn)),
+          amountOut: String(quote.amountOut),
+          tokenIn: hop.tokenIn,
+          tokenOut: hop.tokenOut,
+          slippage: Math.max(1, Math.floor(10000 * (1 - minAmountOut / quote.amountOut))),
+          ...(i === 0 && outputs.length > 0 && { outputs })
+        }
+      });
+
+      if (result?.success === false) throw new Error(result.error || 'Swap rejected');
+
+      // RadFi reports the filled amount; if not, only the minimum is certain
+      const reported = parseFloat(result?.data?.amountOut ?? result?.amountOut);
+      const amountOut = Number.isFinite(reported) ? reported : minAmountOut;
+      if (amountOut < minAmountOut) {
+        throw new Error(`Hop ${i + 1} filled ${amountOut} < minimum ${minAmountOut}`);
+      }
+
+      executed.push({
+        ...hop,
+        amountIn,
+        amountOut,
+        minAmountOut,
+        estimated: !Number.isFinite(reported),
+        txId: result?.txId || result?.data?.txId || null
+      });
+      amountIn = amountOut;
+    } catch (error) {
+      console.error(`[Router] Hop ${i + 1}/${hops.length} failed:`, error.message);
+      return {
+        status: 'failed',
+        hops: executed,
+        amountOut: executed.length > 0 ? executed[executed.length - 1].amountOut : 0,
+        heldToken: executed.length > 0 ? hop.tokenIn : null,
+        stoppedAt: i,
+        error: error.message
+      };
+    }
+  }
+
+  return {
+    status: 'completed',
+    hops: executed,
+    amountOut: amountIn,
+    stoppedAt: null,
+    error: null
+  };
+}
+
+module.exports = {
+  buildGraph,
+  findPaths,
+  quotePath,
+  findBestRoute,
+  executeRoute
+};
@@ -0,0 +1,459 @@
+/**
+ * State Store
+ *
+ * Durable storage for bot and position state, replacing the per-file JSON
+ * snapshots in data/mm. Everything lives in one append-only log
+ * (data/mm/state.jsonl, override with STATE_STORE_PATH; MM_DATA_DIR moves
+ * the whole data directory):
+ *
+ *   {"seq":12,"ts":1760000000000,"ops":[{"op":"put","c":"volumeBots","k":"bc1p…:RAD","v":{…}}],"checksum":"…"}
+ *
+ * - Transactions: every record is one transaction; its ops apply all or nothing
+ * - Crash safety: each record carries a checksum, a torn or corrupt tail is
+ *   cut off on open (the damaged file is kept as state.jsonl.corrupt-<ts>)
+ * - Schema versioning: MIGRATIONS run once, in order, on open
+ * - Compaction: live values are rewritten to a temp file, fsynced and renamed
+ *   over the log once it holds too many superseded records
+ * - Queries: in-memory indexes by userAddress, ticker and poolId, ranged and
+ *   ordered by time
+ *
+ * Collections:
+ *   volumeBots     `${userAddress}:${ticker}` → VolumeBot state
+ *   userPositions  userAddress → orchestrator user position
+ *   credentials    userAddress → encrypted RadFi tokens (./credential-vault.js)
+ *   withdrawals    withdrawalId → withdrawal progress (./withdrawal.js)
+ *
+ * Candles live in their own log (candleStore: data/mm/candles.jsonl, override
+ * with CANDLE_STORE_PATH) so chart history never grows, slows or compacts the
+ * bot-state log. They are rebuilt from swap history, so that log skips fsync:
+ *   candles        `${poolId}:${minute}` → 1m OHLCV candle (./candles.js)
+ *   candleSync     poolId → swap history ingestion cursor (./candles.js)
+ *
+ * Append-only history lives in a third log (historyStore: data/mm/history.jsonl,
+ * override with HISTORY_STORE_PATH): its records are never superseded, so in
+ * the bot-state log they would only grow it and every compaction. It is
+ * fsynced like bot state (the ledger can't be rebuilt):
+ *   ledger         `${userAddress}:${id}` → accounting entry (./ledger.js)
+ *   btcPrices      timestamp → BTC/USD snapshot (./btc-price.js)
+ *   dailyStats     `${userAddress}:${ticker}:${day}` → daily rollup (./daily-stats.js)
+ *   priceTrips     `${poolId}:${timestamp}` → breaker trip / recovery (./price-guard.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = process.env.MM_DATA_DIR || path.join(__dirname, '../data/mm');
+const DEFAULT_PATH = process.env.STATE_STORE_PATH || path.join(DATA_DIR, 'state.jsonl');
+const CANDLE_PATH = process.env.CANDLE_STORE_PATH || path.join(DATA_DIR, 'candles.jsonl');
+const HISTORY_PATH = process.env.HISTORY_STORE_PATH || path.join(DATA_DIR, 'history.jsonl');
+
+const COLLECTIONS = {
+  VOLUME_BOTS: 'volumeBots',
+  USER_POSITIONS: 'userPositions',
+  CREDENTIALS: 'credentials',
+  WITHDRAWALS: 'withdrawals',
+  CANDLES: 'candles',
+  CANDLE_SYNC: 'candleSync',
+  PRICE_TRIPS: 'priceTrips',
+  BTC_PRICES: 'btcPrices',
+  DAILY_STATS: 'dailyStats',
+  LEDGER: 'ledger'
+};
+
+const HISTORY_COLLECTIONS = [
+  COLLECTIONS.LEDGER,
+  COLLECTIONS.BTC_PRICES,
+  COLLECTIONS.DAILY_STATS,
+  COLLECTIONS.PRICE_TRIPS
+];
+
+const META = '_meta';
+
+/**
+ * Schema migrations, applied in order inside one transaction each.
+ * up(tx, store) may read and write through tx.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Import legacy data/mm/*.json snapshots',
+    up(tx, store) {
+      if (!fs.existsSync(store.legacyDir)) return;
+
+      for (const file of fs.readdirSync(store.legacyDir)) {
+        if (!file.endsWith('.json')) continue;
+
+        let state;
+        try {
+          state = JSON.parse(fs.readFileSync(path.join(store.legacyDir, file), 'utf8'));
+        } catch (error) {
+          console.warn(`[StateStore] Skipping unreadable legacy file ${file}: ${error.message}`);
+          continue;
+        }
+
+        if (state.ticker && state.inventory) {
+          // VolumeBot snapshot: <user>_<ticker>.json
+          tx.put(COLLECTIONS.VOLUME_BOTS, `${state.userAddress}:${state.ticker}`, state);
+        } else if (state.userAddress && state.allocations) {
+          // Orchestrator position: <user>.json
+          tx.put(COLLECTIONS.USER_POSITIONS, state.userAddress, state);
+        }
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'Move candles to the candle store',
+    up(tx, store) {
+      // Dropped, not copied: the candle store re-ingests them from swap history
+      for (const collection of [COLLECTIONS.CANDLES, COLLECTIONS.CANDLE_SYNC]) {
+        for (const key of store.data.get(collection)?.keys() || []) {
+          tx.delete(collection, key);
+        }
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'Move ledger, BTC prices, daily stats and price trips to the history store',
+    up(tx, store) {
+      // Copied before they are deleted here: if this transaction never lands,
+      // the migration reruns and the copy just rewrites the same keys
+      historyStore.transaction(history => {
+        for (const collection of HISTORY_COLLECTIONS) {
+          for (const [key, entry] of store.data.get(collection) || []) {
+            history.put(collection, key, entry.value);
+          }
+        }
+      });
+
+      for (const collection of HISTORY_COLLECTIONS) {
+        for (const key of store.data.get(collection)?.keys() || []) {
+          tx.delete(collection, key);
+        }
+      }
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function checksum(record) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ seq: record.seq, ts: record.ts, ops: record.ops }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+class StateStore {
+  constructor({ filePath = DEFAULT_PATH, legacyDir = DATA_DIR, compactThreshold = 5000, fsync = true, migrations = MIGRATIONS } = {}) {
+    this.filePath = filePath;
+    this.legacyDir = legacyDir;
+    this.compactThreshold = compactThreshold; // superseded records before auto-compaction
+    this.fsync = fsync;
+    this.migrations = migrations;
+
+    this.opened = false;
+    this.fd = null;
+    this.seq = 0;
+    this.records = 0;        // records in the log file
+    this.data = new Map();   // collection → Map(key → { value, updatedAt })
+    this.indexes = new Map(); // collection → { byUser, byTicker, byPool }
+  }
+
+  // ============ LIFECYCLE ============
+
+  /**
+   * Replay the log into memory and run pending migrations (idempotent)
+   */
+  open() {
+    if (this.opened) return this;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.replay();
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.opened = true;
+
+    this.migrate();
+
+    if (this.records - this.liveCount() > this.compactThreshold) {
+      this.compact();
+    }
+
+    return this;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+    this.opened = false;
+  }
+
+  replay() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    let offset = 0;
+
+    while (offset < content.length) {
+      const end = content.indexOf('\n', offset);
+      const line = end === -1 ? content.slice(offset) : content.slice(offset, end);
+
+      let record = null;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        record = null;
+      }
+
+      // A missing newline, bad JSON or bad checksum means a torn write: stop here
+      if (end === -1 || !record || record.checksum !== checksum(record)) {
+        this.truncateAt(content, offset);
+        break;
+      }
+
+      for (const op of record.ops) this.applyOp(op, record.ts);
+      this.seq = record.seq;
+      this.records++;
+      offset = end + 1;
+    }
+  }
+
+  truncateAt(content, offset) {
+    const byteOffset = Buffer.byteLength(content.slice(0, offset));
+    const backup = `${this.filePath}.corrupt-${Date.now()}`;
+
+    fs.copyFileSync(this.filePath, backup);
+    fs.truncateSync(this.filePath, byteOffset);
+
+    console.warn(`[StateStore] ⚠️ Truncated torn log tail at byte ${byteOffset} (backup: ${path.basename(backup)})`);
+  }
+
+  migrate() {
+    const current = this.get(META, 'schema')?.version || 0;
+
+    for (const migration of this.migrations) {
+      if (migration.version <= current) continue;
+
+      this.transaction(tx => {
+        migration.up(tx, this);
+        tx.put(META, 'schema', { version: migration.version, migratedAt: Date.now() });
+      });
+
+      console.log(`[StateStore] Migrated to schema v${migration.version}: ${migration.name}`);
+    }
+  }
+
+  // ============ READS ============
+  // Reads return copies: callers can't change stored state without a write
+
+  get(collection, key) {
+    this.open();
+    const entry = this.data.get(collection)?.get(key);
+    return entry ? structuredClone(entry.value) : null;
+  }
+
+  list(collection) {
+    this.open();
+    return [...(this.data.get(collection)?.values() || [])].map(e => structuredClone(e.value));
+  }
+
+  /**
+   * Indexed query
+   * @param {object} filter - { userAddress, ticker, poolId, from, to, limit, order: 'asc'|'desc' }
+   *   from/to filter on the value's timestamp (or its last write time)
+   */
+  query(collection, { userAddress, ticker, poolId, from, to, limit, order = 'asc' } = {}) {
+    this.open();
+    const entries = this.data.get(collection);
+    if (!entries) return [];
+
+    const index = this.indexes.get(collection);
+    let keys = null;
+
+    if (userAddress) keys = new Set(index.byUser.get(userAddress) || []);
+    if (ticker) {
+      const tickerKeys = index.byTicker.get(ticker) || new Set();
+      keys = keys ? new Set([...keys].filter(k => tickerKeys.has(k))) : new Set(tickerKeys);
+    }
+    if (poolId) {
+      const poolKeys = index.byPool.get(poolId) || new Set();
+      keys = keys ? new Set([...keys].filter(k => poolKeys.has(k))) : new Set(poolKeys);
+    }
+
+    let results = [...(keys || entries.keys())]
+      .map(key => ({ key, time: this.timeOf(entries.get(key)), value: entries.get(key).value }))
+      .filter(r => (from === undefined || r.time >= from) && (to === undefined || r.time <= to));
+
+    results.sort((a, b) => order === 'desc' ? b.time - a.time : a.time - b.time);
+    if (limit) results = results.slice(0, limit);
+
+    return results.map(r => structuredClone(r.value));
+  }
+
+  timeOf(entry) {
+    return entry.value?.timestamp ?? entry.value?.ts ?? entry.updatedAt;
+  }
+
+  liveCount() {
+    let count = 0;
+    for (const entries of this.data.values()) count += entries.size;
+    return count;
+  }
+
+  // ============ WRITES ============
+
+  put(collection, key, value) {
+    return this.transaction(tx => tx.put(collection, key, value));
+  }
+
+  delete(collection, key) {
+    return this.transaction(tx => tx.delete(collection, key));
+  }
+
+  /**
+   * Run fn(tx) and commit its writes as one record.
+   * tx.get sees the transaction's own writes. If fn throws nothing is written.
+   * fn must be synchronous so no other write can interleave.
+   */
+  transaction(fn) {
+    this.open();
+
+    const ops = [];
+    const pending = new Map(); // `${collection}\0${key}` → value | undefined (deleted)
+
+    const tx = {
+      get: (collection, key) => {
+        const id = `${collection}\0${key}`;
+        return pending.has(id) ? (pending.get(id) ?? null) : this.get(collection, key);
+      },
+      put: (collection, key, value) => {
+        // Snapshot the value so later mutation by the caller can't leak in
+        const v = JSON.parse(JSON.stringify(value));
+        pending.set(`${collection}\0${key}`, v);
+        ops.push({ op: 'put', c: collection, k: key, v });
+      },
+      delete: (collection, key) => {
+        pending.set(`${collection}\0${key}`, undefined);
+        ops.push({ op: 'del', c: collection, k: key });
+      }
+    };
+
+    const result = fn(tx);
+    if (result && typeof result.then === 'function') {
+      throw new Error('StateStore.transaction callback must be synchronous');
+    }
+    if (ops.length === 0) return result;
+
+    const record = { seq: this.seq + 1, ts: Date.now(), ops };
+    record.checksum = checksum(record);
+
+    // Write first, then apply: memory never runs ahead of the log
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    if (this.fsync) fs.fsyncSync(this.fd);
+
+    this.seq = record.seq;
+    this.records++;
+    for (const op of ops) this.applyOp(op, record.ts);
+
+    if (this.records - this.liveCount() > this.compactThreshold) {
+      this.compact();
+    }
+
+    return result;
+  }
+
+  applyOp(op, ts) {
+    if (!this.data.has(op.c)) {
+      this.data.set(op.c, new Map());
+      this.indexes.set(op.c, { byUser: new Map(), byTicker: new Map(), byPool: new Map() });
+    }
+    const entries = this.data.get(op.c);
+
+    const previous = entries.get(op.k);
+    if (previous) this.unindex(op.c, op.k, previous.value);
+
+    if (op.op === 'del') {
+      entries.delete(op.k);
+      return;
+    }
+
+    entries.set(op.k, { value: op.v, updatedAt: ts });
+    this.index(op.c, op.k, op.v);
+  }
+
+  index(collection, key, value) {
+    const { byUser, byTicker, byPool } = this.indexes.get(collection);
+    const ticker = value?.ticker || value?.tokenConfig?.ticker;
+
+    if (value?.userAddress) {
+      if (!byUser.has(value.userAddress)) byUser.set(value.userAddress, new Set());
+      byUser.get(value.userAddress).add(key);
+    }
+    if (ticker) {
+      if (!byTicker.has(ticker)) byTicker.set(ticker, new Set());
+      byTicker.get(ticker).add(key);
+    }
+    if (value?.poolId) {
+      if (!byPool.has(value.poolId)) byPool.set(value.poolId, new Set());
+      byPool.get(value.poolId).add(key);
+    }
+  }
+
+  unindex(collection, key, value) {
+    const { byUser, byTicker, byPool } = this.indexes.get(collection);
+    byUser.get(value?.userAddress)?.delete(key);
+    byTicker.get(value?.ticker || value?.tokenConfig?.ticker)?.delete(key);
+    byPool.get(value?.poolId)?.delete(key);
+  }
+
+  // ============ COMPACTION ============
+
+  /**
+   * Rewrite the log with one record per live value.
+   * Written to a temp file, fsynced, then renamed over the log, so a crash
+   * at any point leaves either the old or the new log intact.
+   */
+  compact() {
+    const tmpPath = `${this.filePath}.compact`;
+    const fd = fs.openSync(tmpPath, 'w');
+    let seq = 0;
+
+    for (const [collection, entries] of this.data) {
+      for (const [key, entry] of entries) {
+        const record = { seq: ++seq, ts: entry.updatedAt, ops: [{ op: 'put', c: collection, k: key, v: entry.value }] };
+        record.checksum = checksum(record);
+        fs.writeSync(fd, JSON.stringify(record) + '\n');
+      }
+    }
+
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+
+    if (this.fd !== null) fs.closeSync(this.fd);
+    fs.renameSync(tmpPath, this.filePath);
+    this.fd = fs.openSync(this.filePath, 'a');
+
+    console.log(`[StateStore] Compacted ${this.records} records → ${seq}`);
+    this.seq = seq;
+    this.records = seq;
+  }
+}
+
+// Shared instances: one log each per process
+const stateStore = new StateStore();
+const candleStore = new StateStore({ filePath: CANDLE_PATH, legacyDir: null, fsync: false, migrations: [] });
+const historyStore = new StateStore({ filePath: HISTORY_PATH, legacyDir: null, migrations: [] });
+
+module.exports = {
+  StateStore,
+  stateStore,
+  candleStore,
+  historyStore,
+  COLLECTIONS,
+  SCHEMA_VERSION
+};
@@ -0,0 +1,216 @@
+/**
+ * Self-Trade Guard
+ *
+ * Pre-trade check shared by every bot order path (VolumeBot, MarketMaker,
+ * VolumeTrader and the backend/strategies classes).
+ *
+ * Two things are blocked for a trading address, or a linked set of addresses:
+ * - SELF_MATCH: an order that would cross liquidity we already rest in the
+ *   same pool (our bid vs our own ask range, or a swap through our own range)
+ * - ROUND_TRIP: a market buy followed by a market sell of the same token
+ *   (or vice versa) inside MM_CONFIG.roundTripWindowMs
+ *
+ * Every blocked attempt is recorded via logTrade in data/mm/trade-log.jsonl,
+ * so the audit trail shows the bots never trade against themselves.
+ */
+
+const { MM_CONFIG } = require('./production-config');
+const { logTrade } = require('./trade-log');
+
+const SIDES = {
+  bid: 'buy',
+  buy: 'buy',
+  ask: 'sell',
+  sell: 'sell'
+};
+
+class SelfTradeGuard {
+  constructor({ roundTripWindowMs = MM_CONFIG.roundTripWindowMs, logger = logTrade } = {}) {
+    this.roundTripWindowMs = roundTripWindowMs;
+    this.logger = logger;
+
+    this.groups = new Map();        // address → Set of linked addresses (shared instance)
+    this.restingOrders = new Map(); // orderId → resting order
+    this.executions = [];           // recent market executions (pruned to the window)
+    this.blocked = [];              // recent blocked attempts (last 100)
+  }
+
+  /**
+   * Link addresses that belong to the same owner
+   * (e.g. wallet address + RadFi trading address).
+   * Orders from any address in the group are checked against each other.
+   */
+  linkAddresses(...addresses) {
+    const merged = new Set();
+
+    for (const address of addresses.filter(Boolean)) {
+      const group = this.groups.get(address);
+      if (group) {
+        group.forEach(a => merged.add(a));
+      } else {
+        merged.add(address);
+      }
+    }
+
+    for (const address of merged) {
+      this.groups.set(address, merged);
+    }
+
+    return [...merged];
+  }
+
+  getLinkedAddresses(address) {
+    return this.groups.get(address) || new Set([address]);
+  }
+
+  isSameOwner(a, b) {
+    return a === b || this.getLinkedAddresses(a).has(b);
+  }
+
+  /**
+   * Register a resting order (narrow-range liquidity position)
+   * @param {object} order - { id, userAddress, poolId, side, lowerPrice, upperPrice, source }
+   */
+  registerOrder(order) {
+    this.restingOrders.set(order.id, {
+      ...order,
+      side: SIDES[order.side],
+      registeredAt: Date.now()
+    });
+  }
+
+  removeOrder(orderId) {
+    this.restingOrders.delete(orderId);
+  }
+
+  /**
+   * Remove every resting order for an address (optionally only one bot source)
+   */
+  removeOrdersFor(userAddress, source = null) {
+    for (const [id, order] of this.restingOrders) {
+      if (order.userAddress === userAddress && (!source || order.source === source)) {
+        this.restingOrders.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Check an order before it is sent
+   *
+   * Market orders pass `price` (expected worst execution price).
+   * Limit orders (liquidity ranges) pass `lowerPrice` / `upperPrice`.
+   *
+   * @returns {object} { allowed: true } or { allowed: false, reason, conflict }
+   */
+  checkOrder({ userAddress, poolId, side, type = 'market', price, lowerPrice, upperPrice, size, source, timestamp = Date.now() }) {
+    const orderSide = SIDES[side];
+    if (!orderSide) {
+      throw new Error(`Unknown order side: ${side}`);
+    }
+
+    // Price bounds the order can trade through
+    const low = lowerPrice ?? price;
+    const high = upperPrice ?? price;
+
+    // 1. Self-match against our own resting liquidity
+    for (const resting of this.restingOrders.values()) {
+      if (resting.poolId !== poolId || resting.side === orderSide) continue;
+      if (!this.isSameOwner(resting.userAddress, userAddress)) continue;
+
+      // A buy trades up through asks resting below its max price,
+      // a sell trades down through bids resting above its min price
+      const crosses = orderSide === 'buy'
+        ? resting.lowerPrice < high
+        : resting.upperPrice > low;
+
+      if (crosses) {
+        return this.block('SELF_MATCH', { userAddress, poolId, side: orderSide, type, price, lowerPrice, upperPrice, size, source }, {
+          orderId: resting.id,
+          userAddress: resting.userAddress,
+          side: resting.side,
+          lowerPrice: resting.lowerPrice,
+          upperPrice: resting.upperPrice,
+          source: resting.source
+        });
+      }
+    }
+
+    // 2. Round trip: opposite market execution inside the window
+    if (type === 'market') {
+      this.pruneExecutions(timestamp);
+
+      const previous = this.executions.find(e =>
+        e.poolId === poolId &&
+        e.side !== orderSide &&
+        this.isSameOwner(e.userAddress, userAddress)
+      );
+
+      if (previous) {
+        return this.block('ROUND_TRIP', { userAddress, poolId, side: orderSide, type, price, size, source }, {
+          userAddress: previous.userAddress,
+          side: previous.side,
+          price: previous.price,
+          size: previous.size,
+          source: previous.source,
+          secondsAgo: Math.round((timestamp - previous.timestamp) / 1000)
+        });
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Record an executed market order (used for round-trip detection)
+   */
+  recordExecution({ userAddress, poolId, side, price, size, source, timestamp = Date.now() }) {
+    this.executions.push({
+      userAddress,
+      poolId,
+      side: SIDES[side],
+      price,
+      size,
+      source,
+      timestamp
+    });
+    this.pruneExecutions(timestamp);
+  }
+
+  pruneExecutions(now = Date.now()) {
+    this.executions = this.executions.filter(e => now - e.timestamp < this.roundTripWindowMs);
+  }
+
+  block(reason, order, conflict) {
+    const entry = {
+      action: 'SELF_TRADE_BLOCKED',
+      reason,
+      ...order,
+      linkedAddresses: [...this.getLinkedAddresses(order.userAddress)],
+      conflict
+    };
+
+    this.blocked.push({ ...entry, blockedAt: Date.now() });
+    if (this.blocked.length > 100) this.blocked.shift();
+
+    if (this.logger) {
+      this.logger(entry);
+    }
+
+    console.warn(`[TradeGuard] ⛔ ${reason}: ${order.side} on ${order.poolId} for ${order.userAddress} (${order.source || 'unknown'})`);
+
+    return { allowed: false, reason, conflict };
+  }
+
+  getBlocked(userAddress = null) {
+    if (!userAddress) return this.blocked;
+    return this.blocked.filter(b => this.isSameOwner(b.userAddress, userAddress));
+  }
+}
+
+// Shared instance: every bot in the process checks against the same book
+const tradeGuard = new SelfTradeGuard();
+
+module.exports = {
+  SelfTradeGuard,
+  tradeGuard
+};
@@ -0,0 +1,33 @@
+/**
+ * Trade Log
+ *
+ * Platform-wide audit trail in data/mm/trade-log.jsonl (MM_DATA_DIR moves
+ * the data directory).
+ * Shared by the backend routes and the bot engines so every
+ * deposit, bot lifecycle event and blocked order lands in one file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TRADE_LOG_PATH = path.join(process.env.MM_DATA_DIR || path.join(__dirname, '../data/mm'), 'trade-log.jsonl');
+
+function logTrade(entry) {
+  const logEntry = {
+    timestamp: new Date().toISOString(),
+    ...entry
+  };
+  console.log('[TRADE LOG]', JSON.stringify(logEntry));
+
+  // Append to file
+  try {
+    fs.appendFileSync(TRADE_LOG_PATH, JSON.stringify(logEntry) + '\n');
+  } catch (e) {
+    console.error('[TRADE LOG] Write error:', e.message);
+  }
+}
+
+module.exports = {
+  logTrade,
+  TRADE_LOG_PATH
+};
@@ -7,7 +7,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 
-const LOG_DIR = path.join(__dirname, '../data/mm/logs');
+const LOG_DIR = path.join(process.env.MM_DATA_DIR || path.join(__dirname, '../data/mm'), 'logs');
 
 class TradeTracker {
   constructor(userAddress) {
@@ -39,6 +39,7 @@ class TradeTracker {
       WARNING: '\x1b[33m',    // Yellow
       INFO: '\x1b[37m',       // White
       SUCCESS: '\x1b[32m',    // Green
+      RISK: '\x1b[35m',       // Magenta
     };
     const reset = '\x1b[0m';
     const color = colors[type] || colors.INFO;
@@ -84,6 +85,10 @@ class TradeTracker {
     });
   }
 
+  async logRiskAction(action, details) {
+    await this.log('RISK', { action, ...details });
+  }
+
   async logWarning(message, context = {}) {
     await this.log('WARNING', { message, ...context });
   }
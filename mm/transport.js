@@ -0,0 +1,90 @@
+/**
+ * RadFi Transport
+ *
+ * One injectable layer between our code and RadFi. RadFiAPI, the backend
+ * proxy (fetchRadFi) and BaseStrategy.getMarketData all send requests through
+ * a transport instead of hardcoding https://api.radfi.co.
+ *
+ * A transport exposes request(endpoint, { method, headers, body }) and returns
+ * a fetch-style response ({ ok, status, statusText, json(), text() }).
+ *
+ * - HttpTransport: the real RadFi API (default)
+ * - MockRadFi (./mock-radfi.js): in-process simulated exchange, no network
+ *
+ * Selection:
+ *   RADFI_TRANSPORT=mock      → bundled mock exchange
+ *   RADFI_API_BASE=https://…  → alternate HTTP base URL
+ */
+
+const RADFI_API_BASE = process.env.RADFI_API_BASE || 'https://api.radfi.co';
+
+// PRODUCTION RadFi API - requires Origin/Referer headers
+const HEADERS = {
+  'Accept': 'application/json, text/plain, */*',
+  'Content-Type': 'application/json',
+  'Origin': 'https://app.radfi.co',
+  'Referer': 'https://app.radfi.co/',
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+};
+
+class HttpTransport {
+  constructor({ baseUrl = RADFI_API_BASE, fetchImpl = globalThis.fetch } = {}) {
+    this.name = 'http';
+    this.baseUrl = baseUrl;
+    this.fetchImpl = fetchImpl;
+  }
+
+  async request(endpoint, options = {}) {
+    const { body, headers, ...rest } = options;
+
+    return this.fetchImpl(`${this.baseUrl}${endpoint}`, {
+      ...rest,
+      headers: { ...HEADERS, ...headers },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+  }
+}
+
+let defaultTransport = null;
+
+/**
+ * Build a transport by name ('http' or 'mock')
+ */
+function createTransport(kind = process.env.RADFI_TRANSPORT || 'http', options = {}) {
+  if (kind === 'mock') {
+    // Lazy require: the mock is only loaded when asked for
+    const { MockRadFi } = require('./mock-radfi');
+    return new MockRadFi(options);
+  }
+  if (kind === 'http') {
+    return new HttpTransport(options);
+  }
+  throw new Error(`Unknown RadFi transport: ${kind}`);
+}
+
+/**
+ * Process-wide transport (created on first use from the environment)
+ */
+function getTransport() {
+  if (!defaultTransport) {
+    defaultTransport = createTransport();
+  }
+  return defaultTransport;
+}
+
+/**
+ * Swap the process-wide transport (e.g. a MockRadFi instance in tests)
+ */
+function setTransport(transport) {
+  defaultTransport = transport;
+  return transport;
+}
+
+module.exports = {
+  HttpTransport,
+  HEADERS,
+  RADFI_API_BASE,
+  createTransport,
+  getTransport,
+  setTransport
+};
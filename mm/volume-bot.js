@@ -5,17 +5,26 @@
  * Now with REAL RadFi API integration and comprehensive tracking.
  * 
  * Strategy:
- * - Place liquidity at narrow ranges to capture trades
+ * - Place a ladder of narrow-range liquidity positions around mid to capture trades
  * - Execute ping-pong trades (reverse fills to generate volume)
  * - Maintain bullish inventory bias (55-60% token / 40-45% BTC)
  * - Profit from: token appreciation (primary) + pool fees + spread capture
  */
 
-const { TOKENS, MM_CONFIG } = require('./production-config');
+const { TOKENS, MM_CONFIG, POSITION_STATES } = require('./production-config');
 const RadFiAPI = require('./radfi-api');
+const { TickMath, FillMonitor } = require('./market-maker');
 const TradeTracker = require('./trade-tracker');
-const fs = require('fs').promises;
-const path = require('path');
+const { tradeGuard } = require('./trade-guard');
+const { stateStore, COLLECTIONS } = require('./state-store');
+const { credentialVault } = require('./credential-vault');
+const { btcPriceFeed } = require('./btc-price');
+const { dayKey, startDay, summarizeDay, saveDay } = require('./daily-stats');
+const { ledger } = require('./ledger');
+const { PnLEngine } = require('./pnl');
+const { priceGuard } = require('./price-guard');
+
+const SATS = 1e8;
 
 class VolumeBot {
   constructor(userAddress, tokenConfig, allocation, authToken = null, refreshToken = null, testMode = false) {
@@ -29,8 +38,17 @@ class VolumeBot {
     // Trade tracker for auditing
     this.tracker = new TradeTracker(userAddress);
     
-    // RadFi API client with tracker
+    // RadFi API client with tracker; rotated tokens go to the credential vault
     this.api = new RadFiAPI(authToken, refreshToken, this.tracker);
+    if (authToken) {
+      this.api.persistTo(credentialVault, userAddress);
+    }
+    
+    // Shared self-trade / wash-trade guard
+    this.guard = tradeGuard;
+    
+    // Replays pool swaps against the ladder ranges
+    this.fillMonitor = new FillMonitor(tokenConfig.poolId, this.api);
     
     // State
     this.inventory = {
@@ -51,18 +69,23 @@ class VolumeBot {
       lastVolumeReset: Date.now()
     };
     
+    // Lots and PnL attribution (mm/pnl.js); calculatePnL() copies it into metrics
+    this.pnl = new PnLEngine({ capital: allocation });
+    
     this.positions = [];     // Active LP positions (NFT IDs)
+    this.ladder = null;      // { mid, deployedAt, levels } of the deployed ladder
+    this.exposureScale = 1;  // Share of inventory the ladder deploys (trimmed by risk actions)
     this.pendingTx = [];     // Pending transactions
     this.startPrice = null;
-    this.currentPrice = null;
+    this.currentPrice = null; // BTC per token base unit (inventory, PnL and risk)
+    this.poolPrice = null;    // Sats per token base unit (ticks, ladder and fills)
     this.pool = null;
     
     this.running = false;
     this.paused = false;
+    this.restored = false;   // true once loadState() has restored saved state
     this.timer = null;
-    
-    // Data directory for persistence
-    this.dataDir = path.join(__dirname, '../data/mm');
+    this.riskEngine = null;  // Evaluates risk limits after every tick (set by the server)
   }
   
   setAuth(token) {
@@ -87,7 +110,7 @@ class VolumeBot {
     });
     
     console.log(`[VolumeBot] Starting for ${this.tokenConfig.ticker}, allocation: ${this.allocation} BTC`);
-    console.log(`[VolumeBot] Mode: ${this.testMode ? 'TEST (no real trades)' : this.authToken ? 'LIVE' : 'SIMULATED'}`);
+    console.log(`[VolumeBot] Mode: ${this.getMode().toUpperCase()}${this.testMode ? ' (no real trades)' : ''}`);
     
     this.running = true;
     
@@ -101,31 +124,66 @@ class VolumeBot {
         token1Id: this.pool?.token1Id
       });
       
-      // Get initial price
-      this.currentPrice = await this.api.getTokenPrice(this.tokenConfig.poolId);
-      this.startPrice = this.currentPrice;
-      
-      // Calculate initial token inventory based on current price
-      const targetTokenRatio = this.tokenConfig.inventoryTarget?.token || 0.55;
-      const btcForTokens = this.allocation * targetTokenRatio;
-      this.inventory.token = Math.floor(btcForTokens / this.currentPrice);
-      this.inventory.btc = this.allocation - btcForTokens;
-      
-      await this.tracker.logInfo('Inventory initialized', {
-        btc: this.inventory.btc,
-        token: this.inventory.token,
-        startPrice: this.startPrice,
-        targetTokenRatio
-      });
-      
-      console.log(`[VolumeBot] Initial inventory: ${this.inventory.btc.toFixed(8)} BTC, ${this.inventory.token} ${this.tokenConfig.ticker}`);
-      console.log(`[VolumeBot] Start price: $${this.currentPrice?.toFixed(8) || 'N/A'}`);
-      
-      // Place initial liquidity (skip if test mode)
-      if (!this.testMode) {
-        await this.deployLiquidity();
+      if (this.restored) {
+        // Restored from the state store: keep inventory, metrics and start price
+        await this.updateMarketData();
+        
+        await this.tracker.logInfo('Resuming from saved state', {
+          btc: this.inventory.btc,
+          token: this.inventory.token,
+          startPrice: this.startPrice,
+          currentPrice: this.currentPrice,
+          positions: this.positions.length
+        });
+        
+        console.log(`[VolumeBot] Resumed inventory: ${this.inventory.btc.toFixed(8)} BTC, ${this.inventory.token} ${this.tokenConfig.ticker}`);
       } else {
+        // Get initial price
+        this.startPrice = await this.readPrice();
+        
+        // Calculate initial token inventory based on current price
+        const targetTokenRatio = this.tokenConfig.inventoryTarget?.token || 0.55;
+        const btcForTokens = this.allocation * targetTokenRatio;
+        this.inventory.token = Math.floor(btcForTokens / this.currentPrice);
+        this.inventory.btc = this.allocation - btcForTokens;
+        
+        // A fresh bot is worth its allocation. Anything else means price and
+        // inventory units disagree, and the risk engine would act on it
+        const openingDrawdown = (this.inventory.btc + this.inventory.token * this.currentPrice - this.allocation) / this.allocation;
+        if (Math.abs(openingDrawdown) > MM_CONFIG.openingValueTolerance) {
+          throw new Error(`Opening inventory is worth ${(openingDrawdown * 100).toFixed(2)}% off the allocation (price ${this.currentPrice} BTC per base unit)`);
+        }
+        
+        await btcPriceFeed.get();
+        this.recordLedger({ kind: 'deposit', source: 'allocation', btcAmount: this.allocation });
+        this.recordFill({
+          kind: 'buy',
+          source: 'initial',
+          tokenAmount: this.inventory.token,
+          btcAmount: btcForTokens,
+          price: this.currentPrice
+        });
+        
+        await this.tracker.logInfo('Inventory initialized', {
+          btc: this.inventory.btc,
+          token: this.inventory.token,
+          startPrice: this.startPrice,
+          targetTokenRatio
+        });
+        
+        console.log(`[VolumeBot] Initial inventory: ${this.inventory.btc.toFixed(8)} BTC, ${this.inventory.token} ${this.tokenConfig.ticker}`);
+        console.log(`[VolumeBot] Start price: ${this.poolPrice} sats per base unit`);
+      }
+      
+      // Place initial liquidity (skip if test mode); a restored ladder stays
+      // in place unless price left the re-center band while we were down
+      if (this.testMode) {
         await this.tracker.logInfo('Skipping liquidity deployment (test mode)');
+      } else if (this.restored && this.positions.length > 0) {
+        await this.checkFillsAndReverse();
+        await this.checkLadderRecenter();
+      } else {
+        await this.deployLiquidity();
       }
       
       // Start update loop
@@ -182,6 +240,7 @@ class VolumeBot {
       );
       if (this.pool) {
         this.tokenConfig.poolId = this.pool._id;
+        this.fillMonitor.poolId = this.pool._id;
       }
     }
     
@@ -199,28 +258,51 @@ class VolumeBot {
       // Update market data
       await this.updateMarketData();
       
-      // Check for fills and execute ping-pong
+      // Check for fills and execute ping-pong. Runs first: the swaps since
+      // the last tick are replayed against the ladder they traded through,
+      // before a re-center or rebalance replaces it
       await this.checkFillsAndReverse();
       
+      // Re-center the ladder if price left the band
+      await this.checkLadderRecenter();
+      
       // Check inventory and rebalance if needed
       await this.checkAndRebalance();
       
-      // Reset 24h volume if needed
-      this.checkVolumeReset();
-      
-      // Calculate PnL
+      // Calculate PnL (before the rollover so the closing day sees this tick)
       this.calculatePnL();
       
+      // Roll the daily stats over at the day boundary
+      this.checkVolumeReset();
+      
       // Save state periodically
       await this.saveState();
       
+      // Enforce risk limits (may pause, rebalance or trim this bot)
+      if (this.riskEngine) await this.riskEngine.onTick(this);
+      
     } catch (error) {
       console.error(`[VolumeBot] Tick error:`, error.message);
     }
   }
   
+  /**
+   * Read the pool price. getTokenPrice quotes sats per token base unit, the
+   * unit TickMath, the ladder and the FillMonitor work in (poolPrice);
+   * currentPrice is the same price in BTC, which everything valued against
+   * the BTC allocation uses.
+   */
+  async readPrice() {
+    this.poolPrice = await this.api.getTokenPrice(this.tokenConfig.poolId);
+    this.currentPrice = this.poolPrice / SATS;
+    return this.currentPrice;
+  }
+  
   async updateMarketData() {
-    this.currentPrice = await this.api.getTokenPrice(this.tokenConfig.poolId);
+    await this.readPrice();
+    
+    // Current reserves for the risk engine's pool TVL check
+    this.pool = await this.api.getPool(this.tokenConfig.poolId) || this.pool;
     
     // Update token appreciation metric
     if (this.startPrice && this.currentPrice) {
@@ -228,82 +310,361 @@ class VolumeBot {
     }
   }
   
+  /**
+   * Deploy the liquidity ladder: narrow-range bid positions below mid and
+   * ask positions above it, MM_CONFIG.ladderSpacing apart (times
+   * MM_CONFIG.priceQuietSpreadFactor while the pool is quiet).
+   *
+   * Levels per side = tokenConfig.ladderLevels, capped so both sides fit in
+   * MM_CONFIG.maxActivePositions. Bid levels split the BTC balance and ask
+   * levels the token balance, each capped at maxOrderSizeBTC worth and scaled by
+   * exposureScale. Ranges come from TickMath.limitOrderRange and are kept
+   * strictly on their side of mid (bids all BTC, asks all token).
+   */
   async deployLiquidity() {
-    if (!this.authToken) {
-      console.log(`[VolumeBot] No auth token - liquidity deployment simulated`);
-      this.positions.push({
-        id: `sim_${Date.now()}`,
-        simulated: true,
-        btcAmount: this.inventory.btc,
-        tokenAmount: this.inventory.token,
-        price: this.currentPrice,
-        createdAt: Date.now()
-      });
+    const mid = this.poolPrice;
+    if (!mid) {
+      console.log(`[VolumeBot] No price - ladder not deployed`);
       return;
     }
     
+    const levels = this.buildLadder(mid);
+    
+    for (const level of levels) {
+      const check = this.guard.checkOrder({
+        userAddress: this.userAddress,
+        poolId: this.tokenConfig.poolId,
+        side: level.side,
+        type: 'limit',
+        lowerPrice: level.lowerPrice,
+        upperPrice: level.upperPrice,
+        size: level.btcAmount || level.tokenAmount * this.currentPrice,
+        source: 'VolumeBot.ladder'
+      });
+      
+      if (!check.allowed) {
+        await this.tracker.logWarning('Ladder level blocked by self-trade guard', { ...level, reason: check.reason });
+        continue;
+      }
+      
+      const position = await this.placeLadderLevel(level);
+      
+      this.guard.registerOrder({
+        id: position.id,
+        userAddress: this.userAddress,
+        poolId: this.tokenConfig.poolId,
+        side: level.side,
+        lowerPrice: level.lowerPrice,
+        upperPrice: level.upperPrice,
+        source: 'VolumeBot.ladder'
+      });
+      
+      this.positions.push(position);
+    }
+    
+    this.ladder = {
+      mid,
+      deployedAt: Date.now(),
+      levels: this.positions.length
+    };
+    
+    await this.tracker.logInfo('Ladder deployed', {
+      mid,
+      bids: this.positions.filter(p => p.side === 'bid').length,
+      asks: this.positions.filter(p => p.side === 'ask').length
+    });
+    
+    console.log(`[VolumeBot] Ladder deployed around ${mid}: ${this.positions.length} positions`);
+  }
+  
+  /**
+   * Compute ladder levels around a mid price
+   * @param {number} mid - Pool price (sats per token base unit)
+   * @returns {Array} [{ side, level, targetPrice, lowerTick, upperTick, lowerPrice, upperPrice, btcAmount, tokenAmount }]
+   */
+  buildLadder(mid) {
+    const tickSpacing = this.pool?.tickSpacing || 200;
+    const spacing = MM_CONFIG.ladderSpacing *
+      (priceGuard.isQuiet(this.tokenConfig.poolId) ? MM_CONFIG.priceQuietSpreadFactor : 1);
+    const perSide = Math.min(
+      this.tokenConfig.ladderLevels || 1,
+      Math.floor(MM_CONFIG.maxActivePositions / 2)
+    );
+    const maxOrder = this.tokenConfig.maxOrderSizeBTC || Infinity;
+    
+    const price = mid / SATS; // BTC per base unit
+    
+    const bidSize = Math.min(this.inventory.btc / perSide, maxOrder) * this.exposureScale;
+    const askTokens = Math.floor(Math.min(this.inventory.token / perSide, maxOrder / price) * this.exposureScale);
+    
+    const midTick = TickMath.priceToTick(mid);
+    const levels = [];
+    
+    for (const side of ['bid', 'ask']) {
+      if (side === 'bid' ? bidSize <= 0 : askTokens <= 0) continue;
+      
+      const used = new Set();
+      
+      for (let i = 1; i <= perSide; i++) {
+        const targetPrice = side === 'bid' ? mid * (1 - spacing * i) : mid * (1 + spacing * i);
+        let { lowerTick, upperTick } = TickMath.limitOrderRange(targetPrice, tickSpacing);
+        
+        // Keep the range strictly below (bids) or above (asks) mid, and one
+        // level per range: step outward when spacing is finer than the tick grid
+        const step = side === 'bid' ? -tickSpacing : tickSpacing;
+        while (
+          used.has(lowerTick) ||
+          (side === 'bid' && upperTick > midTick) ||
+          (side === 'ask' && lowerTick <= midTick)
+        ) {
+          lowerTick += step;
+          upperTick += step;
+        }
+        used.add(lowerTick);
+        
+        levels.push({
+          side,
+          level: i,
+          targetPrice,
+          lowerTick,
+          upperTick,
+          lowerPrice: TickMath.tickToPrice(lowerTick),
+          upperPrice: TickMath.tickToPrice(upperTick),
+          btcAmount: side === 'bid' ? bidSize : 0,
+          tokenAmount: side === 'ask' ? askTokens : 0
+        });
+      }
+    }
+    
+    return levels;
+  }
+  
+  async placeLadderLevel(level) {
+    const position = {
+      id: `sim_${Date.now()}_${level.side}${level.level}`,
+      simulated: true,
+      side: level.side,
+      level: level.level,
+      lowerTick: level.lowerTick,
+      upperTick: level.upperTick,
+      lowerPrice: level.lowerPrice,
+      upperPrice: level.upperPrice,
+      btcAmount: level.btcAmount,
+      tokenAmount: level.tokenAmount,
+      price: level.targetPrice,
+      targetPrice: level.targetPrice,
+      status: POSITION_STATES.OPEN,
+      filledFraction: 0,
+      createdAt: Date.now()
+    };
+    
+    if (!this.authToken) {
+      return position;
+    }
+    
     try {
-      // Deploy real liquidity via RadFi API
       const result = await this.api.provideLiquidity({
         userAddress: this.userAddress,
         poolId: this.tokenConfig.poolId,
         token0Id: this.pool.token0Id,
         token1Id: this.pool.token1Id,
-        amount0: Math.floor(this.inventory.btc * 1e8), // Convert to sats
-        amount1: this.inventory.token,
-        upperTick: this.pool.upperTick || '887200',
-        lowerTick: this.pool.lowerTick || '-887200',
+        amount0: Math.floor(level.btcAmount * 1e8), // Convert to sats
+        amount1: level.tokenAmount,
+        upperTick: level.upperTick.toString(),
+        lowerTick: level.lowerTick.toString(),
         feeRate: this.pool.fee || 3000,
         tickSpacing: this.pool.tickSpacing || 200,
         scVersion: this.pool.scVersion || 'v4'
       });
       
-      console.log(`[VolumeBot] Liquidity deployed:`, result);
-      
       if (result.nftId) {
-        this.positions.push({
-          id: result.nftId,
-          simulated: false,
-          btcAmount: this.inventory.btc,
-          tokenAmount: this.inventory.token,
-          price: this.currentPrice,
-          createdAt: Date.now(),
-          txData: result
-        });
+        position.id = result.nftId;
+        position.simulated = false;
+        position.txData = result;
       }
-      
     } catch (error) {
-      console.error(`[VolumeBot] Deploy liquidity error:`, error);
       // Fall back to simulated position
-      this.positions.push({
-        id: `sim_${Date.now()}`,
-        simulated: true,
-        btcAmount: this.inventory.btc,
-        tokenAmount: this.inventory.token,
-        price: this.currentPrice,
-        createdAt: Date.now(),
-        error: error.message
+      console.error(`[VolumeBot] Ladder ${level.side} ${level.level} error:`, error.message);
+      position.error = error.message;
+    }
+    
+    return position;
+  }
+  
+  /**
+   * Withdraw every ladder position and drop them from the guard
+   */
+  async withdrawLadder() {
+    const live = this.positions.filter(p => !p.simulated);
+    const onChain = live.length > 0 ? await this.api.getUserPositions(this.userAddress) : [];
+    
+    for (const position of [...this.positions]) {
+      await this.withdrawPosition(position, onChain);
+    }
+    this.positions = [];
+  }
+  
+  /**
+   * Withdraw one ladder range and drop it from the guard
+   *
+   * Inventory is reconciled to what the pool actually returned: the fill
+   * model only approximates a range's composition, so the difference from
+   * its expected holdings is booked and logged.
+   * @param {Array} onChain - getUserPositions() result, fetched if omitted
+   * @returns {object|null} Withdrawn {btc, token, expected}, or null if nothing came back
+   */
+  async withdrawPosition(position, onChain = null) {
+    this.guard.removeOrder(position.id);
+    this.positions = this.positions.filter(p => p !== position);
+    if (position.simulated) return null;
+    
+    if (!onChain) onChain = await this.api.getUserPositions(this.userAddress);
+    const nft = onChain.find(n => String(n.nftId) === String(position.id));
+    if (!nft) return null;
+    
+    let result;
+    try {
+      result = await this.api.withdrawLiquidity({
+        userAddress: this.userAddress,
+        nftId: position.id,
+        liquidityValue: nft.liquidityValue ?? nft.liquidity,
+        amount0: nft.amount0 || 0,
+        amount1: nft.amount1 || 0,
+        token0Id: this.pool.token0Id,
+        token1Id: this.pool.token1Id,
+        scVersion: this.pool.scVersion
+      });
+    } catch (error) {
+      await this.tracker.logError('Ladder withdraw', error, { nftId: position.id });
+      return null;
+    }
+    
+    const amounts = result?.data?.amount0 !== undefined ? result.data : nft;
+    const expected = VolumeBot.positionHoldings(position);
+    const withdrawn = {
+      btc: parseFloat(amounts.amount0 || 0) / SATS,
+      token: parseFloat(amounts.amount1 || 0),
+      expected,
+      txId: result?.txId || null
+    };
+    
+    const diff = { btc: withdrawn.btc - expected.btc, token: withdrawn.token - expected.token };
+    this.inventory.btc += diff.btc;
+    this.inventory.token += diff.token;
+    
+    if (Math.abs(diff.btc) >= 1e-8 || Math.abs(diff.token) >= 1) {
+      await this.tracker.logInfo('Ladder withdraw reconciled', {
+        nftId: position.id,
+        side: position.side,
+        expected,
+        withdrawn: { btc: withdrawn.btc, token: withdrawn.token },
+        diff
       });
     }
+    
+    return withdrawn;
+  }
+  
+  /**
+   * What a range holds by the fill model: its deposit less what has
+   * converted, plus the proceeds (BTC, token base units)
+   */
+  static positionHoldings(position) {
+    const btc = position.btcAmount || 0;
+    const token = position.tokenAmount || 0;
+    const filledBTC = position.filledBTC || 0;
+    const filledToken = position.filledToken || 0;
+    return position.side === 'bid'
+      ? { btc: btc - filledBTC, token: token + filledToken }
+      : { btc: btc + filledBTC, token: token - filledToken };
+  }
+  
+  /**
+   * Shrink the ladder to `scale` of inventory and redeploy it (risk action:
+   * TVL exposure). The rest of the inventory stays idle in the bot.
+   */
+  async reduceExposure(scale) {
+    const previous = this.exposureScale;
+    this.exposureScale = Math.max(0, Math.min(previous, scale));
+    
+    await this.tracker.logInfo('Reducing ladder exposure', {
+      ticker: this.tokenConfig.ticker,
+      from: previous,
+      to: this.exposureScale,
+      deployedValue: this.getDeployedValue()
+    });
+    
+    if (this.testMode || !this.currentPrice) return;
+    
+    await this.withdrawLadder();
+    await this.deployLiquidity();
+    await this.saveState();
+  }
+  
+  /**
+   * BTC value of the resting ladder
+   */
+  getDeployedValue() {
+    return this.positions
+      .filter(p => p.status === POSITION_STATES.OPEN || p.status === POSITION_STATES.PARTIAL)
+      .reduce((sum, p) => sum + (p.btcAmount || 0) + (p.tokenAmount || 0) * (this.currentPrice || 0), 0);
+  }
+  
+  /**
+   * Re-center the ladder once price drifts more than
+   * MM_CONFIG.ladderRecenterBand away from the mid it was built on
+   */
+  async checkLadderRecenter() {
+    if (this.testMode || !this.ladder || !this.poolPrice) return false;
+    
+    const drift = Math.abs(this.poolPrice - this.ladder.mid) / this.ladder.mid;
+    const band = this.tokenConfig.ladderRecenterBand || MM_CONFIG.ladderRecenterBand;
+    if (drift <= band) return false;
+    
+    await this.tracker.logInfo('Re-centering ladder', {
+      oldMid: this.ladder.mid,
+      newMid: this.poolPrice,
+      drift
+    });
+    
+    await this.withdrawLadder();
+    await this.deployLiquidity();
+    return true;
   }
   
   async checkFillsAndReverse() {
     if (!this.pool) return;
     
     try {
-      // Get recent swaps in this pool
-      const swaps = await this.api.getPoolSwaps(this.tokenConfig.poolId, 20);
+      // Every swap since the last check (FillMonitor keeps a minute of overlap)
+      const lastCheck = this.metrics.lastFillCheck || (Date.now() - 60000);
+      const swaps = await this.api.getPoolSwapsSince(
+        this.tokenConfig.poolId,
+        Math.min(lastCheck, this.fillMonitor.lastCheck) - 60000
+      );
       
       // Filter swaps since last check
-      const lastCheck = this.metrics.lastFillCheck || (Date.now() - 60000);
       const newSwaps = swaps.filter(s => (s.btcBlockTime * 1000) > lastCheck);
       
       this.metrics.lastFillCheck = Date.now();
       
+      // Ladder fills (partial / filled / expired)
+      const fills = this.fillMonitor.applySwaps(swaps, this.positions);
+      for (const fill of fills) {
+        await this.recordLadderFill(fill);
+      }
+      
+      // A filled range left in the pool would convert back if price returns
+      for (const position of this.positions.filter(p => p.status === POSITION_STATES.FILLED)) {
+        await this.withdrawPosition(position);
+      }
+      
+      const { priceUSD: btcPriceUSD } = await btcPriceFeed.get();
+      
       for (const swap of newSwaps) {
         // Calculate value
         const btcAmount = parseFloat(swap.token0Amount || swap.amount0) / 1e8;
-        const volumeUSD = btcAmount * 78600; // Approximate BTC price
+        const volumeUSD = btcAmount * btcPriceUSD;
         
         this.metrics.volumeGenerated += volumeUSD;
         this.metrics.volumeGenerated24h += volumeUSD;
@@ -313,11 +674,29 @@ class VolumeBot {
           timestamp: swap.btcBlockTime * 1000,
           txId: swap.txId,
           volumeUSD,
+          btcPriceUSD,
           btcAmount
         });
         
         // Execute ping-pong if enabled (50% reverse trade)
         if (this.tokenConfig.pingPongEnabled && this.authToken) {
+          const check = this.guard.checkOrder({
+            userAddress: this.userAddress,
+            poolId: this.tokenConfig.poolId,
+            side: this.getReverseSide(swap),
+            price: this.poolPrice,
+            size: btcAmount * (this.tokenConfig.reverseTradeRatio || 0.5),
+            source: 'VolumeBot.pingPong'
+          });
+          
+          if (!check.allowed) {
+            await this.tracker.logWarning('Ping-pong blocked by self-trade guard', {
+              txId: swap.txId,
+              reason: check.reason
+            });
+            continue;
+          }
+          
           // TODO: Execute reverse trade via swap API
           // For now, just track the volume
           console.log(`[VolumeBot] Would execute ping-pong for ${volumeUSD.toFixed(2)} USD`);
@@ -333,32 +712,280 @@ class VolumeBot {
     }
   }
   
-  async checkAndRebalance() {
-    if (!this.currentPrice) return;
+  /**
+   * Apply a ladder fill event from the FillMonitor to inventory
+   */
+  async recordLadderFill(fill) {
+    const position = fill.position;
+    
+    if (fill.status === POSITION_STATES.FILLED || fill.status === POSITION_STATES.EXPIRED) {
+      this.guard.removeOrder(position.id);
+    }
+    
+    if (!fill.deltaFraction) {
+      await this.tracker.logInfo(`Ladder position ${fill.status}`, { id: position.id, side: position.side, fillFraction: fill.fillFraction });
+      return;
+    }
+    
+    // Bids convert BTC → token as price falls through the range, asks the
+    // reverse (fill prices are pool prices, sats per base unit). A negative
+    // delta is the range converting back: the opposite trade.
+    const price = fill.price / SATS;
+    const btcAmount = position.side === 'bid'
+      ? position.btcAmount * fill.deltaFraction
+      : position.tokenAmount * fill.deltaFraction * price;
+    const tokenAmount = position.side === 'bid'
+      ? btcAmount / price
+      : position.tokenAmount * fill.deltaFraction;
+    
+    if (position.side === 'bid') {
+      this.inventory.btc -= btcAmount;
+      this.inventory.token += tokenAmount;
+    } else {
+      this.inventory.token -= tokenAmount;
+      this.inventory.btc += btcAmount;
+    }
+    position.filledBTC = (position.filledBTC || 0) + btcAmount;
+    position.filledToken = (position.filledToken || 0) + tokenAmount;
+    
+    const buying = (position.side === 'bid') === (fill.deltaFraction > 0);
+    this.recordFill({
+      kind: buying ? 'buy' : 'sell',
+      source: 'ladder',
+      tokenAmount: Math.abs(tokenAmount),
+      btcAmount: Math.abs(btcAmount),
+      price,
+      mid: this.currentPrice,
+      txId: fill.txId || null,
+      ref: position.id
+    });
+    
+    await this.tracker.logTrade('Ladder fill', {
+      id: position.id,
+      side: position.side,
+      level: position.level,
+      status: fill.status,
+      fillFraction: fill.fillFraction,
+      btcAmount,
+      tokenAmount,
+      price,
+      txId: fill.txId
+    });
+  }
+  
+  // Reverse of the taker's direction: a taker buying the token is answered with a sell
+  getReverseSide(swap) {
+    const tokenIn = swap.tokenIn || swap.tokenInId;
+    return tokenIn === '0:0' ? 'sell' : 'buy';
+  }
+  
+  /**
+   * Rebalance inventory back toward tokenConfig.inventoryTarget
+   *
+   * Triggers when the token ratio is more than MM_CONFIG.rebalanceThreshold off
+   * target, or beyond maxInventorySkew on either side. The swap is sized to close
+   * the gap, capped at maxOrderSizeBTC and by what we actually hold, and at most
+   * one rebalance runs per MM_CONFIG.rebalanceCooldownMs.
+   * In dry-run (or test) mode the swap is only reported.
+   *
+   * Sized in BTC at currentPrice (BTC per base unit): the swap sends sats for
+   * buys and token base units for sells. The guard sees the pool price.
+   *
+   * @param {boolean} force - Skip the cooldown (used by risk actions)
+   * @returns {object|null} The rebalance trade (executed or dry-run), or null
+   */
+  async checkAndRebalance({ force = false } = {}) {
+    if (!this.currentPrice) return null;
     
     const totalValueBTC = this.inventory.btc + (this.inventory.token * this.currentPrice);
+    if (totalValueBTC <= 0) return null;
+    
     const btcRatio = this.inventory.btc / totalValueBTC;
     const tokenRatio = (this.inventory.token * this.currentPrice) / totalValueBTC;
     
     const target = this.tokenConfig.inventoryTarget || { btc: 0.45, token: 0.55 };
-    const maxSkew = this.tokenConfig.maxInventorySkew || 0.60;
+    const maxSkew = this.tokenConfig.maxInventorySkew || MM_CONFIG.maxInventorySkew;
+    const deviation = tokenRatio - target.token;
     
-    // Check if we need to rebalance (>10% off target)
-    if (Math.abs(tokenRatio - target.token) > 0.10) {
-      console.log(`[VolumeBot] Rebalance needed: token=${(tokenRatio*100).toFixed(1)}% vs target=${(target.token*100).toFixed(1)}%`);
-      
-      // TODO: Execute rebalance trade
-      // For now just log
+    const offTarget = Math.abs(deviation) > MM_CONFIG.rebalanceThreshold;
+    const skewed = tokenRatio > maxSkew || btcRatio > maxSkew;
+    
+    if (!offTarget && !skewed) return null;
+    
+    console.log(`[VolumeBot] Rebalance needed: token=${(tokenRatio*100).toFixed(1)}% vs target=${(target.token*100).toFixed(1)}%`);
+    
+    const sinceLast = Date.now() - (this.metrics.lastRebalanceAt || 0);
+    if (!force && sinceLast < MM_CONFIG.rebalanceCooldownMs) {
+      return null;
+    }
+    
+    // Size the swap to close the gap, within per-order and inventory limits
+    const side = deviation > 0 ? 'sell' : 'buy';
+    const available = side === 'buy'
+      ? this.inventory.btc
+      : this.inventory.token * this.currentPrice;
+    const sizeBTC = Math.min(
+      Math.abs(deviation) * totalValueBTC,
+      this.tokenConfig.maxOrderSizeBTC || Infinity,
+      available
+    );
+    
+    if (sizeBTC <= 0) return null;
+    
+    const trade = {
+      kind: 'rebalance',
+      side,
+      sizeBTC,
+      tokenAmount: Math.floor(sizeBTC / this.currentPrice),
+      price: this.currentPrice,
+      fee: sizeBTC * MM_CONFIG.radfiFeeRate,
+      tokenRatioBefore: tokenRatio,
+      targetTokenRatio: target.token,
+      timestamp: Date.now()
+    };
+    if (trade.tokenAmount <= 0) return null;
+    
+    const order = {
+      userAddress: this.userAddress,
+      poolId: this.tokenConfig.poolId,
+      side,
+      price: this.poolPrice,
+      size: sizeBTC,
+      source: 'VolumeBot.rebalance'
+    };
+    
+    const check = this.guard.checkOrder(order);
+    if (!check.allowed) {
+      await this.tracker.logWarning('Rebalance blocked by self-trade guard', { ...trade, reason: check.reason });
+      return null;
+    }
+    
+    this.metrics.lastRebalanceAt = trade.timestamp;
+    
+    const dryRun = this.testMode || this.tokenConfig.rebalanceDryRun || MM_CONFIG.rebalanceDryRun;
+    if (dryRun) {
+      trade.dryRun = true;
+      this.metrics.lastRebalance = trade;
+      await this.tracker.logInfo('Rebalance (dry run)', trade);
+      return trade;
+    }
+    
+    if (this.authToken) {
+      try {
+        trade.txData = await this.api.swap({
+          userAddress: this.userAddress,
+          poolId: this.tokenConfig.poolId,
+          amountIn: side === 'buy' ? Math.floor(sizeBTC * 1e8) : trade.tokenAmount,
+          amountOut: side === 'buy'
+            ? Math.floor(trade.tokenAmount * (1 - MM_CONFIG.radfiFeeRate))
+            : Math.floor(sizeBTC * (1 - MM_CONFIG.radfiFeeRate) * 1e8),
+          tokenIn: side === 'buy' ? this.pool.token0Id : this.pool.token1Id,
+          tokenOut: side === 'buy' ? this.pool.token1Id : this.pool.token0Id
+        });
+      } catch (error) {
+        await this.tracker.logError('Rebalance swap', error, trade);
+        return null;
+      }
+    } else {
+      trade.simulated = true;
     }
+    
+    // Apply the fill to inventory (1% RadFi fee on the input side)
+    if (side === 'buy') {
+      this.inventory.btc -= sizeBTC;
+      this.inventory.token += Math.floor((sizeBTC - trade.fee) / this.currentPrice);
+    } else {
+      this.inventory.token -= trade.tokenAmount;
+      this.inventory.btc += sizeBTC - trade.fee;
+    }
+    
+    this.guard.recordExecution(order);
+    
+    const { priceUSD: btcPriceUSD } = await btcPriceFeed.get();
+    this.metrics.lastRebalance = trade;
+    this.metrics.trades.push({
+      timestamp: trade.timestamp,
+      txId: trade.txData?.txId,
+      kind: 'rebalance',
+      side,
+      price: this.currentPrice,
+      btcAmount: sizeBTC,
+      tokenAmount: trade.tokenAmount,
+      fee: trade.fee,
+      volumeUSD: sizeBTC * btcPriceUSD,
+      btcPriceUSD
+    });
+    
+    this.recordFill({
+      kind: side,
+      source: 'rebalance',
+      timestamp: trade.timestamp,
+      tokenAmount: side === 'buy' ? Math.floor((sizeBTC - trade.fee) / this.currentPrice) : trade.tokenAmount,
+      btcAmount: side === 'buy' ? sizeBTC : sizeBTC - trade.fee,
+      feeBTC: trade.fee,
+      price: this.currentPrice,
+      btcPriceUSD,
+      txId: trade.txData?.txId || null
+    });
+    
+    await this.tracker.logTrade('Rebalance', trade);
+    
+    return trade;
   }
   
+  /**
+   * A buy or sell: into the PnL engine at the mid price (entry.mid, default
+   * the fill price) and the ledger
+   */
+  recordFill({ mid, ...entry }) {
+    this.pnl.recordFill({
+      side: entry.kind,
+      tokenAmount: entry.tokenAmount,
+      btcAmount: entry.btcAmount,
+      feeBTC: entry.feeBTC || 0,
+      price: mid ?? entry.price,
+      timestamp: entry.timestamp
+    });
+    return this.recordLedger(entry);
+  }
+  
+  /**
+   * Accounting record for exports (mm/ledger.js); test-mode bots don't trade
+   */
+  recordLedger(entry) {
+    if (this.testMode) return null;
+    return ledger.record({
+      userAddress: this.userAddress,
+      ticker: this.tokenConfig.ticker,
+      mode: this.getMode(),
+      ...entry
+    });
+  }
+  
+  /**
+   * At the UTC day boundary: store the finished day's rollup (mm/daily-stats.js)
+   * and start counting the new day
+   */
   checkVolumeReset() {
     const now = Date.now();
-    const elapsed = now - this.metrics.lastVolumeReset;
     
-    if (elapsed >= 24 * 60 * 60 * 1000) {
+    if (!this.metrics.today) {
+      this.metrics.today = startDay(this.metrics, this.currentPrice, now);
+      return;
+    }
+    
+    if (this.metrics.today.day !== dayKey(now)) {
+      const rollup = saveDay(summarizeDay({
+        userAddress: this.userAddress,
+        ticker: this.tokenConfig.ticker,
+        metrics: this.metrics,
+        currentPrice: this.currentPrice
+      }));
+      console.log(`[VolumeBot] ${this.tokenConfig.ticker} day ${rollup.day}: $${rollup.volumeUSD.toFixed(2)} volume, ${rollup.trades} trades`);
+      
       this.metrics.volumeGenerated24h = 0;
       this.metrics.lastVolumeReset = now;
+      this.metrics.today = startDay(this.metrics, this.currentPrice, now);
     }
   }
   
@@ -368,32 +995,43 @@ class VolumeBot {
     const currentValueBTC = this.inventory.btc + (this.inventory.token * this.currentPrice);
     this.metrics.netPnL = currentValueBTC - this.allocation;
     this.metrics.netPnLPercent = (this.metrics.netPnL / this.allocation) * 100;
+    
+    const pnl = this.pnl.mark(this.currentPrice);
+    Object.assign(this.metrics, {
+      realizedPnL: pnl.realizedPnL,
+      unrealizedPnL: pnl.unrealizedPnL,
+      appreciationPnL: pnl.appreciationPnL,
+      spreadCapturePnL: pnl.spreadCapturePnL,
+      poolFeeRebates: pnl.poolFeeRebates,
+      tradingFeesPaid: pnl.tradingFeesPaid,
+      feeDragPercent: pnl.feeDragPercent,
+      winRate: pnl.winRate
+    });
   }
   
   async saveState() {
     try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-      
-      const state = {
+      stateStore.put(COLLECTIONS.VOLUME_BOTS, this.stateKey(), {
         userAddress: this.userAddress,
         ticker: this.tokenConfig.ticker,
+        tokenConfig: this.tokenConfig,
         allocation: this.allocation,
+        testMode: this.testMode,
+        mode: this.getMode(),
         inventory: this.inventory,
         metrics: this.metrics,
+        pnl: this.pnl.toJSON(),
         positions: this.positions,
+        ladder: this.ladder,
+        exposureScale: this.exposureScale,
         startPrice: this.startPrice,
         currentPrice: this.currentPrice,
+        poolPrice: this.poolPrice,
         running: this.running,
         paused: this.paused,
         pool: this.pool ? { _id: this.pool._id } : null,
         savedAt: Date.now()
-      };
-      
-      const filename = `${this.userAddress}_${this.tokenConfig.ticker}.json`;
-      await fs.writeFile(
-        path.join(this.dataDir, filename),
-        JSON.stringify(state, null, 2)
-      );
+      });
       
     } catch (error) {
       console.error(`[VolumeBot] Save state error:`, error.message);
@@ -401,24 +1039,84 @@ class VolumeBot {
   }
   
   async loadState() {
-    try {
-      const filename = `${this.userAddress}_${this.tokenConfig.ticker}.json`;
-      const data = await fs.readFile(path.join(this.dataDir, filename), 'utf8');
-      const state = JSON.parse(data);
-      
-      this.inventory = state.inventory;
-      this.metrics = state.metrics;
-      this.positions = state.positions;
-      this.startPrice = state.startPrice;
-      this.currentPrice = state.currentPrice;
-      
-      console.log(`[VolumeBot] Loaded state for ${this.tokenConfig.ticker}`);
-      return true;
-      
-    } catch (error) {
+    const state = stateStore.get(COLLECTIONS.VOLUME_BOTS, this.stateKey());
+    if (!state) {
       // No existing state
       return false;
     }
+    
+    this.allocation = state.allocation || this.allocation;
+    this.inventory = state.inventory;
+    this.metrics = state.metrics;
+    this.positions = state.positions;
+    this.ladder = state.ladder || null;
+    this.exposureScale = state.exposureScale ?? 1;
+    Object.assign(this, VolumeBot.savedPrices(state));
+    this.paused = !!state.paused;
+    
+    // Bots saved before the PnL engine: open it from the inventory at the
+    // start price, keeping the fees already paid
+    if (state.pnl) {
+      this.pnl = PnLEngine.fromJSON(state.pnl);
+      if (state.poolPrice === undefined && this.pnl.markPrice) this.pnl.markPrice /= SATS;
+    } else {
+      this.pnl = new PnLEngine({
+        capital: this.allocation,
+        btc: this.inventory.btc,
+        tokens: this.inventory.token,
+        price: this.startPrice
+      });
+      this.pnl.tradingFeesPaid = this.metrics.tradingFeesPaid || 0;
+    }
+    this.restored = true;
+    
+    // Replay swaps missed while the bot was down
+    if (state.savedAt) {
+      this.fillMonitor.lastCheck = state.savedAt;
+      this.metrics.lastFillCheck = state.savedAt;
+    }
+    
+    // Resting ladder ranges go back into the self-trade guard
+    const resting = this.positions.filter(p =>
+      p.side && (p.status === POSITION_STATES.OPEN || p.status === POSITION_STATES.PARTIAL)
+    );
+    for (const position of resting) {
+      this.guard.registerOrder({
+        id: position.id,
+        userAddress: this.userAddress,
+        poolId: this.tokenConfig.poolId,
+        side: position.side,
+        lowerPrice: position.lowerPrice,
+        upperPrice: position.upperPrice,
+        source: 'VolumeBot.ladder'
+      });
+    }
+    
+    console.log(`[VolumeBot] Loaded state for ${this.tokenConfig.ticker}`);
+    return true;
+  }
+  
+  /**
+   * Prices from a saved state: startPrice / currentPrice in BTC per token
+   * base unit, poolPrice in sats. States saved without poolPrice hold all
+   * prices in sats per base unit.
+   */
+  static savedPrices(state) {
+    const scale = state.poolPrice === undefined ? SATS : 1;
+    return {
+      startPrice: state.startPrice ? state.startPrice / scale : null,
+      currentPrice: state.currentPrice ? state.currentPrice / scale : null,
+      poolPrice: state.poolPrice ?? state.currentPrice ?? null
+    };
+  }
+  
+  getMode() {
+    if (this.testMode) return 'test';
+    return this.authToken ? 'live' : 'simulated';
+  }
+  
+  stateKey() {
+    return `${this.userAddress}:${this.tokenConfig.ticker}`;
   }
   
   // Get current status for API
@@ -438,10 +1136,18 @@ class VolumeBot {
         netPnL: this.metrics.netPnL,
         netPnLPercent: this.metrics.netPnLPercent,
         tokenAppreciation: this.metrics.tokenAppreciation,
+        realizedPnL: this.metrics.realizedPnL || 0,
+        unrealizedPnL: this.metrics.unrealizedPnL || 0,
+        appreciationPnL: this.metrics.appreciationPnL || 0,
+        spreadCapturePnL: this.metrics.spreadCapturePnL || 0,
+        tradingFeesPaid: this.metrics.tradingFeesPaid || 0,
         trades: this.metrics.trades.length,
         uptime: Date.now() - this.metrics.startTime
       },
       positions: this.positions.length,
+      ladder: this.ladder,
+      exposureScale: this.exposureScale,
+      lastRebalance: this.metrics.lastRebalance || null,
       startPrice: this.startPrice,
       currentPrice: this.currentPrice
     };
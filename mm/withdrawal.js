@@ -0,0 +1,559 @@
+/**
+ * Withdrawal Manager
+ *
+ * Executes a volume bot withdrawal as a sequence of persisted steps:
+ *
+ *   1. stop-bots           stop the user's bots (server hook)
+ *   2. withdraw-liquidity  pull every LP position via RadFiAPI.withdrawLiquidity
+ *   3. swap-to-btc         sell residual tokens for BTC (optional)
+ *   4. settle              BTC and tokens held, profit, 10% platform fee
+ *   5. send-fee            platform fee → FEE_WALLET (BTC first, then tokens)
+ *   6. send-user           the rest of the BTC → the user's address
+ *   7. send-tokens         unswapped tokens → the user's address
+ *
+ * Settlement starts from what withdraw-liquidity actually returned, not the
+ * bots' saved inventory, and values unswapped tokens at the pool price.
+ *
+ * Progress is written to the state store ('withdrawals' collection) after every
+ * step and inside the multi-item steps, so a failed withdrawal resumes where it
+ * stopped instead of pulling or sending twice.
+ *
+ * Bots without stored RadFi credentials, and paper or test bots, run the same
+ * steps with simulated results.
+ *
+ * The payout address is given explicitly when the withdrawal is created, and
+ * a withdrawal runs at most once at a time in this process. Transfers are
+ * recorded as pending before they are submitted and reconciled against the
+ * wallet history on resume, so a lost response does not send twice.
+ */
+
+const crypto = require('crypto');
+const RadFiAPI = require('./radfi-api');
+const { MM_CONFIG } = require('./production-config');
+const { stateStore, COLLECTIONS } = require('./state-store');
+const { credentialVault } = require('./credential-vault');
+const { tradeGuard } = require('./trade-guard');
+const { logTrade } = require('./trade-log');
+const { ledger } = require('./ledger');
+const VolumeBot = require('./volume-bot');
+
+const STEPS = ['stop-bots', 'withdraw-liquidity', 'swap-to-btc', 'settle', 'send-fee', 'send-user', 'send-tokens'];
+
+const WITHDRAWAL_STATES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  FAILED: 'failed',
+  COMPLETED: 'completed'
+};
+
+const BTC_TOKEN_ID = '0:0';
+const DUST_SATS = 546;
+
+class WithdrawalError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WithdrawalError';
+    this.status = status;
+  }
+}
+
+class WithdrawalManager {
+  constructor({
+    feeWallet,
+    feeRate = MM_CONFIG.platformFeeRate,
+    stopBots = async () => {},
+    store = stateStore,
+    vault = credentialVault
+  } = {}) {
+    this.feeWallet = feeWallet;
+    this.feeRate = feeRate;
+    this.stopBots = stopBots; // async (userAddress, tickers) → stop running bots
+    this.store = store;
+    this.vault = vault;
+    this.running = new Set(); // withdrawal ids with a run() in flight
+  }
+
+  /**
+   * Create a withdrawal for all (or one) of a user's bots
+   * @param {object} options - { userAddress, ticker, swapToBTC, destination }:
+   *   destination is the payout address for the user's BTC (required)
+   * @returns {object} The withdrawal record (status 'pending')
+   * @throws {WithdrawalError} No payout address, nothing to withdraw, or a withdrawal in progress
+   */
+  create({ userAddress, ticker = null, swapToBTC = true, destination }) {
+    if (!destination || typeof destination !== 'string') {
+      throw new WithdrawalError('destination (payout address) is required');
+    }
+
+    const states = this.store
+      .query(COLLECTIONS.VOLUME_BOTS, { userAddress })
+      .filter(s => !s.withdrawnAt && (!ticker || s.ticker === ticker));
+
+    if (states.length === 0) {
+      throw new WithdrawalError(ticker ? `No active volume bot for ${ticker}` : 'No active volume bots to withdraw', 404);
+    }
+
+    // Paper and test bots settle on paper: a withdrawal is all live or all simulated
+    const simulated = states.filter(s => s.mode && s.mode !== 'live');
+    if (simulated.length > 0 && simulated.length < states.length) {
+      throw new WithdrawalError(`${simulated.map(s => s.ticker).join(', ')} trade${simulated.length === 1 ? 's' : ''} on paper - withdraw live and paper bots one ticker at a time`);
+    }
+
+    const tickers = states.map(s => s.ticker);
+    const inProgress = this.list(userAddress).find(w =>
+      w.status !== WITHDRAWAL_STATES.COMPLETED && w.tickers.some(t => tickers.includes(t))
+    );
+    if (inProgress) {
+      throw new WithdrawalError(`Withdrawal ${inProgress.id} is already in progress - resume it instead`, 409);
+    }
+
+    const withdrawal = {
+      id: `wd_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+      userAddress,
+      destination,
+      tickers,
+      swapToBTC,
+      status: WITHDRAWAL_STATES.PENDING,
+      mode: this.vault.load(userAddress)?.authToken && simulated.length === 0 ? 'live' : 'simulated',
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      steps: Object.fromEntries(STEPS.map(name => [name, { status: 'pending', attempts: 0 }])),
+      bots: states.map(s => this.snapshotBot(s)),
+      withdrawn: {},   // position id → withdraw-liquidity result
+      swaps: {},       // ticker → swap result
+      settlement: null,
+      transfers: {}    // 'fee' | 'user' | 'fee:<ticker>' | 'tokens:<ticker>' → transfer result
+    };
+
+    this.save(withdrawal);
+    logTrade({ action: 'WITHDRAWAL_CREATED', withdrawalId: withdrawal.id, userAddress, tickers, swapToBTC });
+
+    return withdrawal;
+  }
+
+  get(id) {
+    return this.store.get(COLLECTIONS.WITHDRAWALS, id);
+  }
+
+  list(userAddress) {
+    return this.store.query(COLLECTIONS.WITHDRAWALS, { userAddress, order: 'desc' });
+  }
+
+  save(withdrawal) {
+    withdrawal.updatedAt = Date.now();
+    this.store.put(COLLECTIONS.WITHDRAWALS, withdrawal.id, withdrawal);
+  }
+
+  /**
+   * Run (or resume) a withdrawal from its first unfinished step
+   * @returns {object} The withdrawal record after the run
+   * @throws {WithdrawalError} Unknown withdrawal, or one already running (409)
+   */
+  async run(id) {
+    const withdrawal = this.get(id);
+    if (!withdrawal) throw new WithdrawalError(`Withdrawal ${id} not found`, 404);
+    if (withdrawal.status === WITHDRAWAL_STATES.COMPLETED) return withdrawal;
+    if (this.running.has(id)) {
+      throw new WithdrawalError(`Withdrawal ${id} is already running`, 409);
+    }
+
+    this.running.add(id);
+    try {
+      return await this.runSteps(withdrawal);
+    } finally {
+      this.running.delete(id);
+    }
+  }
+
+  async runSteps(withdrawal) {
+    withdrawal.status = WITHDRAWAL_STATES.RUNNING;
+    withdrawal.error = null;
+    this.save(withdrawal);
+
+    const api = this.createApi(withdrawal.userAddress);
+
+    for (const name of STEPS) {
+      // Withdrawals created before a step existed get it on resume
+      const step = withdrawal.steps[name] || (withdrawal.steps[name] = { status: 'pending', attempts: 0 });
+      if (step.status === 'done' || step.status === 'skipped') continue;
+
+      step.status = 'running';
+      step.attempts++;
+      step.startedAt = Date.now();
+      this.save(withdrawal);
+
+      try {
+        const result = await this.runStep(name, withdrawal, api);
+        step.status = result?.skipped ? 'skipped' : 'done';
+        step.result = result;
+        step.error = null;
+        step.finishedAt = Date.now();
+        this.save(withdrawal);
+      } catch (error) {
+        step.status = 'failed';
+        step.error = error.message;
+        withdrawal.status = WITHDRAWAL_STATES.FAILED;
+        withdrawal.error = `${name}: ${error.message}`;
+        this.save(withdrawal);
+
+        console.error(`[Withdrawal] ${withdrawal.id} failed at ${name}:`, error.message);
+        logTrade({ action: 'WITHDRAWAL_FAILED', withdrawalId: withdrawal.id, userAddress: withdrawal.userAddress, step: name, error: error.message });
+        return withdrawal;
+      }
+    }
+
+    withdrawal.status = WITHDRAWAL_STATES.COMPLETED;
+    withdrawal.completedAt = Date.now();
+    this.save(withdrawal);
+    this.markBotsWithdrawn(withdrawal);
+    ledger.recordWithdrawal(withdrawal);
+
+    logTrade({
+      action: 'WITHDRAWAL_COMPLETED',
+      withdrawalId: withdrawal.id,
+      userAddress: withdrawal.userAddress,
+      settlement: withdrawal.settlement,
+      transfers: withdrawal.transfers
+    });
+
+    return withdrawal;
+  }
+
+  async runStep(name, withdrawal, api) {
+    switch (name) {
+      case 'stop-bots':
+        await this.stopBots(withdrawal.userAddress, withdrawal.tickers);
+        // Stopped bots have saved their final inventory and positions
+        withdrawal.bots = withdrawal.tickers.map(ticker => {
+          const state = this.store.get(COLLECTIONS.VOLUME_BOTS, `${withdrawal.userAddress}:${ticker}`);
+          return state ? this.snapshotBot(state) : withdrawal.bots.find(b => b.ticker === ticker);
+        });
+        return { stopped: withdrawal.tickers };
+      case 'withdraw-liquidity':
+        return this.withdrawLiquidity(withdrawal, api);
+      case 'swap-to-btc':
+        return withdrawal.swapToBTC ? this.swapToBTC(withdrawal, api) : { skipped: true, reason: 'Not requested' };
+      case 'settle':
+        return this.settle(withdrawal, api);
+      case 'send-fee':
+        return this.sendFee(withdrawal, api);
+      case 'send-user':
+        return this.send(withdrawal, api, 'user', withdrawal.destination, withdrawal.settlement.netWithdrawalSats);
+      case 'send-tokens':
+        return this.sendTokens(withdrawal, api);
+      default:
+        throw new Error(`Unknown withdrawal step: ${name}`);
+    }
+  }
+
+  // ============ STEPS ============
+
+  async withdrawLiquidity(withdrawal, api) {
+    for (const bot of withdrawal.bots) {
+      const live = bot.positions.filter(p => !p.simulated && !withdrawal.withdrawn[p.id]);
+      const onChain = live.length > 0 && api ? await api.getUserPositions(withdrawal.userAddress) : [];
+      const pool = live.length > 0 && api ? await api.getPool(bot.poolId) : null;
+
+      for (const position of bot.positions) {
+        if (withdrawal.withdrawn[position.id]) continue;
+
+        const nft = onChain.find(n => String(n.nftId) === String(position.id));
+        if (position.simulated || !api) {
+          withdrawal.withdrawn[position.id] = { simulated: true };
+        } else if (!nft) {
+          withdrawal.withdrawn[position.id] = { missing: true }; // already withdrawn or never minted
+        } else {
+          const result = await api.withdrawLiquidity({
+            userAddress: withdrawal.userAddress,
+            nftId: position.id,
+            liquidityValue: nft.liquidityValue ?? nft.liquidity,
+            amount0: nft.amount0 || 0,
+            amount1: nft.amount1 || 0,
+            token0Id: pool?.token0Id || BTC_TOKEN_ID,
+            token1Id: pool?.token1Id || bot.tokenId,
+            scVersion: pool?.scVersion
+          });
+          // Amounts the pool returned (BTC, token base units); the listed
+          // NFT amounts if the response has none
+          const amounts = result.data?.amount0 !== undefined ? result.data : nft;
+          withdrawal.withdrawn[position.id] = {
+            txId: result.txId || result.data?.txId || null,
+            btc: parseFloat(amounts.amount0 || 0) / 1e8,
+            token: parseFloat(amounts.amount1 || 0)
+          };
+        }
+
+        tradeGuard.removeOrder(position.id);
+        this.save(withdrawal); // progress per position
+      }
+    }
+
+    return { positions: Object.keys(withdrawal.withdrawn).length };
+  }
+
+  async swapToBTC(withdrawal, api) {
+    for (const bot of withdrawal.bots) {
+      if (withdrawal.swaps[bot.ticker]) continue;
+
+      const tokenAmount = Math.floor(this.withdrawnInventory(withdrawal, bot).token);
+      if (tokenAmount <= 0) {
+        withdrawal.swaps[bot.ticker] = { skipped: true, btcOut: 0 };
+        continue;
+      }
+
+      if (!api) {
+        // Simulated: value at the last saved price, less the RadFi fee
+        const grossBTC = tokenAmount * (bot.currentPrice || 0);
+        const feeBTC = grossBTC * MM_CONFIG.radfiFeeRate;
+        withdrawal.swaps[bot.ticker] = { simulated: true, tokenIn: tokenAmount, btcOut: grossBTC - feeBTC, feeBTC };
+      } else {
+        const pool = await api.getPool(bot.poolId);
+        const poolPrice = await api.getTokenPrice(bot.poolId); // sats per token base unit
+        const expectedOutSats = Math.floor(tokenAmount * poolPrice * (1 - MM_CONFIG.radfiFeeRate));
+
+        const result = await api.swap({
+          userAddress: withdrawal.userAddress,
+          poolId: bot.poolId,
+          amountIn: tokenAmount,
+          amountOut: expectedOutSats,
+          tokenIn: pool?.token1Id || bot.tokenId,
+          tokenOut: pool?.token0Id || BTC_TOKEN_ID,
+          slippage: 200
+        });
+
+        const outSats = parseFloat(result.data?.amountOut ?? expectedOutSats);
+        const feeBTC = tokenAmount * poolPrice * MM_CONFIG.radfiFeeRate / 1e8;
+        withdrawal.swaps[bot.ticker] = { txId: result.txId || null, tokenIn: tokenAmount, btcOut: outSats / 1e8, feeBTC };
+      }
+
+      this.save(withdrawal); // progress per token
+    }
+
+    return { swaps: withdrawal.swaps };
+  }
+
+  async settle(withdrawal, api) {
+    const deposited = withdrawal.bots.reduce((sum, b) => sum + (b.allocation || 0), 0);
+    const swapProceeds = Object.values(withdrawal.swaps).reduce((sum, s) => sum + (s.btcOut || 0), 0);
+    let btcHeld = 0;
+    const tokens = [];
+
+    for (const bot of withdrawal.bots) {
+      const inventory = this.withdrawnInventory(withdrawal, bot);
+      btcHeld += Math.max(0, inventory.btc);
+
+      const swapped = withdrawal.swaps[bot.ticker]?.tokenIn || 0;
+      const amount = Math.floor(Math.max(0, inventory.token - swapped));
+      if (amount <= 0) continue;
+
+      // Unswapped tokens count at the pool price (BTC per base unit)
+      const poolPrice = api ? await api.getTokenPrice(bot.poolId).catch(() => null) : null;
+      const price = poolPrice ? poolPrice / 1e8 : (bot.currentPrice || 0);
+      tokens.push({ ticker: bot.ticker, tokenId: bot.tokenId, amount, price, valueBTC: amount * price, feeAmount: 0 });
+    }
+
+    const availableBTC = btcHeld + swapProceeds;
+    const tokenValueBTC = tokens.reduce((sum, t) => sum + t.valueBTC, 0);
+    const netPnL = availableBTC + tokenValueBTC - deposited;
+    const availableSats = Math.floor(availableBTC * 1e8);
+
+    // 10% of profits only
+    let feeSats = netPnL > 0 ? Math.floor(netPnL * this.feeRate * 1e8) : 0;
+    const feeWaived = feeSats > 0 && feeSats < DUST_SATS;
+    if (feeWaived) feeSats = 0;
+
+    // The fee comes out of BTC first; what BTC can't cover (or a BTC part
+    // too small to send) is taken in tokens at the same price
+    let platformFeeSats = Math.min(feeSats, availableSats);
+    if (platformFeeSats < DUST_SATS && tokenValueBTC > 0) platformFeeSats = 0;
+    let remainingSats = feeSats - platformFeeSats;
+    for (const token of tokens) {
+      if (remainingSats <= 0 || !token.price) break;
+      token.feeAmount = Math.min(token.amount, Math.ceil(remainingSats / 1e8 / token.price));
+      remainingSats -= Math.floor(token.feeAmount * token.price * 1e8);
+    }
+    for (const token of tokens) token.userAmount = token.amount - token.feeAmount;
+
+    const netWithdrawalSats = Math.max(0, availableSats - platformFeeSats);
+
+    withdrawal.settlement = {
+      totalDeposited: deposited,
+      availableBTC,
+      tokenValueBTC,
+      netPnL,
+      platformFee: feeSats / 1e8,
+      platformFeeSats,
+      feeWaived,
+      netWithdrawal: netWithdrawalSats / 1e8,
+      netWithdrawalSats,
+      tokens,
+      feeWallet: this.feeWallet
+    };
+
+    return withdrawal.settlement;
+  }
+
+  async sendFee(withdrawal, api) {
+    const result = { btc: await this.send(withdrawal, api, 'fee', this.feeWallet, withdrawal.settlement.platformFeeSats) };
+    for (const token of withdrawal.settlement.tokens || []) {
+      if (!token.feeAmount) continue;
+      result[token.ticker] = await this.send(withdrawal, api, `fee:${token.ticker}`, this.feeWallet, token.feeAmount, token.tokenId);
+    }
+    return result;
+  }
+
+  async sendTokens(withdrawal, api) {
+    const tokens = (withdrawal.settlement.tokens || []).filter(t => t.userAmount > 0);
+    if (tokens.length === 0) return { skipped: true, reason: 'No unswapped tokens' };
+
+    const result = {};
+    for (const token of tokens) {
+      result[token.ticker] = await this.send(withdrawal, api, `tokens:${token.ticker}`, withdrawal.destination, token.userAmount, token.tokenId);
+    }
+    return result;
+  }
+
+  /**
+   * Transfer BTC (amount in sats) or a token (amount in base units)
+   *
+   * A pending record (with a client nonce) is saved before the transfer is
+   * submitted. Resuming with a pending record first looks for the transfer in
+   * the wallet's history, so a transfer whose response was lost is not sent
+   * again.
+   */
+  async send(withdrawal, api, kind, receiverAddress, amount, tokenId = BTC_TOKEN_ID) {
+    const previous = withdrawal.transfers[kind];
+    if (previous && previous.status !== 'pending') return previous;
+
+    const isBTC = tokenId === BTC_TOKEN_ID;
+    if (isBTC && amount < DUST_SATS) {
+      return { skipped: true, reason: `Amount ${amount} sats below dust limit` };
+    }
+
+    let transfer;
+    if (!api) {
+      transfer = { simulated: true, receiverAddress, tokenId, amount };
+    } else {
+      const sent = previous && await this.findTransfer(withdrawal, api, previous);
+      if (sent) {
+        transfer = { txId: sent.txId || null, receiverAddress, tokenId, amount, nonce: previous.nonce, reconciled: true };
+        console.log(`[Withdrawal] ${withdrawal.id} ${kind} transfer already on record (${transfer.txId}), not resending`);
+      } else {
+        const pending = previous || {
+          status: 'pending',
+          nonce: crypto.randomBytes(8).toString('hex'),
+          receiverAddress,
+          tokenId,
+          amount,
+          requestedAt: Date.now()
+        };
+        withdrawal.transfers[kind] = pending;
+        this.save(withdrawal);
+
+        const result = await api.transfer({
+          userAddress: withdrawal.userAddress,
+          tokenId,
+          amount,
+          receiverAddress
+        });
+        transfer = { txId: result.txId || result.data?.txId || null, receiverAddress, tokenId, amount, nonce: pending.nonce };
+      }
+    }
+    if (isBTC) transfer.amountSats = amount;
+
+    withdrawal.transfers[kind] = transfer;
+    this.save(withdrawal); // progress per transfer
+    return transfer;
+  }
+
+  /**
+   * The wallet history row for a pending transfer: same receiver, token and
+   * amount, no earlier than the request, not already claimed by another transfer
+   */
+  async findTransfer(withdrawal, api, pending) {
+    const since = Math.floor(pending.requestedAt / 1000) * 1000; // block times are whole seconds
+    const claimed = new Set(Object.values(withdrawal.transfers).map(t => t.txId).filter(Boolean));
+    const rows = await api.getUserTransfersSince(withdrawal.userAddress, since);
+
+    return rows.find(row =>
+      row.receiverAddress === pending.receiverAddress &&
+      (row.tokenId || BTC_TOKEN_ID) === pending.tokenId &&
+      parseFloat(row.amount) === parseFloat(pending.amount) &&
+      (row.btcBlockTime ? row.btcBlockTime * 1000 : Date.parse(row.createdAt)) >= since &&
+      !claimed.has(row.txId)
+    ) || null;
+  }
+
+  /**
+   * A bot's holdings after withdraw-liquidity: its saved inventory with each
+   * withdrawn range's expected holdings replaced by what the pool returned
+   */
+  withdrawnInventory(withdrawal, bot) {
+    const inventory = { btc: bot.inventory?.btc || 0, token: bot.inventory?.token || 0 };
+
+    for (const position of bot.positions) {
+      const withdrawn = withdrawal.withdrawn[position.id];
+      if (!withdrawn || withdrawn.btc === undefined || !position.expected) continue;
+      inventory.btc += withdrawn.btc - position.expected.btc;
+      inventory.token += withdrawn.token - position.expected.token;
+    }
+
+    return inventory;
+  }
+
+  // ============ HELPERS ============
+
+  snapshotBot(state) {
+    return {
+      ticker: state.ticker,
+      poolId: state.tokenConfig?.poolId || state.pool?._id,
+      tokenId: state.tokenConfig?.tokenId,
+      allocation: state.allocation,
+      inventory: state.inventory,
+      currentPrice: VolumeBot.savedPrices(state).currentPrice,
+      positions: (state.positions || []).map(p => ({
+        id: p.id,
+        simulated: !!p.simulated,
+        expected: VolumeBot.positionHoldings(p)
+      }))
+    };
+  }
+
+  createApi(userAddress) {
+    const credentials = this.vault.load(userAddress);
+    if (!credentials?.authToken) return null;
+
+    const api = new RadFiAPI(credentials.authToken, credentials.refreshToken);
+    if (credentials.expiresAt) {
+      api.setAuth(credentials.authToken, credentials.refreshToken, credentials.expiresAt);
+    }
+    api.persistTo(this.vault, userAddress);
+    return api;
+  }
+
+  /**
+   * Withdrawn bots are stopped for good: not restored on boot, not withdrawn twice
+   */
+  markBotsWithdrawn(withdrawal) {
+    this.store.transaction(tx => {
+      for (const bot of withdrawal.bots) {
+        const key = `${withdrawal.userAddress}:${bot.ticker}`;
+        const state = tx.get(COLLECTIONS.VOLUME_BOTS, key);
+        if (!state) continue;
+
+        state.running = false;
+        state.positions = [];
+        state.withdrawnAt = withdrawal.completedAt;
+        state.withdrawalId = withdrawal.id;
+        tx.put(COLLECTIONS.VOLUME_BOTS, key, state);
+      }
+    });
+  }
+}
+
+module.exports = {
+  WithdrawalManager,
+  WithdrawalError,
+  WITHDRAWAL_STATES,
+  STEPS
+};
@@ -0,0 +1,61 @@
+/**
+ * Test Setup
+ *
+ * Require first in every test file: points the shared stores, trade log and
+ * tracker logs at a throwaway data directory and selects the mock exchange
+ * with a fixed BTC price, before any mm/ module opens them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'radlabs-test-'));
+
+process.env.MM_DATA_DIR = dataDir;
+process.env.RADFI_TRANSPORT = 'mock';
+process.env.BTC_PRICE_USD = '78600';
+delete process.env.STATE_STORE_PATH;
+delete process.env.CANDLE_STORE_PATH;
+delete process.env.HISTORY_STORE_PATH;
+delete process.env.BTC_PRICE_SOURCE;
+delete process.env.CREDENTIAL_VAULT_KEY;
+
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { setTransport } = require('../mm/transport');
+const { MockRadFi } = require('../mm/mock-radfi');
+
+/**
+ * A fresh mock exchange as the process-wide transport
+ */
+function useMock(options = {}) {
+  return setTransport(new MockRadFi(options));
+}
+
+/**
+ * Access token for an address on the mock (no BIP322 check)
+ */
+function login(mock, address) {
+  return mock.authenticate({ address, signature: 'test', message: 'test' }).data.accessToken;
+}
+
+/**
+ * Taker swap on the mock, as another wallet would make it
+ * @param {string} side - 'buy' (BTC in) or 'sell' (token in)
+ */
+function takerSwap(mock, pool, side, amountIn, userAddress = 'bc1qtaker') {
+  return mock.swap({
+    poolId: pool._id,
+    tokenIn: side === 'buy' ? pool.token0Id : pool.token1Id,
+    amountIn: Math.floor(amountIn),
+    userAddress
+  }, userAddress).data;
+}
+
+module.exports = {
+  dataDir,
+  useMock,
+  login,
+  takerSwap
+};
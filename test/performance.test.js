@@ -0,0 +1,37 @@
+const { useMock, login } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const VolumeBot = require('../mm/volume-bot');
+const PerformanceMonitor = require('../mm/monitors/performance');
+const { stateStore, COLLECTIONS } = require('../mm/state-store');
+const { TOKENS } = require('../mm/production-config');
+
+const USER = 'bc1qperformance';
+
+test('performance values tokens at the saved pool price and skips withdrawn bots', async () => {
+  const mock = useMock();
+  const pool = mock.pools.find(p => p._id === TOKENS.RAD.poolId);
+  const bot = new VolumeBot(USER, { ...TOKENS.RAD }, 0.005, login(mock, USER), null, false);
+  await bot.start();
+  await bot.stop();
+
+  // An earlier bot on another token, already paid out
+  stateStore.put(COLLECTIONS.VOLUME_BOTS, `${USER}:BOTT`, {
+    userAddress: USER,
+    ticker: 'BOTT',
+    tokenConfig: { ...TOKENS.BOTT },
+    allocation: 0.01,
+    inventory: { btc: 0.01, token: 0 },
+    currentPrice: 1e-7,
+    poolPrice: 10,
+    withdrawnAt: Date.now()
+  });
+
+  const metrics = await new PerformanceMonitor().getMetrics(USER);
+
+  assert.equal(metrics.totalDeposited, 0.005);
+  const expected = bot.inventory.btc + bot.inventory.token * mock.poolPrice(pool) / 1e8;
+  assert.ok(Math.abs(metrics.currentValue - expected) < 1e-9, `${metrics.currentValue} vs ${expected}`);
+  assert.deepEqual(metrics.tokenAllocations.map(t => t.ticker), ['RAD']);
+});
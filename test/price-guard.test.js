@@ -0,0 +1,56 @@
+const { useMock, takerSwap } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RadFiAPI = require('../mm/radfi-api');
+const { priceGuard } = require('../mm/price-guard');
+const { historyStore, COLLECTIONS } = require('../mm/state-store');
+const { TOKENS } = require('../mm/production-config');
+
+test('price guard: a jump trips the breaker, consistent readings close it', async () => {
+  const mock = useMock();
+  const pool = mock.pools.find(p => p._id === TOKENS.RAD.poolId);
+  const api = new RadFiAPI();
+
+  // History for the jump check
+  const opening = await api.getTokenPrice(pool._id);
+  for (let i = 1; i < 5; i++) {
+    assert.equal(await api.getTokenPrice(pool._id), opening);
+  }
+
+  // A taker buys ~20% of the BTC side: far beyond 4σ
+  takerSwap(mock, pool, 'buy', pool.token0Reserve / 5);
+  await assert.rejects(api.getTokenPrice(pool._id), /Price rejected.*price jump/);
+  assert.ok(priceGuard.isTripped(pool._id));
+
+  // Open until priceRecoveryReadings consistent readings at the new level
+  await assert.rejects(api.getTokenPrice(pool._id), /circuit breaker open/);
+  await assert.rejects(api.getTokenPrice(pool._id), /circuit breaker open/);
+  const recovered = await api.getTokenPrice(pool._id);
+  assert.ok(recovered > opening * 1.3);
+  assert.ok(!priceGuard.isTripped(pool._id));
+
+  const events = historyStore.query(COLLECTIONS.PRICE_TRIPS, { poolId: pool._id }).map(r => r.event);
+  assert.deepEqual(events, ['trip', 'recovered']);
+});
+
+test('price guard: a quiet pool keeps trading with wider quotes, a stale reading trips', async () => {
+  const mock = useMock();
+  const pool = mock.pools.find(p => p.token1Id === TOKENS.BOTT.tokenId);
+  const api = new RadFiAPI();
+
+  // No trades for three days: thin, not broken
+  pool.updatedAt = Date.now() - 3 * 86400000;
+  assert.ok(await api.getTokenPrice(pool._id) > 0);
+  assert.ok(priceGuard.isQuiet(pool._id));
+  assert.ok(!priceGuard.isTripped(pool._id));
+
+  takerSwap(mock, pool, 'buy', pool.token0Reserve / 1000);
+  await api.getTokenPrice(pool._id);
+  assert.ok(!priceGuard.isQuiet(pool._id));
+
+  // A reading fetched long ago is stale whatever the pool's age
+  const result = priceGuard.check({ poolId: 'stale-pool', poolPrice: 1, fetchedAt: Date.now() - 3600000 });
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /stale reading/);
+});
@@ -0,0 +1,90 @@
+const { useMock, login } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findBestRoute, executeRoute } = require('../mm/router');
+const { TOKENS } = require('../mm/production-config');
+
+test('multi-hop route: RAD → BTC → BOTT quotes and executes both hops', async () => {
+  const mock = useMock();
+  const token = login(mock, 'bc1qrouter');
+  const amountIn = 5000000; // RAD base units
+
+  const route = findBestRoute({
+    pools: mock.pools,
+    tokenIn: TOKENS.RAD.tokenId,
+    tokenOut: TOKENS.BOTT.tokenId,
+    amountIn,
+    slippageBps: 100
+  });
+
+  assert.deepEqual(route.path, [TOKENS.RAD.tokenId, '0:0', TOKENS.BOTT.tokenId]);
+  assert.equal(route.hops.length, 2);
+
+  // Whole bps per hop, compounding to no more than the total
+  for (const hop of route.hops) assert.ok(Number.isInteger(hop.slippageBps));
+  const compounded = 1 - route.hops.reduce((keep, h) => keep * (1 - h.slippageBps / 10000), 1);
+  assert.ok(compounded * 10000 <= 100);
+
+  const result = await executeRoute({
+    hops: route.hops,
+    userAddress: 'bc1qrouter',
+    loadPools: async () => mock.pools,
+    submit: async (payload) => {
+      const response = await mock.request('/api/vm-transactions', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: payload
+      });
+      return response.json();
+    }
+  });
+
+  assert.equal(result.status, 'completed');
+  assert.equal(result.hops.length, 2);
+  assert.equal(result.hops[1].amountIn, result.hops[0].amountOut);
+  assert.ok(result.amountOut >= route.minAmountOut);
+
+  const swaps = mock.histories.filter(h => h.type === 'swap' && h.userAddress === 'bc1qrouter');
+  assert.equal(swaps.length, 2);
+  assert.equal(Number(swaps[1].amountOut), result.amountOut);
+});
+
+test('multi-hop route: a hop that no longer clears its minimum stops the route', async () => {
+  const mock = useMock();
+  const token = login(mock, 'bc1qrouter');
+
+  const route = findBestRoute({
+    pools: mock.pools,
+    tokenIn: TOKENS.RAD.tokenId,
+    tokenOut: TOKENS.BOTT.tokenId,
+    amountIn: 5000000,
+    slippageBps: 100
+  });
+
+  // The BTC → BOTT pool moves against us before the second hop
+  const bott = mock.pools.find(p => p.token1Id === TOKENS.BOTT.tokenId);
+
+  const result = await executeRoute({
+    hops: route.hops,
+    userAddress: 'bc1qrouter',
+    loadPools: async () => mock.pools,
+    submit: async (payload) => {
+      const response = await mock.request('/api/vm-transactions', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: payload
+      });
+      const data = await response.json();
+      if (payload.params.tokenOut === '0:0') {
+        mock.swap({ poolId: bott._id, tokenIn: '0:0', amountIn: bott.token0Reserve / 5 }, 'bc1qother');
+      }
+      return data;
+    }
+  });
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.stoppedAt, 1);
+  assert.equal(result.heldToken, '0:0');
+  assert.match(result.error, /Price moved/);
+});
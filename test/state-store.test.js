@@ -0,0 +1,35 @@
+const { dataDir } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { StateStore, historyStore, COLLECTIONS } = require('../mm/state-store');
+
+test('state store: migration v3 moves append-only history out of the bot-state log', () => {
+  const filePath = path.join(dataDir, 'state-v2.jsonl');
+
+  // A v2 log holding bot state next to ledger, BTC price, daily stats and trip records
+  const old = new StateStore({ filePath, legacyDir: null, migrations: [] });
+  old.transaction(tx => {
+    tx.put('_meta', 'schema', { version: 2 });
+    tx.put(COLLECTIONS.VOLUME_BOTS, 'bc1qmigrate:RAD', { userAddress: 'bc1qmigrate', ticker: 'RAD' });
+    tx.put(COLLECTIONS.LEDGER, 'bc1qmigrate:1', { userAddress: 'bc1qmigrate', kind: 'deposit', timestamp: 1 });
+    tx.put(COLLECTIONS.BTC_PRICES, '1', { priceUSD: 78600, timestamp: 1 });
+    tx.put(COLLECTIONS.DAILY_STATS, 'bc1qmigrate:RAD:2026-01-01', { userAddress: 'bc1qmigrate', ticker: 'RAD', timestamp: 1 });
+    tx.put(COLLECTIONS.PRICE_TRIPS, 'pool:1', { poolId: 'pool', event: 'trip', timestamp: 1 });
+  });
+  old.close();
+
+  const store = new StateStore({ filePath, legacyDir: null }).open();
+
+  assert.ok(store.get(COLLECTIONS.VOLUME_BOTS, 'bc1qmigrate:RAD'));
+  for (const collection of [COLLECTIONS.LEDGER, COLLECTIONS.BTC_PRICES, COLLECTIONS.DAILY_STATS, COLLECTIONS.PRICE_TRIPS]) {
+    assert.equal(store.list(collection).length, 0, collection);
+  }
+
+  assert.equal(historyStore.get(COLLECTIONS.LEDGER, 'bc1qmigrate:1').kind, 'deposit');
+  assert.equal(historyStore.get(COLLECTIONS.BTC_PRICES, '1').priceUSD, 78600);
+  assert.ok(historyStore.get(COLLECTIONS.DAILY_STATS, 'bc1qmigrate:RAD:2026-01-01'));
+  assert.equal(historyStore.get(COLLECTIONS.PRICE_TRIPS, 'pool:1').event, 'trip');
+  store.close();
+});
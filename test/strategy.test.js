@@ -0,0 +1,62 @@
+const { useMock, login } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStrategy } = require('../backend/strategies');
+const { WithdrawalManager } = require('../mm/withdrawal');
+const { stateStore, COLLECTIONS } = require('../mm/state-store');
+const { TOKENS } = require('../mm/production-config');
+
+const USER = 'bc1qgrid';
+
+function grid(token) {
+  return createStrategy('grid', {
+    userAddress: USER,
+    tokenConfig: { ...TOKENS.RAD },
+    allocation: 0.005,
+    params: { gridLevels: 4 },
+    authToken: token,
+    execution: 'live',
+    persist: true
+  });
+}
+
+test('a deposited grid is saved, restored without rebuilding and withdrawn', async () => {
+  const mock = useMock();
+  const token = login(mock, USER);
+
+  const first = grid(token);
+  await first.step(); // builds the grid on the mock
+  const ranges = [...first.execution.positions.keys()];
+  assert.ok(ranges.length >= 3);
+
+  const state = stateStore.get(COLLECTIONS.VOLUME_BOTS, `${USER}:RAD`);
+  assert.equal(state.engine, 'strategy');
+  assert.equal(state.strategy, 'grid');
+  assert.equal(state.mode, 'live');
+  assert.deepEqual(state.positions.map(p => p.id), ranges);
+  assert.ok(state.currentPrice > 0 && state.inventory.token > 0);
+
+  // A restart picks up the same ranges and grid instead of building another
+  const restored = grid(token);
+  restored.restoreState(state);
+  await restored.step();
+  assert.deepEqual([...restored.execution.positions.keys()], ranges);
+  assert.equal(restored.grid.length, first.grid.length);
+  assert.equal(mock.positions.size, ranges.length);
+
+  // Withdrawal stops it (pulling the ranges) and pays out
+  const withdrawals = new WithdrawalManager({
+    feeWallet: 'bc1qfee',
+    vault: { load: () => ({ authToken: token }) },
+    stopBots: () => restored.stop()
+  });
+  const created = withdrawals.create({ userAddress: USER, destination: 'bc1qpayout' });
+  assert.equal(created.mode, 'live');
+  const withdrawal = await withdrawals.run(created.id);
+
+  assert.equal(withdrawal.status, 'completed');
+  assert.equal(mock.positions.size, 0);
+  assert.ok(withdrawal.transfers.user.amountSats > 0);
+  assert.ok(stateStore.get(COLLECTIONS.VOLUME_BOTS, `${USER}:RAD`).withdrawnAt);
+});
@@ -0,0 +1,142 @@
+const { useMock, login, takerSwap } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const VolumeBot = require('../mm/volume-bot');
+const RiskEngine = require('../mm/monitors/risk-engine');
+const { TOKENS, POSITION_STATES } = require('../mm/production-config');
+const { ledger } = require('../mm/ledger');
+
+const USER = 'bc1qladder';
+
+async function startBot(mock, user = USER, overrides = {}) {
+  const token = login(mock, user);
+  const bot = new VolumeBot(user, { ...TOKENS.RAD, ...overrides }, 0.005, token, null, false);
+  await bot.start();
+  clearInterval(bot.timer); // ticks are driven by the test
+  return bot;
+}
+
+/**
+ * Taker swap that moves the pool to (about) a target price
+ */
+function swapToPrice(mock, pool, target) {
+  const k = pool.token0Reserve * pool.token1Reserve;
+  const fee = 1 - pool.fee / 1e6;
+  if (target > mock.poolPrice(pool)) {
+    return takerSwap(mock, pool, 'buy', (Math.sqrt(k * target) - pool.token0Reserve) / fee);
+  }
+  return takerSwap(mock, pool, 'sell', (Math.sqrt(k / target) - pool.token1Reserve) / fee);
+}
+
+test('ladder fill, then re-center: fills are recorded before the ladder moves', async (t) => {
+  const mock = useMock();
+  const pool = mock.pools.find(p => p._id === TOKENS.RAD.poolId);
+  const bot = await startBot(mock);
+  t.after(() => bot.stop());
+
+  const asks = bot.positions.filter(p => p.side === 'ask');
+  assert.ok(asks.length > 0);
+  assert.ok(asks.every(p => !p.simulated));
+  const before = { ...bot.inventory };
+  const mid = bot.ladder.mid;
+
+  // A taker buy that carries price through the first asks and past the band
+  takerSwap(mock, pool, 'buy', 0.03 * 1e8);
+  const moved = mock.poolPrice(pool);
+  assert.ok(moved > asks[0].upperPrice);
+  assert.ok((moved - mid) / mid > 0.03);
+
+  await bot.tick();
+
+  // The crossed asks sold tokens for BTC
+  assert.ok(bot.inventory.token < before.token);
+  assert.ok(bot.inventory.btc > before.btc);
+  const sells = ledger.query(USER).filter(e => e.kind === 'sell' && e.source === 'ladder');
+  assert.ok(sells.length >= 1);
+
+  // ...and the ladder was then rebuilt around the new price
+  assert.equal(bot.ladder.mid, moved);
+  assert.ok(bot.positions.length > 0);
+  assert.ok(bot.positions.every(p => p.status === POSITION_STATES.OPEN && !p.filledFraction));
+});
+
+test('a partly filled range converts back when price returns through it', async (t) => {
+  const mock = useMock();
+  const pool = mock.pools.find(p => p._id === TOKENS.RAD.poolId);
+  const bot = await startBot(mock, 'bc1qrevert');
+  t.after(() => bot.stop());
+
+  const ask = bot.positions.find(p => p.side === 'ask' && p.level === 1);
+  const before = { ...bot.inventory };
+  const mid = bot.ladder.mid;
+
+  swapToPrice(mock, pool, Math.sqrt(ask.lowerPrice * ask.upperPrice));
+  await bot.tick();
+  assert.equal(ask.status, POSITION_STATES.PARTIAL);
+  assert.ok(bot.inventory.token < before.token);
+
+  swapToPrice(mock, pool, mid);
+  await bot.tick();
+  assert.equal(ask.status, POSITION_STATES.OPEN);
+  assert.equal(ask.filledFraction, 0);
+  assert.ok(Math.abs(bot.inventory.token - before.token) < before.token * 1e-6);
+  const buys = ledger.query('bc1qrevert').filter(e => e.kind === 'buy' && e.source === 'ladder' && e.ref === ask.id);
+  assert.equal(buys.length, 1);
+});
+
+test('a filled range is withdrawn from the pool', async (t) => {
+  const mock = useMock();
+  const pool = mock.pools.find(p => p._id === TOKENS.RAD.poolId);
+  const bot = await startBot(mock, 'bc1qfilled', { ladderRecenterBand: 0.1 });
+  t.after(() => bot.stop());
+
+  const ask = bot.positions.find(p => p.side === 'ask' && p.level === 1);
+  assert.ok(mock.positions.has(String(ask.id)));
+
+  swapToPrice(mock, pool, ask.upperPrice * 1.005);
+  await bot.tick();
+
+  assert.equal(ask.status, POSITION_STATES.FILLED);
+  assert.ok(!bot.positions.includes(ask));
+  assert.ok(!mock.positions.has(String(ask.id)));
+  assert.ok(bot.positions.some(p => p.side === 'ask' && p.level === 2 && mock.positions.has(String(p.id))));
+});
+
+test('withdrawing the ladder books what the pool actually returned', async (t) => {
+  const mock = useMock();
+  const bot = await startBot(mock, 'bc1qreconcile');
+  t.after(() => bot.stop());
+
+  // The pool pays back 1% more than the fill model expects (e.g. earned fees)
+  const bid = bot.positions.find(p => p.side === 'bid' && p.level === 1);
+  mock.positions.get(String(bid.id)).liquidity *= 1.01;
+  const before = { ...bot.inventory };
+
+  await bot.withdrawLadder();
+
+  assert.equal(bot.positions.length, 0);
+  assert.equal(mock.positions.size, 0);
+  const gained = bot.inventory.btc - before.btc;
+  assert.ok(Math.abs(gained - bid.btcAmount * 0.01) < 1e-7, `gained ${gained}`);
+  assert.ok(Math.abs(bot.inventory.token - before.token) < 10); // whole base units per range
+});
+
+test('risk engine: pool TVL follows the pool, a pause pulls the ladder', async (t) => {
+  const mock = useMock();
+  const pool = mock.pools.find(p => p._id === TOKENS.RAD.poolId);
+  const bot = await startBot(mock, 'bc1qriskpause');
+  t.after(() => bot.stop());
+  const engine = new RiskEngine({ bots: new Map([[bot.userAddress, new Map([['RAD', bot]])]]) });
+
+  takerSwap(mock, pool, 'buy', 0.01 * 1e8);
+  await bot.updateMarketData();
+  assert.equal(engine.snapshot(bot).poolTVL, 2 * pool.token0Reserve / 1e8);
+
+  assert.ok(mock.positions.size > 0);
+  await engine.execute({ action: 'PAUSE_TRADING', type: 'DRAWDOWN', ticker: 'RAD', message: 'test' }, bot);
+
+  assert.equal(bot.running, false);
+  assert.equal(bot.positions.length, 0);
+  assert.equal(mock.positions.size, 0);
+});
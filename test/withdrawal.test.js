@@ -0,0 +1,89 @@
+const { useMock, login } = require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const VolumeBot = require('../mm/volume-bot');
+const { WithdrawalManager } = require('../mm/withdrawal');
+const { TOKENS } = require('../mm/production-config');
+
+const FEE_WALLET = 'bc1qfee';
+
+/**
+ * A live bot on the mock, stopped with its ladder still in the pool
+ */
+async function stoppedBot(mock, user) {
+  const token = login(mock, user);
+  const bot = new VolumeBot(user, { ...TOKENS.RAD }, 0.005, token, null, false);
+  await bot.start();
+  await bot.stop();
+  return { bot, token };
+}
+
+function manager(token) {
+  return new WithdrawalManager({ feeWallet: FEE_WALLET, vault: { load: () => ({ authToken: token }) } });
+}
+
+test('settlement uses the withdrawn amounts and pays out unswapped tokens', async () => {
+  const mock = useMock();
+  const pool = mock.pools.find(p => p._id === TOKENS.RAD.poolId);
+  const { bot, token } = await stoppedBot(mock, 'bc1qsettle');
+
+  // The bid ranges pay back half again what the bot has on its books
+  const bids = bot.positions.filter(p => p.side === 'bid');
+  for (const bid of bids) mock.positions.get(String(bid.id)).liquidity *= 1.5;
+  const extraBTC = bids.reduce((sum, b) => sum + b.btcAmount * 0.5, 0);
+
+  const withdrawals = manager(token);
+  const created = withdrawals.create({ userAddress: bot.userAddress, destination: 'bc1qpayout', swapToBTC: false });
+  const withdrawal = await withdrawals.run(created.id);
+  assert.equal(withdrawal.status, 'completed');
+
+  const { settlement, transfers } = withdrawal;
+  assert.ok(Math.abs(settlement.availableBTC - (bot.inventory.btc + extraBTC)) < 1e-6);
+
+  // Tokens count at the pool price and go to the payout address
+  const [tokens] = settlement.tokens;
+  assert.equal(tokens.ticker, 'RAD');
+  assert.ok(Math.abs(tokens.price - mock.poolPrice(pool) / 1e8) < 1e-15);
+  assert.ok(Math.abs(settlement.netPnL - (settlement.availableBTC + tokens.amount * tokens.price - 0.005)) < 1e-9);
+  assert.ok(settlement.netPnL > 0);
+  assert.equal(transfers.fee.receiverAddress, FEE_WALLET);
+  assert.equal(transfers['tokens:RAD'].amount, tokens.userAmount);
+
+  const sent = mock.histories.filter(h => h.type === 'withdraw' && h.receiverAddress === 'bc1qpayout');
+  assert.deepEqual(sent.map(h => h.tokenId).sort(), ['0:0', TOKENS.RAD.tokenId].sort());
+  assert.equal(mock.positions.size, 0);
+});
+
+test('a transfer whose response was lost is not sent again on resume', async () => {
+  const mock = useMock();
+  const { bot, token } = await stoppedBot(mock, 'bc1qcrash');
+
+  // The payout executes on the exchange, then the connection drops
+  const transfer = mock.transfer.bind(mock);
+  let crashed = false;
+  mock.transfer = (params, caller) => {
+    const result = transfer(params, caller);
+    if (!crashed && params.receiverAddress === 'bc1qpayout') {
+      crashed = true;
+      throw new Error('socket hang up');
+    }
+    return result;
+  };
+
+  const withdrawals = manager(token);
+  const created = withdrawals.create({ userAddress: bot.userAddress, destination: 'bc1qpayout' });
+  const failed = await withdrawals.run(created.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.steps['send-user'].status, 'failed');
+  assert.equal(failed.transfers.user.status, 'pending');
+
+  const resumed = await withdrawals.run(created.id);
+  assert.equal(resumed.status, 'completed');
+  assert.equal(resumed.transfers.user.reconciled, true);
+
+  const payouts = mock.histories.filter(h => h.type === 'withdraw' && h.receiverAddress === 'bc1qpayout');
+  assert.equal(payouts.length, 1);
+  assert.equal(resumed.transfers.user.txId, payouts[0].txId);
+  assert.equal(Number(payouts[0].amount), resumed.settlement.netWithdrawalSats);
+});
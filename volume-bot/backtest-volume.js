@@ -1,9 +1,18 @@
 /**
  * Volume Bot Backtest
  * Test: How much volume can $1000 generate over 30 days?
+ *
+ * Prices are simulated by default. With --replay they come from recorded pool
+ * swaps (mm/replay.js), from /api/histories or a --fixture file:
+ *
+ *   node volume-bot/backtest-volume.js --replay [--from 2026-01-01] [--to 2026-02-01]
+ *   node volume-bot/backtest-volume.js --replay --fixture rad-swaps.json
  */
 
 const { VolumeTrader, PriceTracker } = require('./volume-trader.js');
+const { HistoricalReplay } = require('../mm/replay.js');
+const { TOKENS } = require('../mm/production-config.js');
+const { btcPriceFeed } = require('../mm/btc-price.js');
 
 // ============================================
 // BACKTEST CONFIGURATION
@@ -72,26 +81,54 @@ class PriceSimulator {
 // BACKTEST RUNNER
 // ============================================
 
-async function runBacktest() {
+/**
+ * @param {object} options - { replay: { source, fixturePath, from, to } } to use recorded swaps
+ */
+async function runBacktest({ replay = null } = {}) {
+  await btcPriceFeed.get(); // USD figures use one BTC price for the whole run
+  const minutesPerDay = 1440;
+  const tradeInterval = minutesPerDay / BACKTEST_CONFIG.tradesPerDay; // ~120 minutes
+
+  // Recorded prices, one step per trade interval
+  let history = null;
+  let replayDays = null;
+  let startPrice = BACKTEST_CONFIG.startPrice;
+  let dataWindow = { source: 'simulated', days: BACKTEST_CONFIG.days };
+
+  if (replay) {
+    const token = TOKENS[BACKTEST_CONFIG.token];
+    history = new HistoricalReplay({ poolId: token.poolId, decimals: token.decimals, ...replay });
+    await history.load();
+    replayDays = history.days(tradeInterval * 60 * 1000);
+    startPrice = history.toBTC(history.openingPrice);
+    dataWindow = history.getWindow();
+  }
+
+  const totalDays = replayDays ? replayDays.length : BACKTEST_CONFIG.days;
+
   console.log('\n' + '='.repeat(70));
   console.log('  VOLUME BOT BACKTEST - $1000 OVER 30 DAYS');
   console.log('='.repeat(70));
   console.log(`Token: ${BACKTEST_CONFIG.token}`);
   console.log(`Capital: ${BACKTEST_CONFIG.capitalBTC} BTC ($1,000)`);
   console.log(`Target: ${BACKTEST_CONFIG.tradesPerDay} trades/day`);
-  console.log(`Duration: ${BACKTEST_CONFIG.days} days`);
+  console.log(`Duration: ${totalDays} days`);
+  console.log(replay
+    ? `Data: ${dataWindow.swaps} recorded swaps, ${dataWindow.start} → ${dataWindow.end}`
+    : `Data: simulated prices`);
   console.log('='.repeat(70));
   console.log('');
 
-  // Initialize trader
+  // Initialize trader (single simulated account: no self-trade guard)
   const trader = new VolumeTrader({
     tradingAddress: 'bc1p...test',
     accessToken: 'test',
     token: BACKTEST_CONFIG.token,
-    capitalBTC: BACKTEST_CONFIG.capitalBTC
+    capitalBTC: BACKTEST_CONFIG.capitalBTC,
+    guard: null
   });
 
-  await trader.init(BACKTEST_CONFIG.startPrice);
+  await trader.init(startPrice);
 
   // Initialize price simulator
   const priceSimulator = new PriceSimulator(
@@ -99,21 +136,25 @@ async function runBacktest() {
     BACKTEST_CONFIG.priceVolatility
   );
 
-  // Simulate 30 days
-  const minutesPerDay = 1440;
-  const tradeInterval = minutesPerDay / BACKTEST_CONFIG.tradesPerDay; // ~120 minutes
-
   let dayResults = [];
+  let currentPrice = startPrice;
 
-  for (let day = 1; day <= BACKTEST_CONFIG.days; day++) {
-    const dayStartValue = trader.btc + (trader.tokens * priceSimulator.currentPrice);
+  for (let day = 1; day <= totalDays; day++) {
+    const dayStartValue = trader.btc + (trader.tokens * currentPrice);
     const dayStartVolume = trader.volumeGenerated;
     const dayStartTrades = trader.trades.length;
 
-    // Simulate trades throughout the day
-    for (let minute = 0; minute < minutesPerDay; minute += tradeInterval) {
-      const currentPrice = priceSimulator.nextPrice();
-      trader.priceTracker.addPrice(currentPrice);
+    const steps = replayDays
+      ? replayDays[day - 1]
+      : Array.from({ length: Math.ceil(minutesPerDay / tradeInterval) }, () => ({
+        priceBTC: priceSimulator.nextPrice(),
+        timestamp: Date.now()
+      }));
+
+    // Trades throughout the day
+    for (let i = 0; i < steps.length; i++) {
+      currentPrice = steps[i].priceBTC;
+      trader.priceTracker.addPrice(currentPrice, steps[i].timestamp);
 
       // Try profit trade (mean reversion)
       await trader.makeProfitTrade(currentPrice);
@@ -121,14 +162,13 @@ async function runBacktest() {
       // Make volume trade
       await trader.makeVolumeTrade(currentPrice);
 
-      // Occasional rebalance
-      if (Math.random() < 0.1) { // 10% chance per trade
+      // Occasional rebalance (every 10th step when replaying, so runs repeat)
+      if (replayDays ? i % 10 === 9 : Math.random() < 0.1) { // 10% of trades
         await trader.rebalance(currentPrice);
       }
     }
 
     // End of day summary
-    const currentPrice = priceSimulator.currentPrice;
     const dayEndValue = trader.btc + (trader.tokens * currentPrice);
     const dayVolume = trader.volumeGenerated - dayStartVolume;
     const dayTrades = trader.trades.length - dayStartTrades;
@@ -154,9 +194,11 @@ async function runBacktest() {
   }
 
   // Final results
-  const finalPrice = priceSimulator.currentPrice;
+  const finalPrice = currentPrice;
   const finalMetrics = trader.getMetrics(finalPrice);
-  const priceStats = priceSimulator.getStats();
+  const priceStats = history
+    ? { ...history.getStats(), final: history.getStats().end }
+    : priceSimulator.getStats();
 
   console.log('\n' + '='.repeat(70));
   console.log('  FINAL RESULTS');
@@ -164,38 +206,53 @@ async function runBacktest() {
 
   console.log(`\n📊 Volume Generation:`);
   console.log(`   Total Volume: $${finalMetrics.volumeGenerated.toFixed(0)}`);
-  console.log(`   Daily Average: $${(finalMetrics.volumeGenerated / BACKTEST_CONFIG.days).toFixed(0)}`);
+  console.log(`   Daily Average: $${(finalMetrics.volumeGenerated / totalDays).toFixed(0)}`);
   console.log(`   Total Trades: ${finalMetrics.totalTrades}`);
-  console.log(`   Trades/Day: ${(finalMetrics.totalTrades / BACKTEST_CONFIG.days).toFixed(1)}`);
+  console.log(`   Trades/Day: ${(finalMetrics.totalTrades / totalDays).toFixed(1)}`);
 
   console.log(`\n💰 Financial Performance:`);
   console.log(`   Initial Capital: ${BACKTEST_CONFIG.capitalBTC.toFixed(8)} BTC ($1,000)`);
-  console.log(`   Final Value: ${finalMetrics.currentValueBTC.toFixed(8)} BTC ($${(finalMetrics.currentValueBTC * 78593).toFixed(2)})`);
+  console.log(`   Final Value: ${finalMetrics.currentValueBTC.toFixed(8)} BTC ($${(finalMetrics.currentValueBTC * finalMetrics.btcPriceUSD).toFixed(2)})`);
   console.log(`   PnL: ${finalMetrics.pnl >= 0 ? '+' : ''}${finalMetrics.pnl.toFixed(8)} BTC (${finalMetrics.pnlPct >= 0 ? '+' : ''}${finalMetrics.pnlPct.toFixed(2)}%)`);
   console.log(`   Fees Paid: $${finalMetrics.feesPaid.toFixed(2)}`);
 
   console.log(`\n📈 Efficiency:`);
   console.log(`   Cost per $1k Volume: $${finalMetrics.costPerThousandVolume.toFixed(2)}`);
   console.log(`   Volume/Capital Ratio: ${(finalMetrics.volumeGenerated / 1000).toFixed(1)}x`);
-  console.log(`   Net Cost: ${Math.abs(finalMetrics.pnl * 78593).toFixed(2)} (${Math.abs(finalMetrics.pnlPct).toFixed(2)}% of capital)`);
+  console.log(`   Net Cost: ${Math.abs(finalMetrics.pnl * finalMetrics.btcPriceUSD).toFixed(2)} (${Math.abs(finalMetrics.pnlPct).toFixed(2)}% of capital)`);
 
   console.log(`\n💎 Price Movement:`);
-  console.log(`   Start: $${BACKTEST_CONFIG.startPrice.toFixed(8)}`);
-  console.log(`   End: $${priceStats.final.toFixed(8)}`);
-  console.log(`   Min: $${priceStats.min.toFixed(8)}`);
-  console.log(`   Max: $${priceStats.max.toFixed(8)}`);
+  if (history) {
+    console.log(`   Start: ${(priceStats.start * 1e8).toFixed(4)} sats`);
+    console.log(`   End: ${(priceStats.final * 1e8).toFixed(4)} sats`);
+    console.log(`   Min: ${(priceStats.min * 1e8).toFixed(4)} sats`);
+    console.log(`   Max: ${(priceStats.max * 1e8).toFixed(4)} sats`);
+  } else {
+    console.log(`   Start: $${BACKTEST_CONFIG.startPrice.toFixed(8)}`);
+    console.log(`   End: $${priceStats.final.toFixed(8)}`);
+    console.log(`   Min: $${priceStats.min.toFixed(8)}`);
+    console.log(`   Max: $${priceStats.max.toFixed(8)}`);
+  }
   console.log(`   Change: ${(priceStats.priceChange * 100).toFixed(2)}%`);
 
+  console.log(`\n🗂  Data Window:`);
+  if (history) {
+    console.log(`   Source: ${dataWindow.source} (${dataWindow.pricing})`);
+    console.log(`   ${dataWindow.start} → ${dataWindow.end} (${dataWindow.days.toFixed(1)} days, ${dataWindow.swaps} swaps)`);
+  } else {
+    console.log(`   Simulated: ${dataWindow.days} days of random prices (no real data)`);
+  }
+
   console.log('\n' + '='.repeat(70));
 
   // Calculate scenarios
   console.log('\n📋 SCENARIOS:');
   
   const scenarios = [
-    { capital: 1000, volume: finalMetrics.volumeGenerated, cost: Math.abs(finalMetrics.pnl * 78593) },
-    { capital: 2500, volume: finalMetrics.volumeGenerated * 2.5, cost: Math.abs(finalMetrics.pnl * 78593) * 2.5 },
-    { capital: 5000, volume: finalMetrics.volumeGenerated * 5, cost: Math.abs(finalMetrics.pnl * 78593) * 5 },
-    { capital: 10000, volume: finalMetrics.volumeGenerated * 10, cost: Math.abs(finalMetrics.pnl * 78593) * 10 }
+    { capital: 1000, volume: finalMetrics.volumeGenerated, cost: Math.abs(finalMetrics.pnl * finalMetrics.btcPriceUSD) },
+    { capital: 2500, volume: finalMetrics.volumeGenerated * 2.5, cost: Math.abs(finalMetrics.pnl * finalMetrics.btcPriceUSD) * 2.5 },
+    { capital: 5000, volume: finalMetrics.volumeGenerated * 5, cost: Math.abs(finalMetrics.pnl * finalMetrics.btcPriceUSD) * 5 },
+    { capital: 10000, volume: finalMetrics.volumeGenerated * 10, cost: Math.abs(finalMetrics.pnl * finalMetrics.btcPriceUSD) * 10 }
   ];
 
   console.log('\n   Capital | 30-Day Volume | Net Cost | Cost per $1k Vol');
@@ -213,13 +270,30 @@ async function runBacktest() {
     finalMetrics,
     priceStats,
     dayResults,
-    scenarios
+    scenarios,
+    dataWindow
   };
 }
 
 // Run if called directly
 if (require.main === module) {
-  runBacktest().catch(console.error);
+  const args = process.argv.slice(2);
+  const arg = (name) => {
+    const i = args.indexOf(name);
+    return i === -1 ? null : args[i + 1];
+  };
+
+  const fixturePath = arg('--fixture');
+  const replay = args.includes('--replay')
+    ? {
+      source: fixturePath ? 'fixture' : 'api',
+      fixturePath,
+      from: arg('--from') ? Date.parse(arg('--from')) : (fixturePath ? null : Date.now() - BACKTEST_CONFIG.days * 24 * 60 * 60 * 1000),
+      to: arg('--to') ? Date.parse(arg('--to')) : null
+    }
+    : null;
+
+  runBacktest({ replay }).catch(console.error);
 }
 
 module.exports = { runBacktest };
@@ -6,6 +6,8 @@
  */
 
 const { TOKENS } = require('../mm/production-config.js');
+const { tradeGuard } = require('../mm/trade-guard.js');
+const { btcPriceFeed } = require('../mm/btc-price.js');
 
 // ============================================
 // PRICE TRACKER
@@ -94,11 +96,13 @@ class PriceTracker {
 // ============================================
 
 class VolumeTrader {
-  constructor({ tradingAddress, accessToken, token, capitalBTC }) {
+  constructor({ tradingAddress, accessToken, token, capitalBTC, guard = tradeGuard }) {
     this.tradingAddress = tradingAddress;
     this.accessToken = accessToken;
     this.token = token;
     this.capitalBTC = capitalBTC;
+    this.guard = guard;
+    this.poolId = TOKENS[token]?.poolId || null;
     
     this.priceTracker = new PriceTracker(token);
     
@@ -153,6 +157,10 @@ class VolumeTrader {
    * Execute a buy trade
    */
   async buy(amountBTC, price, type = 'volume') {
+    if (!this.passesGuard('buy', amountBTC, price, type)) {
+      return null;
+    }
+    
     const fee = amountBTC * 0.01; // 1% RadFi fee
     const netBTC = amountBTC - fee;
     const tokensReceived = netBTC / price;
@@ -170,7 +178,8 @@ class VolumeTrader {
       price: price,
       tokensReceived: tokensReceived,
       fee: fee,
-      volumeUSD: amountBTC * 78593 // TODO: use real BTC price
+      volumeUSD: btcPriceFeed.toUSD(amountBTC),
+      btcPriceUSD: btcPriceFeed.current().priceUSD
     };
     
     this.trades.push(trade);
@@ -186,6 +195,10 @@ class VolumeTrader {
    * Execute a sell trade
    */
   async sell(amountTokens, price, type = 'volume') {
+    if (!this.passesGuard('sell', amountTokens * price, price, type)) {
+      return null;
+    }
+    
     const btcReceived = amountTokens * price;
     const fee = btcReceived * 0.01; // 1% RadFi fee
     const netBTC = btcReceived - fee;
@@ -203,7 +216,8 @@ class VolumeTrader {
       price: price,
       btcReceived: netBTC,
       fee: fee,
-      volumeUSD: btcReceived * 78593
+      volumeUSD: btcPriceFeed.toUSD(btcReceived),
+      btcPriceUSD: btcPriceFeed.current().priceUSD
     };
     
     this.trades.push(trade);
@@ -215,6 +229,31 @@ class VolumeTrader {
     return trade;
   }
 
+  /**
+   * Run the shared self-trade guard and record the execution if allowed
+   */
+  passesGuard(side, sizeBTC, price, type) {
+    if (!this.guard) return true;
+    
+    const order = {
+      userAddress: this.tradingAddress,
+      poolId: this.poolId,
+      side,
+      price,
+      size: sizeBTC,
+      source: `VolumeTrader.${type}`
+    };
+    
+    const check = this.guard.checkOrder(order);
+    if (!check.allowed) {
+      console.log(`[${type.toUpperCase()}] ${side.toUpperCase()} blocked: ${check.reason}`);
+      return false;
+    }
+    
+    this.guard.recordExecution(order);
+    return true;
+  }
+
   /**
    * Check if we should make a volume trade
    */
@@ -336,11 +375,12 @@ class VolumeTrader {
       pnl: pnl,
       pnlPct: pnlPct,
       volumeGenerated: this.volumeGenerated,
-      feesPaid: this.feesPaid * 78593, // USD
+      feesPaid: btcPriceFeed.toUSD(this.feesPaid), // USD
+      btcPriceUSD: btcPriceFeed.current().priceUSD,
       totalTrades: this.trades.length,
       volumeTrades: volumeTrades,
       profitTrades: profitTrades,
-      costPerThousandVolume: (this.feesPaid * 78593) / (this.volumeGenerated / 1000)
+      costPerThousandVolume: btcPriceFeed.toUSD(this.feesPaid) / (this.volumeGenerated / 1000)
     };
   }
 